@@ -15,24 +15,36 @@
 const MAP_CENTER = [-21.5, 165.5];
 const MAP_ZOOM = 8;
 const GEOJSON_URL = "data/nc-communes.geojson";
+const FALLBACK_DATA_URL = "assets/js/communes.js";
+// localStorage keys for persisted points and panel settings
+const STORAGE_KEYS = {
+  points: "nccl.points",
+  measurements: "nccl.measurements",
+  schema: "nccl.schema",
+  settings: "nccl.settings",
+};
 const OFFLINE_TILE =
   "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mP8/wIAAgUBBu/q6QAAAABJRU5ErkJggg==";
+// Upper bound on tiles fetched by "Download tiles for this area"
+const TILE_DOWNLOAD_LIMIT = 3000;
+// OpenStreetMap's tile usage policy forbids downloading areas beyond zoom 16
+// for offline use; other basemaps may not be downloaded at all
+const TILE_DOWNLOAD_MAX_ZOOM = 16;
+// A download with no progress report for this long is treated as interrupted
+const TILE_DOWNLOAD_STALL_MS = 120000;
 
 // Attempt to create a tile layer from OpenStreetMap. Fallback to a blank tile
 // if network access is blocked.
 async function createTileLayer() {
+  // With the service worker in control, cached tiles are served when offline
+  if (navigator.serviceWorker?.controller) return createOsmLayer();
   try {
     const resp = await fetch("https://tile.openstreetmap.org/0/0/0.png", {
       mode: "no-cors",
       signal: AbortSignal.timeout(5000), // 5-second timeout
     });
     // For 'no-cors', a successful network request results in an 'opaque' response.
-    if (resp.type === "opaque") {
-      return L.tileLayer("https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png", {
-        maxZoom: 19,
-        attribution: "\u00A9 OpenStreetMap contributors",
-      });
-    }
+    if (resp.type === "opaque") return createOsmLayer();
     console.warn(`Unexpected response from tile server: type ${resp.type}`);
   } catch (err) {
     console.warn("Tile server unreachable, using offline tile:", err.message);
@@ -40,6 +52,15 @@ async function createTileLayer() {
   return L.tileLayer(OFFLINE_TILE, { maxZoom: 19, attribution: "" });
 }
 
+function createOsmLayer() {
+  return L.tileLayer("https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png", {
+    maxZoom: 19,
+    attribution: "\u00A9 OpenStreetMap contributors",
+    // The only basemap "Download tiles for this area" may fetch
+    offlineDownload: true,
+  });
+}
+
 // ---- Map ----
 const map = L.map("map", { zoomControl: true }).setView(MAP_CENTER, MAP_ZOOM);
 let currentBase = null;
@@ -77,22 +98,48 @@ const baseLayers = {
 };
 
 baseLayers.osm.then((layer) => {
+  // A restored or permalinked basemap may already be showing
+  if (currentBase) return;
   currentBase = layer;
   layer.addTo(map);
 });
 
 let communeLayer = null;
 let activeMarker = null;
+// Commune geometries with bounding boxes for distance queries: { name, geometry, bbox }
+let communeEntries = [];
+// Spatial index over the commune polygons and the layer drawn for each feature
+let communeIndex = null;
+const communeLayerByFeature = new Map();
+// Province boundaries overlay, dissolved from the commune polygons on first use
+let provinceLayer = null;
 
 // Points management: store structured point objects
-// Each point: { id, marker, lat, lng, shape, visible, properties: { label, color, opacity, commune } }
+// Each point: { id, marker, lat, lng, shape, visible,
+//   properties: { label, color, opacity, commune, province, customaryArea,
+//     nearestCommune, nearestDistance } }
 let points = [];
 let pointIdCounter = 1;
 
+// Saved measurements, shown as annotations and exported with the points:
+// { id, type: 'distance' | 'area' | 'bearing', label, coordinates: [[lat, lng], …],
+//   length, area?, bearing?, from?, to?, layer }
+let measurements = [];
+let measurementIdCounter = 1;
+
 // Selection state
 let selectionMode = false;
 let selectedPointId = null;
 let selectedPolygon = null;
+// Ids of the points inside the last drawn selection area, and its shape
+let areaSelectedIds = new Set();
+let areaSelectionLayer = null;
+
+// Settings are only written once the stored ones have been restored, so the
+// initial setMode() call cannot overwrite them with defaults.
+let settingsRestored = false;
+// Set while a permalink's layers are applied, which are not saved either
+let applyingHashState = false;
 
 // Mapping of commune names to Wikipedia URLs
 const communeWikiLinks = {};
@@ -132,97 +179,191 @@ function announce(msg) {
   const status = document.getElementById("status");
   if (status) status.textContent = msg;
 }
+
+// Copy text to the clipboard and confirm with a toast
+function copyToClipboard(text, message = "Copied") {
+  navigator.clipboard.writeText(text).then(
+    () => {
+      showToast(message);
+    },
+    () => {
+      showToast("Copy failed");
+    },
+  );
+}
 // ---- Load GeoJSON ----
+// The embedded copy (communes.js, ~17k lines) is only injected when the
+// external dataset cannot be fetched, e.g. a deployment without data/ or a
+// lazy-mode lookup made offline before the service worker cached it. It does
+// not make file:// work: browsers refuse the ES modules app.js relies on there.
+function injectFallbackData() {
+  return new Promise((resolve, reject) => {
+    if (typeof COMMUNES_DATA !== "undefined") {
+      resolve(COMMUNES_DATA);
+      return;
+    }
+    const script = document.createElement("script");
+    script.src = FALLBACK_DATA_URL;
+    script.onload = () => {
+      if (typeof COMMUNES_DATA !== "undefined") resolve(COMMUNES_DATA);
+      else reject(new Error("Embedded communes data is missing."));
+    };
+    script.onerror = () => reject(new Error("Failed to load embedded communes data."));
+    document.head.appendChild(script);
+  });
+}
+
 function loadCommuneData() {
   return fetch(GEOJSON_URL)
-    .then((r) => r.json())
+    .then((r) => {
+      if (!r.ok) throw new Error(`HTTP ${r.status}`);
+      return r.json();
+    })
     .catch((err) => {
-      console.error("GeoJSON fetch failed:", err);
-      return typeof COMMUNES_DATA !== "undefined" ? COMMUNES_DATA : null;
+      console.warn("GeoJSON fetch failed, using embedded data:", err);
+      return injectFallbackData();
     });
 }
 
-loadCommuneData()
-  .then((fc) => {
-    if (!fc || !Array.isArray(fc.features)) {
-      showToast("Failed to parse communes data.");
-      return;
-    }
-    if (fc.features.length === 0) {
-      showToast(
-        "No commune polygons found — load the dataset to enable lookups.",
-      );
-    }
+// Load state: the promise is created on first use so lazy mode can defer it
+let communeDataPromise = null;
+let communeDataFailed = false;
+// Lookups issued before the polygons arrive wait here and run in order
+const pendingCommuneCalls = [];
 
-    communeLayer = L.geoJSON(fc, {
-      style: () => ({
-        color: "#228B22", // border
-        weight: 1.6,
-        fillColor: "#66BB66", // fill
-        fillOpacity: 0.35,
-      }),
-      onEachFeature: (feature, layer) => {
-        const name = feature?.properties?.name || "Unknown commune";
-        layer.bindTooltip(name, {
-          direction: "center",
-          className: "custom-tooltip",
-          permanent: toggleLabels.checked,
-        });
-        layer.on({
-          mouseover: (e) => {
-            const l = e.target;
-            l.setStyle({
-              fillColor: "#FFD54F",
-              color: "#FB8C00",
-              weight: 2.2,
-              fillOpacity: 0.55,
-            });
-            if (!L.Browser.ie && !L.Browser.opera && !L.Browser.edge)
-              l.bringToFront();
-          },
-          mouseout: (e) => {
-            communeLayer.resetStyle(e.target);
-          },
-        });
-        // Click behaviour: handle selection mode and normal identify
-        layer.on('click', (e) => {
-          // Prevent map click from also firing
-          e.originalEvent.stopPropagation();
-          if (selectionMode) {
-            selectCommuneLayer(layer);
-          } else {
-            // Normal mode: identify at clicked location
-            const ll = e.latlng;
-            identifyAt(ll.lat, ll.lng, true);
-          }
-        });
-      },
-    }).addTo(map);
-    updateCommuneStyle();
-    updateLabelStyle();
-    updateLabelPersistence();
+/**
+ * Start loading the commune polygons if that has not happened yet.
+ * Returns a promise settled once communeLayer is built (or loading failed).
+ */
+function ensureCommuneData() {
+  if (communeDataPromise) return communeDataPromise;
+  setLoadingIndicator(true);
+  communeDataPromise = loadCommuneData()
+    .then(buildCommuneLayer)
+    .catch((err) => {
+      console.error("GeoJSON load error:", err);
+      showToast("Error loading communes data.");
+    })
+    .finally(() => {
+      setLoadingIndicator(false);
+      if (!communeLayer) communeDataFailed = true;
+      pendingCommuneCalls.splice(0).forEach((fn) => fn());
+    });
+  return communeDataPromise;
+}
 
-    // Build mapping from commune name to Wikipedia URL
-    try {
-      fc.features.forEach((feat) => {
-        const nm = feat?.properties?.name;
-        if (!nm) return;
-        // Normalize string: remove diacritics and replace spaces with underscores
-        const ascii = nm
-          .normalize('NFD')
-          .replace(/[\u0300-\u036f]/g, '')
-          .replace(/\s+/g, '_');
-        const encoded = encodeURIComponent(ascii);
-        communeWikiLinks[nm] = `https://en.wikipedia.org/wiki/${encoded},_New_Caledonia`;
+/**
+ * Guard for lookups: returns true when the polygons are loaded (or failed to
+ * load) so the caller can proceed; otherwise queues `retry`, triggers
+ * loading and returns false.
+ */
+function communesReadyOrQueue(retry) {
+  if (communeLayer || communeDataFailed) return true;
+  pendingCommuneCalls.push(retry);
+  ensureCommuneData();
+  return false;
+}
+
+// Run fn once the polygons are available (immediately if they already are)
+function whenCommunesLoaded(fn) {
+  if (communesReadyOrQueue(fn)) fn();
+}
+
+function setLoadingIndicator(loading) {
+  const el = document.getElementById("loadingIndicator");
+  if (el) el.hidden = !loading;
+  if (loading) announce("Loading commune polygons…");
+}
+
+function buildCommuneLayer(fc) {
+  if (!fc || !Array.isArray(fc.features)) {
+    showToast("Failed to parse communes data.");
+    return;
+  }
+  if (fc.features.length === 0) {
+    showToast(
+      "No commune polygons found — load the dataset to enable lookups.",
+    );
+  }
+
+  communeLayer = L.geoJSON(fc, {
+    style: () => ({
+      color: "#228B22", // border
+      weight: 1.6,
+      fillColor: "#66BB66", // fill
+      fillOpacity: 0.35,
+    }),
+    onEachFeature: (feature, layer) => {
+      communeLayerByFeature.set(feature, layer);
+      const name = feature?.properties?.name || "Unknown commune";
+      layer.bindTooltip(name, {
+        direction: "center",
+        className: "custom-tooltip",
+        permanent: toggleLabels.checked,
       });
-    } catch (err) {
-      console.warn('Failed to build wiki links:', err);
-    }
-  })
-  .catch((err) => {
-    console.error("GeoJSON load error:", err);
-    showToast("Error loading communes data.");
+      layer.on({
+        mouseover: (e) => {
+          const l = e.target;
+          l.setStyle({
+            fillColor: "#FFD54F",
+            color: "#FB8C00",
+            weight: 2.2,
+            fillOpacity: 0.55,
+          });
+          if (!L.Browser.ie && !L.Browser.opera && !L.Browser.edge)
+            l.bringToFront();
+        },
+        mouseout: (e) => {
+          communeLayer.resetStyle(e.target);
+        },
+      });
+      // Click behaviour: handle selection mode and normal identify
+      layer.on('click', (e) => {
+        // While drawing, let the click reach the map handler to add a vertex
+        if (drawTool) return;
+        // Prevent map click from also firing
+        L.DomEvent.stopPropagation(e);
+        if (selectionMode) {
+          selectCommuneLayer(layer);
+        } else {
+          // Normal mode: identify at clicked location
+          const ll = e.latlng;
+          identifyAt(ll.lat, ll.lng, true);
+        }
+      });
+    },
   });
+  communeIndex = buildPolygonIndex(fc.features);
+  communeEntries = fc.features.map((feat) => ({
+    name: feat?.properties?.name || "Unknown commune",
+    geometry: feat.geometry,
+    bbox: geometryBounds(feat.geometry),
+  }));
+
+  // Respect a polygons toggle restored before the data arrived
+  if (!togglePolygons || togglePolygons.checked) communeLayer.addTo(map);
+  updateCommuneStyle();
+  updateLabelStyle();
+  updateLabelPersistence();
+  updateProvinceLayer();
+
+  // Build mapping from commune name to Wikipedia URL
+  try {
+    fc.features.forEach((feat) => {
+      const nm = feat?.properties?.name;
+      if (!nm) return;
+      // Normalize string: remove diacritics and replace spaces with underscores
+      const ascii = nm
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/\s+/g, '_');
+      const encoded = encodeURIComponent(ascii);
+      communeWikiLinks[nm] = `https://en.wikipedia.org/wiki/${encoded},_New_Caledonia`;
+    });
+  } catch (err) {
+    console.warn('Failed to build wiki links:', err);
+  }
+}
 
 // ---- DOM references ----
 // Mode buttons
@@ -230,6 +371,7 @@ const modeSingleDecBtn = document.getElementById("modeSingleDecBtn");
 const modeDualDecBtn = document.getElementById("modeDualDecBtn");
 const modeDMSBoxesBtn = document.getElementById("modeDMSBoxesBtn");
 const modeSingleDmsBtn = document.getElementById("modeSingleDmsBtn");
+const modeProjectedBtn = document.getElementById("modeProjectedBtn");
 
 // Input containers
 const singleDecInputs = document.getElementById("singleDecInputs");
@@ -238,6 +380,7 @@ const dmsBoxesInputs = document.getElementById("dmsBoxesInputs");
 const singleDmsInputContainer = document.getElementById(
   "singleDmsInputContainer",
 );
+const projectedInputs = document.getElementById("projectedInputs");
 
 // Input fields
 const singleDecInput = document.getElementById("singleDecInput");
@@ -251,6 +394,10 @@ const lonDMSDeg = document.getElementById("lonDMSDeg");
 const lonDMSMin = document.getElementById("lonDMSMin");
 const lonDMSSec = document.getElementById("lonDMSSec");
 const singleDmsInput = document.getElementById("singleDmsInput");
+const projCrsSelect = document.getElementById("projCrs");
+const projEastingInput = document.getElementById("projEasting");
+const projNorthingInput = document.getElementById("projNorthing");
+const inputFeedback = document.getElementById("inputFeedback");
 
 const locateBtn = document.getElementById("locateBtn");
 const clearBtn = document.getElementById("clearBtn");
@@ -260,6 +407,7 @@ const layerPanel = document.getElementById("layerPanel");
 const toggleLayerPanelBtn = document.getElementById("toggleLayerPanel");
 const toggleLabels = document.getElementById("toggleLabels");
 const togglePolygons = document.getElementById("togglePolygons");
+const toggleProvinces = document.getElementById("toggleProvinces");
 const borderColorInput = document.getElementById("borderColor");
 const borderOpacityInput = document.getElementById("borderOpacity");
 const fillColorInput = document.getElementById("fillColor");
@@ -269,6 +417,9 @@ const basemapOptions = document.getElementById("basemapOptions");
 const darkModeToggle = document.getElementById("darkModeToggle");
 const addPointBtn = document.getElementById("addPointBtn");
 const exportPointsBtn = document.getElementById("exportPointsBtn");
+const exportFormatSelect = document.getElementById("exportFormat");
+const importPointsBtn = document.getElementById("importPointsBtn");
+const importPointsInput = document.getElementById("importPointsInput");
 const labelTextColor = document.getElementById("labelTextColor");
 const labelTextSize = document.getElementById("labelTextSize");
 const labelFont = document.getElementById("labelFont");
@@ -280,12 +431,77 @@ const permalinkBtn = document.getElementById("permalinkBtn");
 const toggleInfo = document.getElementById("toggleInfo");
 const infoContent = document.getElementById("infoContent");
 
+// Batch geocoding controls
+const batchDropZone = document.getElementById("batchDropZone");
+const batchFileInput = document.getElementById("batchFileInput");
+const batchOptions = document.getElementById("batchOptions");
+const batchFileName = document.getElementById("batchFileName");
+const batchLatColumn = document.getElementById("batchLatColumn");
+const batchLonColumn = document.getElementById("batchLonColumn");
+const batchRunBtn = document.getElementById("batchRunBtn");
+const batchStatus = document.getElementById("batchStatus");
+
 // Points and selection controls
 const togglePoints = document.getElementById("togglePoints");
 const pointsList = document.getElementById("pointsList");
+const pointsPager = document.getElementById("pointsPager");
+const pointsPageInfo = document.getElementById("pointsPageInfo");
+const pointsPrevBtn = document.getElementById("pointsPrevBtn");
+const pointsNextBtn = document.getElementById("pointsNextBtn");
+const clusterPointsToggle = document.getElementById("clusterPoints");
+const undoBtn = document.getElementById("undoBtn");
+const redoBtn = document.getElementById("redoBtn");
 const selectModeBtn = document.getElementById("selectModeBtn");
 const clearSelectionBtn = document.getElementById("clearSelectionBtn");
 const flipSingleBtn = document.getElementById("flipSingleBtn");
+const resetStateBtn = document.getElementById("resetStateBtn");
+const offlineMaxZoom = document.getElementById("offlineMaxZoom");
+const downloadTilesBtn = document.getElementById("downloadTilesBtn");
+const offlineTilesStatus = document.getElementById("offlineTilesStatus");
+const lazyLoadToggle = document.getElementById("lazyLoadToggle");
+const boundaryToleranceInput = document.getElementById("boundaryTolerance");
+
+// Selected commune information
+const communeInfoSection = document.getElementById("communeInfoSection");
+const communeInfoTitle = document.getElementById("communeInfoTitle");
+const communeInfoList = document.getElementById("communeInfoList");
+const copyCommuneInfoBtn = document.getElementById("copyCommuneInfoBtn");
+
+// Points in the selected commune
+const communePointsSection = document.getElementById("communePointsSection");
+const communePointsTitle = document.getElementById("communePointsTitle");
+const communePointsCount = document.getElementById("communePointsCount");
+const communePointsList = document.getElementById("communePointsList");
+const zoomCommunePointsBtn = document.getElementById("zoomCommunePointsBtn");
+const exportCommunePointsBtn = document.getElementById("exportCommunePointsBtn");
+
+// Area selection tools and bulk actions
+const drawToolBtns = document.querySelectorAll("[data-draw-tool]");
+const areaSelectionCount = document.getElementById("areaSelectionCount");
+const areaSelectionCommunes = document.getElementById("areaSelectionCommunes");
+const bulkColor = document.getElementById("bulkColor");
+const bulkRecolorBtn = document.getElementById("bulkRecolorBtn");
+const bulkShape = document.getElementById("bulkShape");
+const bulkShapeBtn = document.getElementById("bulkShapeBtn");
+const bulkHideBtn = document.getElementById("bulkHideBtn");
+const bulkDeleteBtn = document.getElementById("bulkDeleteBtn");
+const bulkExportBtn = document.getElementById("bulkExportBtn");
+const clearAreaSelectionBtn = document.getElementById("clearAreaSelectionBtn");
+
+// Measurement tools and saved measurements
+const measureBtn = document.getElementById("measureBtn");
+const measureResult = document.getElementById("measureResult");
+const measureLabel = document.getElementById("measureLabel");
+const saveMeasurementBtn = document.getElementById("saveMeasurementBtn");
+const discardMeasurementBtn = document.getElementById("discardMeasurementBtn");
+const measurementsList = document.getElementById("measurementsList");
+
+// Custom point attribute fields
+const attributeFieldsList = document.getElementById("attributeFieldsList");
+const newFieldLabel = document.getElementById("newFieldLabel");
+const newFieldType = document.getElementById("newFieldType");
+const newFieldOptions = document.getElementById("newFieldOptions");
+const addFieldBtn = document.getElementById("addFieldBtn");
 
 // Setup expand/collapse for layer sections
 document.querySelectorAll('.toggle-item-btn').forEach((btn) => {
@@ -305,18 +521,21 @@ const MODE_SINGLE_DEC = "singleDec";
 const MODE_DUAL_DEC = "dualDec";
 const MODE_DMS_BOXES = "dmsBoxes";
 const MODE_SINGLE_DMS = "singleDms";
+const MODE_PROJECTED = "projected";
 
 let currentMode = MODE_SINGLE_DEC;
 
 // Set the active mode visually and logically
 function setMode(mode) {
   currentMode = mode;
+  saveSettings();
   // update aria-pressed and aria-checked on buttons for accessibility
   const btns = [
     modeSingleDecBtn,
     modeDualDecBtn,
     modeDMSBoxesBtn,
     modeSingleDmsBtn,
+    modeProjectedBtn,
   ];
   const activeBtn = getButtonForMode(mode);
   btns.forEach((btn) => {
@@ -329,6 +548,7 @@ function setMode(mode) {
   dualDecInputs.hidden = mode !== MODE_DUAL_DEC;
   dmsBoxesInputs.hidden = mode !== MODE_DMS_BOXES;
   singleDmsInputContainer.hidden = mode !== MODE_SINGLE_DMS;
+  projectedInputs.hidden = mode !== MODE_PROJECTED;
 }
 
 function getButtonForMode(mode) {
@@ -341,6 +561,8 @@ function getButtonForMode(mode) {
       return modeDMSBoxesBtn;
     case MODE_SINGLE_DMS:
       return modeSingleDmsBtn;
+    case MODE_PROJECTED:
+      return modeProjectedBtn;
     default:
       return modeSingleDecBtn;
   }
@@ -349,11 +571,18 @@ function getButtonForMode(mode) {
 // Set initial mode
 setMode(currentMode);
 
+// Mode buttons also refresh the feedback for the fields they reveal
+function selectMode(mode) {
+  setMode(mode);
+  updateInputFeedback();
+}
+
 // Mode button event handlers
-modeSingleDecBtn.addEventListener("click", () => setMode(MODE_SINGLE_DEC));
-modeDualDecBtn.addEventListener("click", () => setMode(MODE_DUAL_DEC));
-modeDMSBoxesBtn.addEventListener("click", () => setMode(MODE_DMS_BOXES));
-modeSingleDmsBtn.addEventListener("click", () => setMode(MODE_SINGLE_DMS));
+modeSingleDecBtn.addEventListener("click", () => selectMode(MODE_SINGLE_DEC));
+modeDualDecBtn.addEventListener("click", () => selectMode(MODE_DUAL_DEC));
+modeDMSBoxesBtn.addEventListener("click", () => selectMode(MODE_DMS_BOXES));
+modeSingleDmsBtn.addEventListener("click", () => selectMode(MODE_SINGLE_DMS));
+modeProjectedBtn.addEventListener("click", () => selectMode(MODE_PROJECTED));
 
 function autoTab(curr, next, maxLen, prev = null) {
   if (!curr) return;
@@ -412,6 +641,7 @@ flipDecBtn.addEventListener("click", () => {
   }
   // Show visual feedback
   showToast("Coordinates flipped");
+  updateInputFeedback();
 });
 
 // Locate on Enter key for any visible input
@@ -426,11 +656,14 @@ flipDecBtn.addEventListener("click", () => {
   lonDMSMin,
   lonDMSSec,
   singleDmsInput,
+  projEastingInput,
+  projNorthingInput,
 ].forEach((input) => {
   if (input) {
     input.addEventListener("keydown", (e) => {
       if (e.key === "Enter") {
         e.preventDefault();
+        if (input === singleDecInput && chooseActiveCommuneMatch()) return;
         handleLocate();
       }
     });
@@ -487,6 +720,42 @@ if (togglePolygons) {
   });
 }
 
+// One outline per province, coloured as in PROVINCES
+function buildProvinceLayer() {
+  const groups = {};
+  communeEntries.forEach((entry) => {
+    const hierarchy = communeHierarchy(entry.name);
+    if (!hierarchy) return;
+    (groups[hierarchy.province] = groups[hierarchy.province] || []).push(entry.geometry);
+  });
+  provinceLayer = L.layerGroup(
+    Object.entries(groups).map(([province, geometries]) => {
+      const lines = dissolvedOutline(geometries).map((line) => line.map(([x, y]) => [y, x]));
+      return L.polyline(lines, {
+        color: PROVINCES[province]?.color || "#333333",
+        weight: 3,
+        opacity: 0.9,
+      }).bindTooltip(PROVINCES[province]?.label || province, { sticky: true });
+    }),
+  );
+}
+
+// Show or hide the province overlay; waits for the polygons in lazy mode
+function updateProvinceLayer() {
+  if (!toggleProvinces) return;
+  if (!toggleProvinces.checked) {
+    if (provinceLayer) map.removeLayer(provinceLayer);
+    return;
+  }
+  whenCommunesLoaded(() => {
+    if (!communeLayer || !toggleProvinces.checked) return;
+    if (!provinceLayer) buildProvinceLayer();
+    provinceLayer.addTo(map);
+  });
+}
+
+toggleProvinces?.addEventListener("change", updateProvinceLayer);
+
 function updateCommuneStyle() {
   if (!communeLayer) return;
   communeLayer.setStyle({
@@ -596,44 +865,141 @@ darkModeToggle?.addEventListener("change", async () => {
 addPointBtn.addEventListener("click", () => {
   addingPoint = !addingPoint;
   addPointBtn.classList.toggle("active", addingPoint);
-  if (addingPoint) showToast("Click on the map to add a point");
+  if (addingPoint) {
+    cancelDrawing();
+    showToast("Click on the map to add a point");
+  }
 });
 
 exportPointsBtn.addEventListener('click', () => {
-  // Build a GeoJSON FeatureCollection from our structured points
-  const features = points.map((pt) => {
-    return {
-      type: 'Feature',
-      geometry: { type: 'Point', coordinates: [pt.lng, pt.lat] },
-      properties: {
-        label: pt.properties.label,
-        color: pt.properties.color,
-        opacity: pt.properties.opacity,
-        commune: pt.properties.commune,
-        shape: pt.shape,
-      },
-    };
-  });
-  const fc = { type: 'FeatureCollection', features };
-  const blob = new Blob([JSON.stringify(fc, null, 2)], {
-    type: 'application/json',
-  });
+  exportPoints(
+    points,
+    exportFormatSelect ? exportFormatSelect.value : 'geojson',
+    'points',
+    measurements.map(measurementExportRecord),
+  );
+});
+
+// Plain export record for a structured point; attribute keys match the
+// properties the GeoJSON importer reads back
+function pointExportRecord(pt) {
+  return {
+    lat: pt.lat,
+    lng: pt.lng,
+    attributes: {
+      label: pt.properties.label,
+      ...Object.fromEntries(attributeSchema.map((f) => [f.key, pt.properties[f.key] ?? null])),
+      color: pt.properties.color,
+      opacity: pt.properties.opacity,
+      commune: pt.properties.commune,
+      province: pt.properties.province,
+      customaryArea: pt.properties.customaryArea,
+      nearestCommune: pt.properties.nearestCommune,
+      nearestDistance: pt.properties.nearestDistance,
+      shape: pt.shape,
+    },
+  };
+}
+
+/**
+ * Download a list of structured points, and optional measurement
+ * annotations, in one of the POINT_WRITERS formats (geojson, csv, kml, gpx,
+ * shp). Everything is generated client-side.
+ */
+function exportPoints(list, format, basename = 'points', annotations = []) {
+  if (!list.length && !annotations.length) {
+    showToast('No points to export.');
+    return;
+  }
+  try {
+    const { blob, filename } = writePointsFile(
+      format,
+      list.map(pointExportRecord),
+      basename,
+      annotations,
+    );
+    downloadBlob(blob, filename);
+  } catch (err) {
+    console.error('Point export failed:', err);
+    showToast(`Export failed: ${err.message}`);
+  }
+}
+
+importPointsBtn?.addEventListener('click', () => importPointsInput.click());
+importPointsInput?.addEventListener('change', () => {
+  importPointsFile(importPointsInput.files[0]);
+  importPointsInput.value = '';
+});
+
+/**
+ * Import points from a GeoJSON, CSV, KML or GPX file. Each valid entry becomes
+ * a structured point; its commune is recomputed rather than read from the file.
+ */
+function importPointsFile(file) {
+  if (!file) return;
+  file
+    .text()
+    .then((text) => new Promise((resolve) => whenCommunesLoaded(() => resolve(text))))
+    .then((text) => {
+      const { items, skipped } = readPointsFile(file.name, text);
+      let imported = 0;
+      let outside = 0;
+      let invalid = 0;
+      // The whole import is undone in one step
+      trackPoints('Import points', () => {
+        items.forEach((item) => {
+          if (validateLatLon(item.lat, item.lng)) {
+            invalid++;
+            return;
+          }
+          const location = pointLocationProps(item.lat, item.lng);
+          if (!location.commune) outside++;
+          addPoint({
+            lat: item.lat,
+            lng: item.lng,
+            shape: item.shape,
+            visible: togglePoints ? togglePoints.checked : true,
+            properties: { ...item.properties, ...fieldValues(attributeSchema, item.fields), ...location },
+          });
+          imported++;
+        });
+      });
+      savePoints();
+      renderPointsList();
+      const summary =
+        `Imported ${imported} point${imported === 1 ? '' : 's'}` +
+        ` (${outside} outside New Caledonia), ${skipped + invalid} skipped.`;
+      showToast(summary, 5000);
+      announce(summary);
+    })
+    .catch((err) => {
+      console.error('Point import failed:', err);
+      showToast(`Import failed: ${err.message}`);
+    });
+}
+
+// Trigger a browser download for a Blob
+function downloadBlob(blob, filename) {
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a');
   a.href = url;
-  a.download = 'points.geojson';
+  a.download = filename;
   a.click();
   URL.revokeObjectURL(url);
-});
+}
 
 addPointCoordBtn.addEventListener("click", () => {
-  handleLocate();
-  if (activeMarker) {
+  // An invalid entry or a pending "Did you mean…?" leaves the previous
+  // marker in place: only add a point for coordinates that were located
+  if (!handleLocate()) {
+    showToast("Enter valid coordinates first");
+    return;
+  }
+  // The locate may be queued behind the polygons in lazy mode
+  whenCommunesLoaded(() => {
     const ll = activeMarker.getLatLng();
     createPointAt(ll.lat, ll.lng);
-  } else {
-    showToast("Enter coordinates first");
-  }
+  });
 });
 
 permalinkBtn.addEventListener("click", () => {
@@ -661,24 +1027,95 @@ permalinkBtn.addEventListener("click", () => {
   const overlayParams = [];
   if (togglePolygons && !togglePolygons.checked) overlayParams.push('polygons=false');
   if (toggleLabels && !toggleLabels.checked) overlayParams.push('labels=false');
+  if (toggleProvinces && toggleProvinces.checked) overlayParams.push('provinces=true');
   if (overlayParams.length) {
     params.push(overlayParams.join('&'));
   }
   const url = `${location.origin}${location.pathname}#${params.join('&')}`;
-  navigator.clipboard.writeText(url).then(
-    () => {
-      showToast('Permalink copied');
-    },
-    () => {
-      showToast('Copy failed');
-    },
-  );
+  copyToClipboard(url, 'Permalink copied');
 });
 
+// ---- Permalink hash router ----
+// Read back the "#lat=…&lon=…&zoom=…&base=…&polygons=false&labels=false&provinces=true"
+// fragment written by the permalink button and re-apply it to the map.
+function parseHashState(hash) {
+  const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+  const lat = params.has('lat') ? parseNumber(params.get('lat')) : null;
+  const lon = params.has('lon') ? parseNumber(params.get('lon')) : null;
+  const zoom = params.has('zoom') ? parseInt(params.get('zoom'), 10) : null;
+  return {
+    lat,
+    lon,
+    zoom: Number.isFinite(zoom) ? zoom : null,
+    base: params.get('base') || null,
+    polygons: params.get('polygons') !== 'false',
+    labels: params.get('labels') !== 'false',
+    provinces: params.get('provinces') === 'true',
+    empty: [...params.keys()].length === 0,
+  };
+}
+
+// Set a checkbox and fire its change handler only when the value differs
+function setChecked(input, checked) {
+  if (!input || input.checked === checked) return;
+  input.checked = checked;
+  input.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+// Switch to a basemap by name ("osm", "gsat", … or "dark" for dark mode).
+// The radio is picked first so leaving dark mode restores it.
+function applyBasemap(base) {
+  if (base === 'dark') {
+    setChecked(darkModeToggle, true);
+    return;
+  }
+  const radio = [
+    ...(basemapOptions?.querySelectorAll('input[name="basemap"]') || []),
+  ].find((input) => input.value === base);
+  if (!radio) return;
+  if (darkMode) {
+    radio.checked = true;
+    setChecked(darkModeToggle, false);
+  } else {
+    setChecked(radio, true);
+  }
+}
+
+function applyHashState() {
+  const state = parseHashState(location.hash);
+  if (state.empty) return;
+  // A shared link shows its basemap and overlays without replacing the
+  // visitor's saved settings
+  applyingHashState = true;
+  try {
+    if (state.base) applyBasemap(state.base);
+    // Overlay toggles
+    setChecked(togglePolygons, state.polygons);
+    setChecked(toggleLabels, state.labels);
+    setChecked(toggleProvinces, state.provinces);
+  } finally {
+    applyingHashState = false;
+  }
+  // Location: drop the red marker with its commune popup at the stored zoom
+  if (state.lat != null && state.lon != null) {
+    const err = validateLatLon(state.lat, state.lon);
+    if (err) {
+      showToast(`Permalink ignored: ${err}`);
+      return;
+    }
+    identifyAt(state.lat, state.lon, true, state.zoom);
+  } else if (state.zoom != null) {
+    map.setZoom(state.zoom);
+  }
+}
+
+// identifyAt queues itself until the polygons arrive, so no need to wait here
+window.addEventListener('hashchange', applyHashState);
+
 // Toggle all points visibility
 togglePoints?.addEventListener('change', () => {
   const visible = togglePoints.checked;
-  toggleAllPoints(visible);
+  trackPoints(visible ? 'Show all points' : 'Hide all points', () => toggleAllPoints(visible));
 });
 
 // Flip button for single decimal input: swap lat and lon separated by comma
@@ -691,6 +1128,7 @@ flipSingleBtn?.addEventListener('click', () => {
     const b = parts[1].trim();
     singleDecInput.value = `${b},${a}`;
     showToast('Coordinates flipped');
+    updateInputFeedback();
   }
 });
 
@@ -726,302 +1164,768 @@ function clearInputs() {
   lonDMSMin.value = "";
   lonDMSSec.value = "";
   singleDmsInput.value = "";
+  projEastingInput.value = "";
+  projNorthingInput.value = "";
+  renderInputFeedback(inputState());
+  closeCommuneSuggestions();
 }
 
 
 // -----------------------------------------------------------------------------
 // Input validation helpers
 
-/**
- * Parse a string into a floating‑point number. Returns null if parsing fails.
- */
-function parseNumber(str) {
-  const n = parseFloat(str);
-  return Number.isFinite(n) ? n : null;
-}
-
-/**
- * Validate latitude and longitude values. Returns error message or null.
- */
-function validateLatLon(lat, lon) {
-  if (lat === null || lon === null) return "Could not parse coordinates.";
-  if (lat < -90 || lat > 90 || lon < -180 || lon > 180) {
-    return "Latitude must be in [-90,90] and longitude in [-180,180].";
-  }
-  return null;
-}
+// Parsers live in the coords.mjs ES module, exposed by index.html as NCCoords
+const {
+  FORMAT_LABELS,
+  parseCoordinate,
+  parseCoordinateValue,
+  parseNumber,
+  validateLatLon,
+  orderLatLon,
+  dmsPartsToDecimal,
+  isInBounds,
+  suggestCorrections,
+} = window.NCCoords;
+// Lambert NC and UTM conversions from projections.mjs, exposed as NCProjections
+const { PROJECTED_CRS, projectedToWgs84 } = window.NCProjections;
+// Location card formats (DMS, UTM, Plus Code…) from coordformats.mjs
+const { locationFormats } = window.NCCoordFormats;
+// Fuzzy commune name ranking from search.mjs
+const { rankCommunes } = window.NCSearch;
+// Custom point attribute schema from attributes.mjs
+const { coerceFieldValue, fieldValues, makeField, normalizeSchema } = window.NCAttributes;
+// Photo GPS position and time from exif.mjs
+const { readPhotoExif } = window.NCExif;
+// Marker clustering from cluster.mjs
+const { clusterItems } = window.NCCluster;
+// CSV/TSV reader and writer from csv.mjs
+const { parseDelimited, toDelimited } = window.NCCsv;
+// Batch geocoding row classification from batch.mjs
+const { BATCH_SAME_COLUMN, classifyBatchRow } = window.NCBatch;
+// Point file readers and writers (GeoJSON, CSV, KML, GPX, Shapefile) from formats.mjs
+const { ANNOTATION_COLOR, POINT_WRITERS, readPointsFile, writePointsFile } = window.NCFormats;
+// Boundary distances, commune measurements and geodesics from geo.mjs
+const {
+  dissolvedOutline,
+  geodesicInverse,
+  geometryAreaSqMeters,
+  geometryBounds,
+  geometryCentroid,
+  geometryPartCount,
+  geometryPerimeterMeters,
+  lineLengthMeters,
+  nearestPolygon,
+  polygonAdjacency,
+} = window.NCGeo;
+// R-tree point-in-polygon lookups and the ray-casting test from spatialindex.mjs
+const { buildPolygonIndex, featureAt, inRing } = window.NCSpatialIndex;
 
-// Primary locate handler: dispatch based on current mode
+// Primary locate handler: dispatch based on current mode. Returns whether
+// coordinates were located (a name search does not count).
 const locateHandlers = {};
 
 function handleLocate() {
   const handler = locateHandlers[currentMode] || locateFromSingleDec;
-  handler();
+  return handler();
+}
+
+// Locate the location read from the current mode's fields and return whether
+// it was. Empty single-field modes do nothing; anything else invalid is
+// reported next to the fields, and a location outside New Caledonia waits for
+// a "Did you mean…?" choice.
+function locateInputState(state) {
+  if (state.lat == null && !state.errors.length && !state.missing) return false;
+  if (!submitInputState(state)) return false;
+  if (locationSuggestions(state.lat, state.lon).length) {
+    const firstChoice = inputFeedback?.querySelector(".suggestion-btn");
+    if (firstChoice) firstChoice.focus();
+    announce("Outside New Caledonia. Did you mean one of the suggested locations?");
+    return false;
+  }
+  identifyAt(state.lat, state.lon, true, null, state.format);
+  return true;
 }
 
-// Single decimal input: lat,lng comma separated OR name search
+// Single decimal input: a coordinate pair OR name search
 function locateFromSingleDec() {
-  const raw = singleDecInput.value.trim();
-  if (!raw) return;
-  // Try coord first: two comma separated numbers (lat/lng or lng/lat)
-  const m = raw.match(/^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/);
-  if (m) {
-    const a = parseNumber(m[1]);
-    const b = parseNumber(m[2]);
-    if (a == null || b == null) {
-      showToast('Invalid numbers');
-      return;
-    }
-    let latVal = a;
-    let lonVal = b;
-    // If first number is outside lat range but second is inside, interpret as lon,lat
-    if ((a < -90 || a > 90) && b >= -90 && b <= 90) {
-      latVal = b;
-      lonVal = a;
-    }
-    const err = validateLatLon(latVal, lonVal);
-    if (err) {
-      showToast(err);
-      return;
-    }
-    identifyAt(latVal, lonVal, true);
-    return;
+  closeCommuneSuggestions();
+  const state = readSingleDecInput();
+  // Not a coordinate: name search (accent/case-insensitive substring)
+  if (state.search) {
+    searchByName(state.search);
+    return false;
   }
-  // Fallback: name search (accent/case-insensitive substring)
-  searchByName(raw);
+  return locateInputState(state);
 }
 
 // Dual decimal input: separate lat and lon fields
 function locateFromDualDec() {
-  const latStr = latDecInput.value.trim();
-  const lonStr = lonDecInput.value.trim();
-  if (!latStr || !lonStr) {
-    showToast("Please enter both latitude and longitude.");
-    return;
-  }
-  const lat = parseNumber(latStr);
-  const lon = parseNumber(lonStr);
-  const err = validateLatLon(lat, lon);
-  if (err) {
-    showToast(err);
-    return;
-  }
-  identifyAt(lat, lon, true);
+  return locateInputState(readDualDecInput());
 }
 
 // DMS boxes input: convert degrees/minutes/seconds to decimal
 function locateFromDmsBoxes() {
-  const latDegStr = latDMSDeg.value.trim();
-  const latMinStr = latDMSMin.value.trim();
-  const latSecStr = latDMSSec.value.trim();
-  const lonDegStr = lonDMSDeg.value.trim();
-  const lonMinStr = lonDMSMin.value.trim();
-  const lonSecStr = lonDMSSec.value.trim();
-  // Require at least degrees for both lat and lon
-  if (!latDegStr || !lonDegStr) {
-    showToast("Degrees are required for both latitude and longitude.");
-    return;
-  }
-  const latDeg = parseFloat(latDegStr);
-  const latMin = latMinStr ? parseFloat(latMinStr) : 0;
-  const latSec = latSecStr ? parseFloat(latSecStr) : 0;
-  const lonDeg = parseFloat(lonDegStr);
-  const lonMin = lonMinStr ? parseFloat(lonMinStr) : 0;
-  const lonSec = lonSecStr ? parseFloat(lonSecStr) : 0;
-  if (
-    [latDeg, latMin, latSec, lonDeg, lonMin, lonSec].some(
-      (n) => !Number.isFinite(n),
-    )
-  ) {
-    showToast("Invalid DMS values.");
-    return;
-  }
-  // Validate minutes/seconds ranges
-  if (
-    latMin < 0 ||
-    latMin >= 60 ||
-    latSec < 0 ||
-    latSec >= 60 ||
-    lonMin < 0 ||
-    lonMin >= 60 ||
-    lonSec < 0 ||
-    lonSec >= 60
-  ) {
-    showToast("Minutes and seconds must be in [0,60).");
-    return;
-  }
-  // Convert to absolute degrees and sign
-  const latSign = latDeg < 0 ? -1 : 1;
-  const lonSign = lonDeg < 0 ? -1 : 1;
-  const latDec = latSign * (Math.abs(latDeg) + latMin / 60 + latSec / 3600);
-  const lonDec = lonSign * (Math.abs(lonDeg) + lonMin / 60 + lonSec / 3600);
-  const err = validateLatLon(latDec, lonDec);
-  if (err) {
-    showToast(err);
-    return;
-  }
-  identifyAt(latDec, lonDec, true);
+  return locateInputState(readDmsBoxesInput());
 }
 
-// Single DMS string input: parse google maps style "20°44'19.7"S 164°47'41.6"E"
+// Single DMS string input: google maps style "20°44'19.7"S 164°47'41.6"E" or
+// any other format parseCoordinate understands (DDM, hemisphere letters, …)
 function locateFromSingleDms() {
-  const raw = singleDmsInput.value.trim();
-  if (!raw) return;
-  // Regex to capture two DMS coordinate groups
-  const pattern =
-    /([\-]?\d+(?:\.\d+)?)\s*°\s*([\d\.]+)?\s*(?:'|′)?\s*([\d\.]+)?\s*(?:"|″)?\s*([NSEW])/gi;
-  const matches = [];
-  let m;
-  while ((m = pattern.exec(raw)) !== null) {
-    matches.push(m);
-  }
-  if (matches.length < 2) {
-    showToast(
-      "Could not parse DMS string. Expect format like 20°44'19.7\"S 164°47'41.6\"E",
-    );
-    return;
-  }
-  // Extract lat and lon from first two matches
-  const latMatch = matches[0];
-  const lonMatch = matches[1];
-  const latDecVal = dmsMatchToDecimal(latMatch);
-  const lonDecVal = dmsMatchToDecimal(lonMatch);
-  if (latDecVal == null || lonDecVal == null) {
-    showToast("Invalid DMS values in input.");
-    return;
-  }
-  const err = validateLatLon(latDecVal, lonDecVal);
-  if (err) {
-    showToast(err);
-    return;
-  }
-  identifyAt(latDecVal, lonDecVal, true);
-}
-
-// Convert regex match groups to decimal degrees
-function dmsMatchToDecimal(match) {
-  // match indices: 1=deg,2=min,3=sec,4=dir
-  const deg = parseFloat(match[1]);
-  const min = match[2] ? parseFloat(match[2]) : 0;
-  const sec = match[3] ? parseFloat(match[3]) : 0;
-  const dir = match[4].toUpperCase();
-  if (![deg, min, sec].every((n) => Number.isFinite(n))) return null;
-  if (min < 0 || min >= 60 || sec < 0 || sec >= 60) return null;
-  let dec = Math.abs(deg) + min / 60 + sec / 3600;
-  // Determine sign: use sign of degrees if negative, otherwise direction
-  if (deg < 0) {
-    dec = -dec;
-  } else {
-    if (dir === "S" || dir === "W") dec = -dec;
-  }
-  return dec;
+  return locateInputState(readSingleDmsInput());
 }
 
-function showPointModal(lat, lng, onSubmit) {
-  let modal = document.getElementById("point-modal");
-  if (!modal) {
-    modal = document.createElement("div");
-    modal.id = "point-modal";
-    modal.style.cssText =
-      "position:fixed;top:0;left:0;width:100vw;height:100vh;" +
-      "background:rgba(0,0,0,0.3);display:flex;align-items:center;" +
-      "justify-content:center;z-index:10000;";
-    modal.innerHTML =
-      `<form id="point-modal-form" style="background:#fff;padding:20px;border-radius:8px;min-width:300px;box-shadow:0 2px 8px rgba(0,0,0,0.2)">
-          <h3>Create Point</h3>
-          <label>Label (optional):<br><input type="text" name="label" style="width:100%"></label><br><br>
-          <label>Marker color:<br><input type="color" name="color" value="#ff0000"></label><br><br>
-          <label>Opacity (0-1):<br><input type="number" name="opacity" min="0" max="1" step="0.01" value="0.8"></label><br><br>
-          <button type="submit">Create</button>
-          <button type="button" id="point-modal-cancel">Cancel</button>
-       </form>`;
-    document.body.appendChild(modal);
-  }
-  modal.style.display = "flex";
+// Projected input: easting/northing in the selected CRS, reprojected to WGS84
+function locateFromProjected() {
+  return locateInputState(readProjectedInput());
+}
 
-  const form = modal.querySelector("#point-modal-form");
-  const cancelBtn = modal.querySelector("#point-modal-cancel");
-  form.onsubmit = function (e) {
-    e.preventDefault();
-    const label = form.label.value || "";
-    const color = form.color.value || "#ff0000";
-    let opacity = parseFloat(form.opacity.value);
-    if (isNaN(opacity) || opacity < 0 || opacity > 1) {
-      alert("Invalid opacity value. Using default 0.8.");
-      opacity = 0.8;
-    }
-    modal.style.display = "none";
-    onSubmit({ label, color, opacity });
-  };
-  cancelBtn.onclick = function () {
-    modal.style.display = "none";
+// ---- Live input validation ----
+// Readers inspect the fields of one input mode without side effects and
+// return { lat, lon, format, warnings, errors, missing, search }. `errors`
+// are [input, message] pairs; `missing` is a single pair for incomplete
+// input, shown as a hint while typing and as an error on Locate.
+function inputState(fields = {}) {
+  return {
+    lat: null,
+    lon: null,
+    format: null,
+    warnings: [],
+    errors: [],
+    missing: null,
+    search: null,
+    ...fields,
   };
 }
 
-function createPointAt(lat, lng) {
-  showPointModal(lat, lng, function ({ label, color, opacity }) {
-    // Determine commune for this location
-    let communeName = null;
-    if (communeLayer) {
-      try {
-        const hits = leafletPip.pointInLayer([lng, lat], communeLayer, true);
-        if (hits.length) communeName = hits[0].feature?.properties?.name || null;
-      } catch (err) {
-        console.error('Point-in-polygon check failed:', err);
-      }
-    }
-    const id = pointIdCounter++;
-    const shape = 'circle';
-    const pointProps = { label, color, opacity, commune: communeName };
-    // Create marker based on shape
-    let marker;
-    if (shape === 'square') {
-      const size = 12;
-      const html = `<span style="display:inline-block;width:${size}px;height:${size}px;background:${color};opacity:${opacity};border:1px solid ${color};"></span>`;
-      const icon = L.divIcon({ html, className: '', iconSize: [size, size] });
-      marker = L.marker([lat, lng], { icon });
-    } else {
-      marker = L.circleMarker([lat, lng], {
-        color,
-        fillColor: color,
-        fillOpacity: opacity,
-        radius: 6,
-      });
-    }
-    marker.pointId = id;
-    marker.bindPopup(generatePointPopup({ id, lat, lng, shape, properties: pointProps }));
-    // Attach selection click
-    marker.on('click', (e) => {
-      if (selectionMode) {
-        selectPoint(id);
-        e.originalEvent.preventDefault();
-        e.originalEvent.stopPropagation();
-      }
-    });
-    // Add marker to map depending on global visibility toggle
-    const visible = togglePoints ? togglePoints.checked : true;
-    if (visible) marker.addTo(pointsLayer);
-    // Store structured point
-    points.push({
-      id,
-      marker,
-      lat,
-      lng,
-      shape,
-      visible,
-      properties: pointProps,
-    });
-    // Render list
-    renderPointsList();
+function stateFromParsed(parsed, input) {
+  if (parsed.error) return inputState({ errors: [[input, parsed.error]] });
+  return inputState({
+    lat: parsed.lat,
+    lon: parsed.lon,
+    format: FORMAT_LABELS[parsed.format],
+    warnings: parsed.warnings,
   });
 }
 
-// Layer for all point markers
+const fieldLabel = (input) => input.getAttribute("aria-label") || input.placeholder;
+
+// Value of a numeric field: { value, error }, value null when left empty
+function readNumberField(input) {
+  const str = input.value.trim();
+  // type="number" fields report unparsable text as an empty value
+  if (!str && !input.validity?.badInput) return { value: null, error: null };
+  const value = parseNumber(str);
+  if (value == null) return { value: null, error: `${fieldLabel(input)} must be a number.` };
+  return { value, error: null };
+}
+
+function readSingleDecInput() {
+  const raw = singleDecInput.value.trim();
+  if (!raw) return inputState();
+  const parsed = parseCoordinate(raw);
+  return parsed ? stateFromParsed(parsed, singleDecInput) : inputState({ search: raw });
+}
+
+function readDualDecInput() {
+  const errors = [];
+  const readAxis = (input, name, limit) => {
+    const { value, error } = readNumberField(input);
+    if (error) errors.push([input, error]);
+    else if (value != null && Math.abs(value) > limit) {
+      errors.push([input, `${name} must be in [-${limit},${limit}].`]);
+    }
+    return value;
+  };
+  const lat = readAxis(latDecInput, "Latitude", 90);
+  const lon = readAxis(lonDecInput, "Longitude", 180);
+  if (errors.length) return inputState({ errors });
+  if (lat == null || lon == null) {
+    return inputState({
+      missing: [lat == null ? latDecInput : lonDecInput, "Please enter both latitude and longitude."],
+    });
+  }
+  return inputState({ lat, lon });
+}
+
+// Decimal value of one row of DMS boxes, or null when incomplete or invalid
+// (the reasons are pushed to `errors`)
+function readDmsAxis(inputs, name, limit, errors) {
+  const [degInput, minInput, secInput] = inputs;
+  const parts = inputs.map(readNumberField);
+  let valid = true;
+  parts.forEach(({ value, error }, i) => {
+    const input = inputs[i];
+    if (!error && value != null) {
+      if (i === 0 && Math.abs(value) > limit) {
+        error = `${fieldLabel(input)} must be in [-${limit},${limit}].`;
+      } else if (i > 0 && (value < 0 || value >= 60)) {
+        error = `${fieldLabel(input)} must be in [0,60).`;
+      } else if (!Number.isInteger(value) && parts.slice(i + 1).some((p) => p.value != null)) {
+        error = "Only the last of degrees, minutes and seconds may have decimals.";
+      }
+    }
+    if (error) {
+      errors.push([input, error]);
+      valid = false;
+    }
+  });
+  if (!valid || parts[0].value == null) return null;
+  const { value, error } = dmsPartsToDecimal(degInput.value, minInput.value, secInput.value);
+  if (!error && Math.abs(value) <= limit) return value;
+  errors.push([degInput, error || `${name} must be in [-${limit},${limit}].`]);
+  return null;
+}
+
+function readDmsBoxesInput() {
+  const errors = [];
+  const lat = readDmsAxis([latDMSDeg, latDMSMin, latDMSSec], "Latitude", 90, errors);
+  const lon = readDmsAxis([lonDMSDeg, lonDMSMin, lonDMSSec], "Longitude", 180, errors);
+  if (errors.length) return inputState({ errors });
+  if (lat == null || lon == null) {
+    return inputState({
+      missing: [
+        lat == null ? latDMSDeg : lonDMSDeg,
+        "Degrees are required for both latitude and longitude.",
+      ],
+    });
+  }
+  return inputState({ lat, lon });
+}
+
+function readSingleDmsInput() {
+  const raw = singleDmsInput.value.trim();
+  if (!raw) return inputState();
+  const parsed = parseCoordinate(raw);
+  if (!parsed) {
+    return inputState({
+      missing: [
+        singleDmsInput,
+        "Could not parse coordinates. Expect formats like 20°44'19.7\"S 164°47'41.6\"E or S20°44.3' E164°47.7'",
+      ],
+    });
+  }
+  return stateFromParsed(parsed, singleDmsInput);
+}
+
+function readProjectedInput() {
+  const easting = readNumberField(projEastingInput);
+  const northing = readNumberField(projNorthingInput);
+  const errors = [];
+  if (easting.error) errors.push([projEastingInput, easting.error]);
+  if (northing.error) errors.push([projNorthingInput, northing.error]);
+  if (errors.length) return inputState({ errors });
+  if (easting.value == null || northing.value == null) {
+    return inputState({
+      missing: [
+        easting.value == null ? projEastingInput : projNorthingInput,
+        "Please enter both easting and northing.",
+      ],
+    });
+  }
+  const crs = projCrsSelect.value;
+  const { lat, lon } = projectedToWgs84(crs, easting.value, northing.value);
+  // Far outside the projection's area the inverse formulas return NaN
+  const err =
+    Number.isFinite(lat) && Number.isFinite(lon)
+      ? validateLatLon(lat, lon)
+      : "Easting and northing are outside this coordinate system.";
+  if (err) return inputState({ errors: [[projEastingInput, err]] });
+  return inputState({ lat, lon, format: PROJECTED_CRS[crs].label });
+}
+
+const inputReaders = {
+  [MODE_SINGLE_DEC]: readSingleDecInput,
+  [MODE_DUAL_DEC]: readDualDecInput,
+  [MODE_DMS_BOXES]: readDmsBoxesInput,
+  [MODE_SINGLE_DMS]: readSingleDmsInput,
+  [MODE_PROJECTED]: readProjectedInput,
+};
+
+// Every coordinate field; each is described by the #inputFeedback area
+const coordinateFields = [
+  singleDecInput,
+  latDecInput,
+  lonDecInput,
+  latDMSDeg,
+  latDMSMin,
+  latDMSSec,
+  lonDMSDeg,
+  lonDMSMin,
+  lonDMSSec,
+  singleDmsInput,
+  projEastingInput,
+  projNorthingInput,
+];
+
+/**
+ * "Did you mean…?" candidates for a location outside New Caledonia: the
+ * swaps and sign flips of suggestCorrections, each with its commune. Once
+ * the polygons are loaded only candidates inside a commune are kept.
+ */
+function locationSuggestions(lat, lon) {
+  return suggestCorrections(lat, lon)
+    .map((suggestion) => {
+      let commune = null;
+      try {
+        commune = communeNameAt(suggestion.lat, suggestion.lon);
+      } catch (err) {
+        console.error("Point-in-polygon check failed:", err);
+      }
+      return { ...suggestion, commune };
+    })
+    .filter((suggestion) => !communeLayer || suggestion.commune);
+}
+
+function markInvalid(input) {
+  if (!input) return;
+  input.classList.add("invalid");
+  input.setAttribute("aria-invalid", "true");
+}
+
+/**
+ * Show a reader's state under the inputs: errors (with the offending fields
+ * outlined), the parsed decimal value, parser warnings, a warning with
+ * "Did you mean…?" buttons outside New Caledonia and the commune the
+ * location falls in.
+ */
+function renderInputFeedback(state, submitted = false) {
+  if (!inputFeedback) return;
+  coordinateFields.forEach((input) => {
+    input.classList.remove("invalid");
+    input.removeAttribute("aria-invalid");
+  });
+  inputFeedback.textContent = "";
+  const addLine = (text, className) => {
+    const line = document.createElement("div");
+    line.className = className;
+    line.textContent = text;
+    inputFeedback.appendChild(line);
+    return line;
+  };
+  const addButton = (line, text, onClick) => {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "suggestion-btn";
+    btn.textContent = text;
+    btn.addEventListener("click", onClick);
+    line.append(" ", btn);
+  };
+  state.errors.forEach(([input, message]) => {
+    markInvalid(input);
+    addLine(message, "feedback-error");
+  });
+  if (state.missing) {
+    const [input, message] = state.missing;
+    if (submitted) markInvalid(input);
+    addLine(message, submitted ? "feedback-error" : "feedback-hint");
+  }
+  if (state.search) {
+    const [best] = rankCommunes(state.search, communeNames());
+    addLine(
+      best ? `Locate goes to ${best.name}.` : `No commune name matches “${state.search}”.`,
+      "feedback-hint",
+    );
+  }
+  if (state.lat != null && state.lon != null) {
+    const format = state.format ? ` (${state.format})` : "";
+    addLine(`→ ${state.lat.toFixed(6)}, ${state.lon.toFixed(6)}${format}`, "feedback-value");
+    state.warnings.forEach((warning) => addLine(warning, "feedback-warning"));
+    if (!isInBounds(state.lat, state.lon)) {
+      addLine("⚠️ Outside New Caledonia (19–23°S, 163–169°E).", "feedback-warning");
+      const suggestions = locationSuggestions(state.lat, state.lon);
+      suggestions.forEach(({ lat, lon, fixes, commune }) => {
+        const where = commune ? ` in ${commune}` : "";
+        const line = addLine(
+          `Did you mean ${lat.toFixed(6)}, ${lon.toFixed(6)}${where}? (${fixes.join(", ")})`,
+          "feedback-suggestion",
+        );
+        addButton(line, "Use this", () => identifyAt(lat, lon, true, null, state.format));
+      });
+      if (submitted && suggestions.length) {
+        const line = addLine("", "feedback-hint");
+        addButton(line, "Locate as typed", () =>
+          identifyAt(state.lat, state.lon, true, null, state.format),
+        );
+      }
+    }
+    if (communeLayer) {
+      let commune = null;
+      try {
+        commune = communeNameAt(state.lat, state.lon);
+      } catch (err) {
+        console.error("Point-in-polygon check failed:", err);
+      }
+      addLine(commune ? `Commune: ${commune}` : "No commune at this location.", "feedback-commune");
+    }
+  }
+  inputFeedback.hidden = inputFeedback.childElementCount === 0;
+}
+
+function updateInputFeedback() {
+  renderInputFeedback(inputReaders[currentMode]());
+}
+
+// Show the state on Locate. Returns false, focusing the first invalid field,
+// when it does not hold a location.
+function submitInputState(state) {
+  renderInputFeedback(state, true);
+  const problem = state.errors[0] || state.missing;
+  if (!problem) return true;
+  const [input, message] = problem;
+  if (input) input.focus();
+  announce(message);
+  return false;
+}
+
+coordinateFields.forEach((input) => input.addEventListener("input", updateInputFeedback));
+projCrsSelect.addEventListener("change", updateInputFeedback);
+
+// ---- Point attributes ----
+
+// Custom fields recorded on every point; values live in pt.properties[key]
+let attributeSchema = normalizeSchema(null);
+
+const FIELD_TYPE_NAMES = { text: 'text', date: 'date', number: 'number', select: 'choice list' };
+
+// Input for one field: a date picker, a number box, a choice list or text
+function attributeInput(field, value) {
+  let input;
+  if (field.type === 'select') {
+    input = document.createElement('select');
+    ['', ...field.options].forEach((opt) => {
+      const o = document.createElement('option');
+      o.value = opt;
+      o.textContent = opt || '—';
+      input.appendChild(o);
+    });
+  } else {
+    input = document.createElement('input');
+    input.type = field.type;
+    if (field.type === 'number') input.step = 'any';
+  }
+  input.dataset.fieldKey = field.key;
+  input.value = value ?? '';
+  return input;
+}
+
+// One labelled input per schema field, filled from `values`. The modal
+// stacks each input under its label like its other fields.
+function appendAttributeInputs(container, values, { stacked = false } = {}) {
+  attributeSchema.forEach((field) => {
+    const row = document.createElement('label');
+    row.textContent = `${field.label}:`;
+    if (stacked) row.appendChild(document.createElement('br'));
+    row.appendChild(attributeInput(field, values[field.key]));
+    container.appendChild(row);
+    if (stacked) container.append(document.createElement('br'), document.createElement('br'));
+  });
+}
+
+// { key: value } of the inputs built by appendAttributeInputs; empty or
+// invalid entries are null so that saving clears them
+function readAttributeInputs(container) {
+  const values = {};
+  attributeSchema.forEach((field) => {
+    const input = container.querySelector(`[data-field-key="${field.key}"]`);
+    if (input) values[field.key] = coerceFieldValue(field, input.value);
+  });
+  return values;
+}
+
+function renderAttributeSchema() {
+  if (!attributeFieldsList) return;
+  attributeFieldsList.innerHTML = '';
+  attributeSchema.forEach((field) => {
+    const li = document.createElement('li');
+    const name = document.createElement('span');
+    name.textContent = `${field.label} (${FIELD_TYPE_NAMES[field.type]})`;
+    if (field.options) name.title = field.options.join(', ');
+    const del = document.createElement('button');
+    del.type = 'button';
+    del.textContent = '×';
+    del.title = 'Remove field';
+    del.setAttribute('aria-label', `Remove ${field.label}`);
+    del.addEventListener('click', () => removeAttributeField(field.key));
+    li.append(name, del);
+    attributeFieldsList.appendChild(li);
+  });
+}
+
+// Changing the schema rebuilds the edit forms and popups of every point
+function refreshPointAttributes() {
+  saveSchema();
+  renderAttributeSchema();
+  points.forEach((pt) => pt.marker?.setPopupContent(generatePointPopup(pt)));
+  renderPointsList();
+}
+
+function addAttributeField() {
+  const { field, error } = makeField(newFieldLabel.value, newFieldType.value, newFieldOptions.value, attributeSchema);
+  if (error) {
+    showToast(error);
+    return;
+  }
+  attributeSchema = [...attributeSchema, field];
+  newFieldLabel.value = '';
+  newFieldOptions.value = '';
+  refreshPointAttributes();
+  announce(`Field ${field.label} added`);
+}
+
+// Values already entered stay on the points and reappear if a field with
+// the same name is added again
+function removeAttributeField(key) {
+  const field = attributeSchema.find((f) => f.key === key);
+  if (!field || !confirm(`Remove the field "${field.label}" from the points?`)) return;
+  attributeSchema = attributeSchema.filter((f) => f.key !== key);
+  refreshPointAttributes();
+  announce(`Field ${field.label} removed`);
+}
+
+addFieldBtn?.addEventListener('click', addAttributeField);
+newFieldLabel?.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') addAttributeField();
+});
+newFieldType?.addEventListener('change', () => {
+  newFieldOptions.hidden = newFieldType.value !== 'select';
+});
+
+renderAttributeSchema();
+
+function showPointModal(lat, lng, onSubmit) {
+  let modal = document.getElementById("point-modal");
+  if (!modal) {
+    modal = document.createElement("div");
+    modal.id = "point-modal";
+    modal.style.cssText =
+      "position:fixed;top:0;left:0;width:100vw;height:100vh;" +
+      "background:rgba(0,0,0,0.3);display:flex;align-items:center;" +
+      "justify-content:center;z-index:10000;";
+    modal.innerHTML =
+      `<form id="point-modal-form" style="background:#fff;padding:20px;border-radius:8px;min-width:300px;box-shadow:0 2px 8px rgba(0,0,0,0.2)">
+          <h3>Create Point</h3>
+          <label>Label (optional):<br><input type="text" name="label" style="width:100%"></label><br><br>
+          <label>Marker color:<br><input type="color" name="color" value="#ff0000"></label><br><br>
+          <label>Opacity (0-1):<br><input type="number" name="opacity" min="0" max="1" step="0.01" value="0.8"></label><br><br>
+          <div id="point-modal-fields"></div>
+          <button type="submit">Create</button>
+          <button type="button" id="point-modal-cancel">Cancel</button>
+       </form>`;
+    document.body.appendChild(modal);
+  }
+  modal.style.display = "flex";
+
+  const form = modal.querySelector("#point-modal-form");
+  const cancelBtn = modal.querySelector("#point-modal-cancel");
+  // The schema may have changed since the last point was created
+  const fieldsDiv = modal.querySelector("#point-modal-fields");
+  fieldsDiv.innerHTML = "";
+  appendAttributeInputs(fieldsDiv, {}, { stacked: true });
+  form.onsubmit = function (e) {
+    e.preventDefault();
+    const label = form.label.value || "";
+    const color = form.color.value || "#ff0000";
+    let opacity = parseFloat(form.opacity.value);
+    if (isNaN(opacity) || opacity < 0 || opacity > 1) {
+      alert("Invalid opacity value. Using default 0.8.");
+      opacity = 0.8;
+    }
+    modal.style.display = "none";
+    onSubmit({ label, color, opacity, attributes: readAttributeInputs(fieldsDiv) });
+  };
+  cancelBtn.onclick = function () {
+    modal.style.display = "none";
+  };
+}
+
+function createPointAt(lat, lng) {
+  showPointModal(lat, lng, function (values) {
+    whenCommunesLoaded(() => trackPoints('Add point', () => addPointFromModal(lat, lng, values)));
+  });
+}
+
+// Store a point created through the modal; runs once the polygons are loaded
+function addPointFromModal(lat, lng, { label, color, opacity, attributes = {} }) {
+  // Add marker to map depending on global visibility toggle
+  addPoint({
+    lat,
+    lng,
+    shape: 'circle',
+    visible: togglePoints ? togglePoints.checked : true,
+    properties: { label, color, opacity, ...attributes, ...pointLocationProps(lat, lng) },
+  });
+  savePoints();
+  // Render list
+  renderPointsList();
+}
+
+// Outline of points inside the drawn selection area
+const AREA_SELECTION_COLOR = '#ff9800';
+
+function pointOutline(pt) {
+  return areaSelectedIds.has(pt.id) ? AREA_SELECTION_COLOR : pt.properties.color;
+}
+
+// Square divIcon of a point, `size` pixels wide
+function squareIcon(pt, size) {
+  const { color, opacity } = pt.properties;
+  const border = areaSelectedIds.has(pt.id) ? `2px solid ${AREA_SELECTION_COLOR}` : `1px solid ${color}`;
+  const html = `<span style="display:inline-block;width:${size}px;height:${size}px;background:${color};opacity:${opacity};border:${border};"></span>`;
+  return L.divIcon({ html, className: '', iconSize: [size, size] });
+}
+
+// Build the Leaflet marker for a structured point based on its shape
+function buildPointMarker(pt) {
+  const { color, opacity } = pt.properties;
+  let marker;
+  if (pt.shape === 'square') {
+    marker = L.marker([pt.lat, pt.lng], { icon: squareIcon(pt, 12) });
+  } else {
+    marker = L.circleMarker([pt.lat, pt.lng], {
+      color: pointOutline(pt),
+      fillColor: color,
+      fillOpacity: opacity,
+      radius: 6,
+      renderer: pointsRenderer,
+    });
+  }
+  marker.pointId = pt.id;
+  marker.bindPopup(generatePointPopup(pt));
+  // Attach selection click; the bearing tool picks stored points instead
+  marker.on('click', (e) => {
+    if (drawTool === 'bearing') {
+      L.DomEvent.stopPropagation(e);
+      marker.closePopup();
+      pickBearingPoint(pt);
+      return;
+    }
+    // Selection shapes and measurements can be drawn over points; square
+    // markers do not bubble clicks to the map, so add the vertex here
+    if (drawTool) {
+      L.DomEvent.stopPropagation(e);
+      marker.closePopup();
+      addDrawVertex(e.latlng);
+      return;
+    }
+    if (selectionMode) {
+      selectPoint(pt.id);
+      e.originalEvent.preventDefault();
+      e.originalEvent.stopPropagation();
+    }
+  });
+  return marker;
+}
+
+/**
+ * Store a structured point and add its marker to the map. Used both for
+ * newly created points and for points restored from storage, so markers are
+ * always built the same way. A missing id is taken from pointIdCounter.
+ */
+function addPoint({ id, lat, lng, shape = 'circle', visible = true, properties, photos = [] }) {
+  const pt = { id: id != null ? id : pointIdCounter++, lat, lng, shape, visible, properties, photos };
+  if (pt.id >= pointIdCounter) pointIdCounter = pt.id + 1;
+  pt.marker = buildPointMarker(pt);
+  points.push(pt);
+  schedulePointsLayer();
+  return pt;
+}
+
+// Layer for all point markers
 let addingPoint = false;
 const pointsLayer = L.layerGroup().addTo(map);
+// Circle markers share one canvas instead of an SVG element each
+const pointsRenderer = L.canvas({ padding: 0.5 });
+
+// ---- Point clustering ----
+// Below CLUSTER_MAX_ZOOM, visible points closer than CLUSTER_RADIUS pixels
+// are drawn as one numbered marker that lists its points per commune.
+const CLUSTER_RADIUS = 60;
+const CLUSTER_MAX_ZOOM = 14;
+// Communes named in a cluster's tooltip
+const CLUSTER_TOOLTIP_COMMUNES = 5;
+let pointsLayerScheduled = false;
+
+// Redraw the point layer once on the next frame, however many points changed
+function schedulePointsLayer() {
+  if (pointsLayerScheduled) return;
+  pointsLayerScheduled = true;
+  requestAnimationFrame(refreshPointsLayer);
+}
+
+// Put the markers and clusters for the current zoom on pointsLayer. Markers
+// already there are left in place, so an open popup stays open.
+function refreshPointsLayer() {
+  pointsLayerScheduled = false;
+  const wanted = new Set();
+  // The selected point is drawn on its own, even when hidden
+  const selected = points.find((pt) => pt.id === selectedPointId);
+  if (selected) wanted.add(selected.marker);
+  const shown = points.filter((pt) => pt.visible !== false && pt !== selected);
+  const zoom = map.getZoom();
+  if (clusterPointsToggle?.checked && zoom < CLUSTER_MAX_ZOOM) {
+    const items = shown.map((pt) => {
+      const { x, y } = map.project([pt.lat, pt.lng], zoom);
+      return { x, y, pt };
+    });
+    clusterItems(items, CLUSTER_RADIUS).forEach((cluster) => {
+      wanted.add(cluster.items.length === 1 ? cluster.items[0].pt.marker : clusterMarker(cluster, zoom));
+    });
+  } else {
+    shown.forEach((pt) => wanted.add(pt.marker));
+  }
+  pointsLayer.eachLayer((layer) => {
+    if (!wanted.has(layer)) pointsLayer.removeLayer(layer);
+  });
+  wanted.forEach((layer) => {
+    if (!pointsLayer.hasLayer(layer)) pointsLayer.addLayer(layer);
+  });
+}
+
+// Numbered marker for a cluster; the tooltip gives its points per commune
+function clusterMarker(cluster, zoom) {
+  const list = cluster.items.map((item) => item.pt);
+  const count = list.length;
+  const size = count < 10 ? 'small' : count < 100 ? 'medium' : 'large';
+  const px = { small: 30, medium: 36, large: 44 }[size];
+  const marker = L.marker(map.unproject([cluster.x, cluster.y], zoom), {
+    icon: L.divIcon({
+      html: `<span>${count}</span>`,
+      className: `point-cluster point-cluster-${size}`,
+      iconSize: [px, px],
+    }),
+  });
+  const communes = pointsPerCommune(list);
+  const lines = communes
+    .slice(0, CLUSTER_TOOLTIP_COMMUNES)
+    .map(([name, n]) => `${escapeHtml(name)}: ${n}`);
+  if (communes.length > CLUSTER_TOOLTIP_COMMUNES) {
+    lines.push(`and ${communes.length - CLUSTER_TOOLTIP_COMMUNES} more communes`);
+  }
+  marker.bindTooltip(`<strong>${count} points</strong><br>${lines.join('<br>')}`, {
+    direction: 'top',
+    offset: [0, -px / 2],
+  });
+  marker.on('click', (e) => {
+    // Selection shapes and measurements can be drawn over clusters
+    if (drawTool && drawTool !== 'bearing') {
+      addDrawVertex(e.latlng);
+      return;
+    }
+    const bounds = L.latLngBounds(list.map((pt) => [pt.lat, pt.lng]));
+    map.fitBounds(bounds, { padding: [40, 40], maxZoom: CLUSTER_MAX_ZOOM });
+  });
+  return marker;
+}
 
-// Map click handler: add point, select polygon or identify
+map.on('zoomend', schedulePointsLayer);
+clusterPointsToggle?.addEventListener('change', schedulePointsLayer);
+
+// Map click handler: draw a selection area, add point, select polygon or identify
 map.on('click', (e) => {
+  if (drawTool) {
+    addDrawVertex(e.latlng);
+    return;
+  }
   // Add point mode takes precedence
   if (addingPoint) {
     addingPoint = false;
@@ -1033,16 +1937,11 @@ map.on('click', (e) => {
   if (selectionMode) {
     // Determine which polygon contains this point
     if (communeLayer) {
-      try {
-        const hits = leafletPip.pointInLayer([e.latlng.lng, e.latlng.lat], communeLayer, true);
-        if (hits.length) {
-          const layer = hits[0];
-          selectCommuneLayer(layer);
-        } else {
-          clearSelection();
-        }
-      } catch (err) {
-        console.error('leaflet-pip error:', err);
+      const layer = lookupCommune(e.latlng.lat, e.latlng.lng);
+      if (layer) {
+        selectCommuneLayer(layer);
+      } else {
+        clearSelection();
       }
     }
     return;
@@ -1051,24 +1950,33 @@ map.on('click', (e) => {
   identifyAt(e.latlng.lat, e.latlng.lng, true);
 });
 
-// ENHANCED: Identify commune at given lat/lng with improved marker visibility
-function identifyAt(lat, lng, dropMarker = false) {
-  map.setView([lat, lng], Math.max(map.getZoom(), 11));
+// ENHANCED: Identify commune at given lat/lng with improved marker visibility.
+// `inputFormat` names the coordinate format the user typed, for the popup.
+// Calls made before the polygons are loaded are queued (lazy mode).
+function identifyAt(lat, lng, dropMarker = false, zoom = null, inputFormat = null) {
+  if (!communesReadyOrQueue(() => identifyAt(lat, lng, dropMarker, zoom, inputFormat))) return;
+  map.setView([lat, lng], zoom != null ? zoom : Math.max(map.getZoom(), 11));
 
-  let popupText = "No commune found at this location.";
+  const lines = ["No commune found at this location."];
   if (communeLayer) {
-    // leaflet-pip expects [lng, lat]
-    try {
-      const hits = leafletPip.pointInLayer([lng, lat], communeLayer, true);
-      if (hits.length) {
-        const feature = hits[0].feature || {};
-        const name = feature?.properties?.name || "Unknown commune";
-        popupText = `Commune: ${name}`;
+    const { commune, province, customaryArea, nearestCommune, nearestDistance } =
+      pointLocationProps(lat, lng);
+    if (commune) lines[0] = `Commune: ${commune}`;
+    if (province) lines.push(`Province: ${province}`, `Customary area: ${customaryArea}`);
+    if (nearestCommune) {
+      if (!commune) {
+        lines.push(`Nearest commune: ${nearestCommune}, ${formatDistance(nearestDistance)} from its edge`);
+      } else if (nearestDistance <= boundaryTolerance()) {
+        lines.push(
+          `⚠️ Within ${formatDistance(nearestDistance)} of ${nearestCommune} — ` +
+            "GPS error could place this point there",
+        );
+      } else {
+        lines.push(`Nearest other commune: ${nearestCommune} (${formatDistance(nearestDistance)})`);
       }
-    } catch (err) {
-      console.error("leaflet-pip error:", err);
     }
   }
+  const plainText = lines.map((l) => l.replace(/\.$/, "")).join(". ");
 
   if (dropMarker) {
     // Remove existing marker
@@ -1079,233 +1987,364 @@ function identifyAt(lat, lng, dropMarker = false) {
       icon: coordinateMarkerIcon,
     }).addTo(map);
 
-    // Enhanced popup with coordinates and commune info
-    const coordText = `📍 ${lat.toFixed(6)}, ${lng.toFixed(6)}`;
-    const fullPopupText = `${coordText}<br>${popupText}`;
+    // Location card: the location in every format, then commune info
     activeMarker
-      .bindPopup(fullPopupText, { className: "coordinate-popup" })
+      .bindPopup(locationCard(lat, lng, lines, inputFormat), {
+        className: "coordinate-popup",
+        minWidth: 260,
+      })
       .openPopup();
 
     // Ensure marker is visible by bringing it to front
     activeMarker.setZIndexOffset(1000);
   } else {
-    showToast(popupText);
+    showToast(plainText, lines.length > 1 ? 5000 : undefined);
   }
-  announce(popupText);
+  announce(plainText);
+}
+
+/**
+ * Popup content for an identified location: commune information, the
+ * input format it was read as and a table of every coordinate format with
+ * a copy button per row.
+ */
+function locationCard(lat, lng, lines, inputFormat = null) {
+  const card = document.createElement("div");
+  card.className = "location-card";
+  const info = document.createElement("div");
+  info.className = "location-card-info";
+  lines.forEach((line, i) => {
+    const row = document.createElement("div");
+    row.textContent = line;
+    if (i === 0) row.className = "location-card-commune";
+    info.appendChild(row);
+  });
+  card.appendChild(info);
+  if (inputFormat) {
+    const readAs = document.createElement("small");
+    readAs.textContent = `Read as: ${inputFormat}`;
+    card.appendChild(readAs);
+  }
+  const table = document.createElement("table");
+  table.className = "location-card-formats";
+  locationFormats(lat, lng).forEach(({ key, label, value }) => {
+    const tr = document.createElement("tr");
+    tr.dataset.format = key;
+    const th = document.createElement("th");
+    th.scope = "row";
+    th.textContent = label;
+    const td = document.createElement("td");
+    const code = document.createElement("code");
+    code.textContent = value;
+    td.appendChild(code);
+    const copyCell = document.createElement("td");
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "copy-format-btn";
+    btn.textContent = "📋";
+    btn.title = `Copy ${label}`;
+    btn.setAttribute("aria-label", `Copy ${label}`);
+    btn.addEventListener("click", () => copyToClipboard(value, `${label} copied`));
+    copyCell.appendChild(btn);
+    tr.append(th, td, copyCell);
+    table.appendChild(tr);
+  });
+  card.appendChild(table);
+  const copyAll = document.createElement("button");
+  copyAll.type = "button";
+  copyAll.className = "copy-all-btn";
+  copyAll.textContent = "Copy all";
+  copyAll.addEventListener("click", () => {
+    const text = [
+      ...lines,
+      ...locationFormats(lat, lng).map(({ label, value }) => `${label}: ${value}`),
+    ].join("\n");
+    copyToClipboard(text, "Location copied");
+  });
+  card.appendChild(copyAll);
+  return card;
 }
 
-// Generate HTML content for a point popup: label, coordinates and commune
+// Text typed by the user, made safe for popup HTML
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Generate HTML content for a point popup: label, attributes, coordinates
+// and commune
 function generatePointPopup(point) {
   const parts = [];
   const label = point.properties.label || '';
-  if (label) parts.push(`<strong>${label}</strong>`);
+  if (label) parts.push(`<strong>${escapeHtml(label)}</strong>`);
+  attributeSchema.forEach((field) => {
+    const value = point.properties[field.key];
+    if (value != null && value !== '') parts.push(`${escapeHtml(field.label)}: ${escapeHtml(value)}`);
+  });
+  if (point.photos?.length) {
+    parts.push(`<span class="point-photos">${point.photos.map(photoThumbnailHtml).join('')}</span>`);
+  }
   parts.push(`Lat: ${point.lat.toFixed(5)}, Lon: ${point.lng.toFixed(5)}`);
-  const commune = point.properties.commune || 'Unknown';
-  parts.push(`Commune: ${commune}`);
+  const { commune, province, customaryArea, nearestCommune, nearestDistance } = point.properties;
+  parts.push(`Commune: ${commune || 'Unknown'}`);
+  if (province) parts.push(`Province: ${province}`, `Customary area: ${customaryArea}`);
+  if (nearestCommune && nearestDistance != null) {
+    const prefix = commune ? 'Nearest other commune' : 'Nearest commune';
+    parts.push(`${prefix}: ${nearestCommune} (${formatDistance(nearestDistance)})`);
+  }
   return parts.join('<br>');
 }
 
+// Rows per page of the points list: only the current page is in the DOM,
+// which keeps the panel quick with thousands of points
+const POINTS_PAGE_SIZE = 50;
+let pointsPage = 0;
+
 /**
- * Render the list of points in the layer panel. Each point entry
- * includes a visibility checkbox, label/coords, edit and delete buttons
- * and an editable form for properties.
+ * Render the current page of the points list in the layer panel. Each
+ * point entry includes a visibility checkbox, label/coords, edit and
+ * delete buttons; its edit form is built when first opened.
  */
 function renderPointsList() {
   if (!pointsList) return;
+  const pageCount = Math.max(1, Math.ceil(points.length / POINTS_PAGE_SIZE));
+  pointsPage = Math.min(Math.max(pointsPage, 0), pageCount - 1);
+  const first = pointsPage * POINTS_PAGE_SIZE;
   pointsList.innerHTML = '';
-  points.forEach((pt) => {
-    const item = document.createElement('div');
-    item.className = 'point-item';
-    if (pt.id === selectedPointId) item.classList.add('selected');
-    item.dataset.id = pt.id;
-    // Header
-    const header = document.createElement('div');
-    header.className = 'point-header';
-    // visibility checkbox
-    const visCheckbox = document.createElement('input');
-    visCheckbox.type = 'checkbox';
-    visCheckbox.checked = pt.visible !== false;
-    visCheckbox.addEventListener('change', () => {
-      togglePointVisibility(pt.id, visCheckbox.checked);
-    });
-    header.appendChild(visCheckbox);
-    // label/coords text
-    const span = document.createElement('span');
-    const lbl = pt.properties.label ? pt.properties.label : '';
-    span.textContent = lbl ? `${lbl} (${pt.lat.toFixed(4)}, ${pt.lng.toFixed(4)})` : `${pt.lat.toFixed(4)}, ${pt.lng.toFixed(4)}`;
-    span.title = 'Click to select';
-    span.style.cursor = 'pointer';
-    span.addEventListener('click', () => {
-      selectPoint(pt.id);
-    });
-    header.appendChild(span);
-    // edit button
-    const editBtn = document.createElement('button');
-    editBtn.type = 'button';
-    editBtn.textContent = 'Edit';
-    editBtn.title = 'Edit point';
-    header.appendChild(editBtn);
-    // delete button
-    const delBtn = document.createElement('button');
-    delBtn.type = 'button';
-    delBtn.textContent = '×';
-    delBtn.title = 'Delete point';
-    header.appendChild(delBtn);
-    item.appendChild(header);
-    // Edit form
-    const editDiv = document.createElement('div');
-    editDiv.className = 'point-edit';
-    editDiv.hidden = true;
-    // Label field
-    const labelRow = document.createElement('label');
-    labelRow.textContent = 'Label:';
-    const labelInput = document.createElement('input');
-    labelInput.type = 'text';
-    labelInput.value = pt.properties.label || '';
-    labelRow.appendChild(labelInput);
-    editDiv.appendChild(labelRow);
-    // Colour
-    const colorRow = document.createElement('label');
-    colorRow.textContent = 'Color:';
-    const colorInput = document.createElement('input');
-    colorInput.type = 'color';
-    colorInput.value = pt.properties.color || '#ff0000';
-    colorRow.appendChild(colorInput);
-    editDiv.appendChild(colorRow);
-    // Opacity
-    const opRow = document.createElement('label');
-    opRow.textContent = 'Opacity:';
-    const opInput = document.createElement('input');
-    opInput.type = 'range';
-    opInput.min = 0;
-    opInput.max = 1;
-    opInput.step = 0.05;
-    opInput.value = pt.properties.opacity != null ? pt.properties.opacity : 0.8;
-    opRow.appendChild(opInput);
-    editDiv.appendChild(opRow);
-    // Shape selector
-    const shapeRow = document.createElement('label');
-    shapeRow.textContent = 'Shape:';
-    const shapeSelect = document.createElement('select');
-    ['circle', 'square'].forEach((opt) => {
-      const o = document.createElement('option');
-      o.value = opt;
-      o.textContent = opt.charAt(0).toUpperCase() + opt.slice(1);
-      if (pt.shape === opt) o.selected = true;
-      shapeSelect.appendChild(o);
-    });
-    shapeRow.appendChild(shapeSelect);
-    editDiv.appendChild(shapeRow);
-    // Latitude
-    const latRow = document.createElement('label');
-    latRow.textContent = 'Latitude:';
-    const latInput = document.createElement('input');
-    latInput.type = 'number';
-    latInput.step = 'any';
-    latInput.value = pt.lat;
-    latRow.appendChild(latInput);
-    editDiv.appendChild(latRow);
-    // Longitude
-    const lonRow = document.createElement('label');
-    lonRow.textContent = 'Longitude:';
-    const lonInput = document.createElement('input');
-    lonInput.type = 'number';
-    lonInput.step = 'any';
-    lonInput.value = pt.lng;
-    lonRow.appendChild(lonInput);
-    editDiv.appendChild(lonRow);
-    // Commune (read-only)
-    const comRow = document.createElement('label');
-    comRow.textContent = 'Commune:';
-    const comDisplay = document.createElement('input');
-    comDisplay.type = 'text';
-    comDisplay.value = pt.properties.commune || '';
-    comDisplay.readOnly = true;
-    comRow.appendChild(comDisplay);
-    editDiv.appendChild(comRow);
-    // Save button
-    const saveBtn = document.createElement('button');
-    saveBtn.type = 'button';
-    saveBtn.textContent = 'Save';
-    saveBtn.addEventListener('click', () => {
-      const updates = {
-        label: labelInput.value.trim(),
-        color: colorInput.value,
-        opacity: parseFloat(opInput.value),
-        shape: shapeSelect.value,
-        lat: parseFloat(latInput.value),
-        lng: parseFloat(lonInput.value),
-      };
-      updatePoint(pt.id, updates);
-      editDiv.hidden = true;
-    });
-    editDiv.appendChild(saveBtn);
-    // Cancel button
-    const cancelBtn = document.createElement('button');
-    cancelBtn.type = 'button';
-    cancelBtn.textContent = 'Cancel';
-    cancelBtn.addEventListener('click', () => {
-      editDiv.hidden = true;
-    });
-    editDiv.appendChild(cancelBtn);
-    item.appendChild(editDiv);
-    // Attach header button actions
-    editBtn.addEventListener('click', () => {
-      editDiv.hidden = !editDiv.hidden;
-    });
-    delBtn.addEventListener('click', () => {
-      deletePoint(pt.id);
-    });
-    pointsList.appendChild(item);
+  points.slice(first, first + POINTS_PAGE_SIZE).forEach((pt) => {
+    pointsList.appendChild(pointListItem(pt));
   });
+  if (pointsPager) {
+    pointsPager.hidden = pageCount === 1;
+    pointsPageInfo.textContent =
+      `${first + 1}–${Math.min(first + POINTS_PAGE_SIZE, points.length)} of ${points.length}`;
+    pointsPrevBtn.disabled = pointsPage === 0;
+    pointsNextBtn.disabled = pointsPage === pageCount - 1;
+  }
+  // Keep the selected commune's and the area selection's lists in sync
+  renderCommunePoints();
+  renderAreaSelection();
 }
 
-// Toggle visibility of all points at once
-function toggleAllPoints(visible) {
-  points.forEach((pt) => {
-    togglePointVisibility(pt.id, visible);
-  });
+function showPointsPage(page) {
+  pointsPage = page;
   renderPointsList();
+  pointsList.firstElementChild?.scrollIntoView({ block: 'nearest' });
 }
 
-// Toggle visibility of a single point
-function togglePointVisibility(id, visible) {
-  const pt = points.find((p) => p.id === id);
-  if (!pt) return;
-  pt.visible = visible;
-  if (visible) {
-    pt.marker.addTo(pointsLayer);
-  } else {
-    map.removeLayer(pt.marker);
-  }
-}
+pointsPrevBtn?.addEventListener('click', () => showPointsPage(pointsPage - 1));
+pointsNextBtn?.addEventListener('click', () => showPointsPage(pointsPage + 1));
 
-// Update a point's properties and marker
-function updatePoint(id, updates) {
+// Entry of the points list: header row, edit form added on demand
+function pointListItem(pt) {
+  const item = document.createElement('div');
+  item.className = 'point-item';
+  if (pt.id === selectedPointId) item.classList.add('selected');
+  item.dataset.id = pt.id;
+  // Header
+  const header = document.createElement('div');
+  header.className = 'point-header';
+  // visibility checkbox
+  const visCheckbox = document.createElement('input');
+  visCheckbox.type = 'checkbox';
+  visCheckbox.checked = pt.visible !== false;
+  visCheckbox.addEventListener('change', () => {
+    trackPoints(visCheckbox.checked ? 'Show point' : 'Hide point', () => {
+      togglePointVisibility(pt.id, visCheckbox.checked);
+    });
+  });
+  header.appendChild(visCheckbox);
+  // label/coords text
+  const span = document.createElement('span');
+  const lbl = pt.properties.label ? pt.properties.label : '';
+  span.textContent = lbl ? `${lbl} (${pt.lat.toFixed(4)}, ${pt.lng.toFixed(4)})` : `${pt.lat.toFixed(4)}, ${pt.lng.toFixed(4)}`;
+  span.title = 'Click to select';
+  span.style.cursor = 'pointer';
+  span.addEventListener('click', () => {
+    selectPoint(pt.id);
+  });
+  header.appendChild(span);
+  // edit button
+  const editBtn = document.createElement('button');
+  editBtn.type = 'button';
+  editBtn.textContent = 'Edit';
+  editBtn.title = 'Edit point';
+  header.appendChild(editBtn);
+  // delete button
+  const delBtn = document.createElement('button');
+  delBtn.type = 'button';
+  delBtn.textContent = '×';
+  delBtn.title = 'Delete point';
+  header.appendChild(delBtn);
+  item.appendChild(header);
+  // Attach header button actions
+  editBtn.addEventListener('click', () => togglePointEditForm(item, pt));
+  delBtn.addEventListener('click', () => {
+    trackPoints('Delete point', () => deletePoint(pt.id));
+    showToast('Point deleted (Ctrl+Z to undo)');
+  });
+  return item;
+}
+
+// Show or hide (or flip) the edit form of a list entry, building it first
+function togglePointEditForm(item, pt, show) {
+  let editDiv = item.querySelector('.point-edit');
+  if (!editDiv) {
+    editDiv = pointEditForm(pt);
+    editDiv.hidden = true;
+    item.appendChild(editDiv);
+  }
+  editDiv.hidden = show != null ? !show : !editDiv.hidden;
+}
+
+// Editable form for a point's properties
+function pointEditForm(pt) {
+  const editDiv = document.createElement('div');
+  editDiv.className = 'point-edit';
+  // Label field
+  const labelRow = document.createElement('label');
+  labelRow.textContent = 'Label:';
+  const labelInput = document.createElement('input');
+  labelInput.type = 'text';
+  labelInput.value = pt.properties.label || '';
+  labelRow.appendChild(labelInput);
+  editDiv.appendChild(labelRow);
+  // Colour
+  const colorRow = document.createElement('label');
+  colorRow.textContent = 'Color:';
+  const colorInput = document.createElement('input');
+  colorInput.type = 'color';
+  colorInput.value = pt.properties.color || '#ff0000';
+  colorRow.appendChild(colorInput);
+  editDiv.appendChild(colorRow);
+  // Opacity
+  const opRow = document.createElement('label');
+  opRow.textContent = 'Opacity:';
+  const opInput = document.createElement('input');
+  opInput.type = 'range';
+  opInput.min = 0;
+  opInput.max = 1;
+  opInput.step = 0.05;
+  opInput.value = pt.properties.opacity != null ? pt.properties.opacity : 0.8;
+  opRow.appendChild(opInput);
+  editDiv.appendChild(opRow);
+  // Shape selector
+  const shapeRow = document.createElement('label');
+  shapeRow.textContent = 'Shape:';
+  const shapeSelect = document.createElement('select');
+  ['circle', 'square'].forEach((opt) => {
+    const o = document.createElement('option');
+    o.value = opt;
+    o.textContent = opt.charAt(0).toUpperCase() + opt.slice(1);
+    if (pt.shape === opt) o.selected = true;
+    shapeSelect.appendChild(o);
+  });
+  shapeRow.appendChild(shapeSelect);
+  editDiv.appendChild(shapeRow);
+  // Custom attribute fields
+  appendAttributeInputs(editDiv, pt.properties);
+  // Latitude
+  const latRow = document.createElement('label');
+  latRow.textContent = 'Latitude:';
+  const latInput = document.createElement('input');
+  latInput.type = 'number';
+  latInput.step = 'any';
+  latInput.value = pt.lat;
+  latRow.appendChild(latInput);
+  editDiv.appendChild(latRow);
+  // Longitude
+  const lonRow = document.createElement('label');
+  lonRow.textContent = 'Longitude:';
+  const lonInput = document.createElement('input');
+  lonInput.type = 'number';
+  lonInput.step = 'any';
+  lonInput.value = pt.lng;
+  lonRow.appendChild(lonInput);
+  editDiv.appendChild(lonRow);
+  // Commune (read-only)
+  const comRow = document.createElement('label');
+  comRow.textContent = 'Commune:';
+  const comDisplay = document.createElement('input');
+  comDisplay.type = 'text';
+  comDisplay.value = pt.properties.commune || '';
+  comDisplay.readOnly = true;
+  comRow.appendChild(comDisplay);
+  editDiv.appendChild(comRow);
+  // Photos: open or remove the attached ones, attach more
+  editDiv.appendChild(pointPhotosEditor(pt));
+  // Save button
+  const saveBtn = document.createElement('button');
+  saveBtn.type = 'button';
+  saveBtn.textContent = 'Save';
+  saveBtn.addEventListener('click', () => {
+    const updates = {
+      label: labelInput.value.trim(),
+      color: colorInput.value,
+      opacity: parseFloat(opInput.value),
+      shape: shapeSelect.value,
+      lat: parseFloat(latInput.value),
+      lng: parseFloat(lonInput.value),
+      attributes: readAttributeInputs(editDiv),
+    };
+    const save = () => trackPoints('Edit point', () => updatePoint(pt.id, updates));
+    // A moved point's commune needs the polygons, which lazy mode loads now
+    if (updates.lat !== pt.lat || updates.lng !== pt.lng) whenCommunesLoaded(save);
+    else save();
+    editDiv.hidden = true;
+  });
+  editDiv.appendChild(saveBtn);
+  // Cancel button
+  const cancelBtn = document.createElement('button');
+  cancelBtn.type = 'button';
+  cancelBtn.textContent = 'Cancel';
+  cancelBtn.addEventListener('click', () => {
+    editDiv.hidden = true;
+  });
+  editDiv.appendChild(cancelBtn);
+  return editDiv;
+}
+
+// Toggle visibility of all points at once
+function toggleAllPoints(visible) {
+  points.forEach((pt) => {
+    togglePointVisibility(pt.id, visible, { refresh: false });
+  });
+  savePoints();
+  renderPointsList();
+}
+
+// Toggle visibility of a single point (refresh as in updatePoint)
+function togglePointVisibility(id, visible, { refresh = true } = {}) {
+  const pt = points.find((p) => p.id === id);
+  if (!pt) return;
+  pt.visible = visible;
+  schedulePointsLayer();
+  if (refresh) savePoints();
+}
+
+// Update a point's properties and marker. Bulk edits pass refresh: false
+// and save and re-render the list once at the end. Moving a point recomputes
+// its commune, so callers wait for the polygons (whenCommunesLoaded).
+function updatePoint(id, updates, { refresh = true } = {}) {
   const idx = points.findIndex((p) => p.id === id);
   if (idx === -1) return;
   const pt = points[idx];
   // Update coordinates
   const newLat = typeof updates.lat === 'number' && Number.isFinite(updates.lat) ? updates.lat : pt.lat;
   const newLng = typeof updates.lng === 'number' && Number.isFinite(updates.lng) ? updates.lng : pt.lng;
-  // Recompute commune if lat/lng changed
-  let newCommune = pt.properties.commune;
-  if (newLat !== pt.lat || newLng !== pt.lng) {
-    try {
-      if (communeLayer) {
-        const hits = leafletPip.pointInLayer([newLng, newLat], communeLayer, true);
-        if (hits.length) newCommune = hits[0].feature?.properties?.name || null;
-      }
-    } catch (err) {
-      console.error('Point-in-polygon check failed:', err);
-    }
-  }
+  // Recompute commune and nearest neighbour if lat/lng changed
+  const moved = newLat !== pt.lat || newLng !== pt.lng;
   // Update properties
   const newProps = {
+    ...pt.properties,
     label: updates.label != null ? updates.label : pt.properties.label,
     color: updates.color != null ? updates.color : pt.properties.color,
     opacity: updates.opacity != null ? updates.opacity : pt.properties.opacity,
-    commune: newCommune,
+    ...(updates.attributes || {}),
+    ...(moved ? pointLocationProps(newLat, newLng) : {}),
   };
   // Update shape
   const newShape = updates.shape || pt.shape || 'circle';
@@ -1313,71 +2352,517 @@ function updatePoint(id, updates) {
   const oldMarker = pt.marker;
   const wasVisible = pt.visible !== false;
   if (oldMarker) {
-    map.removeLayer(oldMarker);
+    pointsLayer.removeLayer(oldMarker);
   }
   // Create new marker based on shape
-  let newMarker;
-  if (newShape === 'square') {
-    // Use a divIcon with square styling
-    const size = 12;
-    const html = `<span style="display:inline-block;width:${size}px;height:${size}px;background:${newProps.color};opacity:${newProps.opacity};border:1px solid ${newProps.color};"></span>`;
-    const icon = L.divIcon({ html, className: '', iconSize: [size, size] });
-    newMarker = L.marker([newLat, newLng], { icon });
-  } else {
-    newMarker = L.circleMarker([newLat, newLng], {
-      color: newProps.color,
-      fillColor: newProps.color,
-      fillOpacity: newProps.opacity,
-      radius: 6,
-    });
-  }
-  newMarker.pointId = id;
-  newMarker.bindPopup(generatePointPopup({ ...pt, lat: newLat, lng: newLng, properties: newProps }));
-  // Attach click handler for selection
-  newMarker.on('click', (e) => {
-    if (selectionMode) {
-      selectPoint(id);
-      e.originalEvent.preventDefault();
-      e.originalEvent.stopPropagation();
-    }
-  });
-  // Add to map if visible
-  if (wasVisible) newMarker.addTo(pointsLayer);
-  // Update stored point object
-  points[idx] = {
+  const updated = {
     id,
-    marker: newMarker,
     lat: newLat,
     lng: newLng,
     shape: newShape,
     visible: wasVisible,
     properties: newProps,
+    photos: updates.photos || pt.photos || [],
   };
-  // If this point is selected, update popup and highlight
+  const newMarker = buildPointMarker(updated);
+  // Update stored point object
+  points[idx] = { ...updated, marker: newMarker };
+  // If this point is selected, show it now and update popup
   if (selectedPointId === id) {
+    refreshPointsLayer();
     newMarker.openPopup();
+  } else {
+    schedulePointsLayer();
   }
+  if (!refresh) return;
+  savePoints();
   // Refresh list
   renderPointsList();
 }
 
-// Delete a point completely
-function deletePoint(id) {
+// Delete a point completely (refresh as in updatePoint)
+function deletePoint(id, { refresh = true } = {}) {
   const idx = points.findIndex((p) => p.id === id);
   if (idx === -1) return;
   const pt = points[idx];
   // Remove marker
   if (pt.marker) {
-    map.removeLayer(pt.marker);
+    pointsLayer.removeLayer(pt.marker);
   }
   points.splice(idx, 1);
+  areaSelectedIds.delete(id);
+  schedulePointsLayer();
   // Clear selection if this point was selected
   if (selectedPointId === id) {
     selectedPointId = null;
   }
+  if (!refresh) return;
+  savePoints();
+  renderPointsList();
+}
+
+// ---- Photo attachments ----
+
+// Photos and their thumbnails live in IndexedDB, too big for localStorage;
+// each point keeps { id, name, takenAt } records in pt.photos
+const PHOTO_DB = { name: 'nccl-photos', version: 2, store: 'photos', thumbnails: 'thumbnails' };
+// Longest side of the thumbnails shown in popups and edit forms, in pixels
+const THUMBNAIL_SIZE = 160;
+
+let photoDbPromise = null;
+// Thumbnail data URLs already read from IndexedDB, by photo id
+const thumbnailUrls = new Map();
+
+function openPhotoDb() {
+  if (!photoDbPromise) {
+    photoDbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('Photo storage is not available in this browser.'));
+        return;
+      }
+      const req = indexedDB.open(PHOTO_DB.name, PHOTO_DB.version);
+      req.onupgradeneeded = () => {
+        [PHOTO_DB.store, PHOTO_DB.thumbnails].forEach((name) => {
+          if (!req.result.objectStoreNames.contains(name)) req.result.createObjectStore(name);
+        });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+  return photoDbPromise;
+}
+
+// Run one request on a photo database store and resolve with its result
+function photoStoreRequest(mode, makeRequest, storeName = PHOTO_DB.store) {
+  return openPhotoDb().then(
+    (db) =>
+      new Promise((resolve, reject) => {
+        const req = makeRequest(db.transaction(storeName, mode).objectStore(storeName));
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      }),
+  );
+}
+
+function clearStoredPhotos() {
+  return Promise.all(
+    [PHOTO_DB.store, PHOTO_DB.thumbnails].map((name) =>
+      photoStoreRequest('readwrite', (store) => store.clear(), name),
+    ),
+  ).catch((err) => {
+    console.warn('Failed to clear stored photos:', err);
+  });
+}
+
+// Photos no point refers to any more (deleted points, removed photos).
+// Only run at startup: until then the undo history may still need them.
+function removeOrphanPhotos() {
+  if (!window.indexedDB) return;
+  const used = new Set(points.flatMap((pt) => pt.photos.map((photo) => photo.id)));
+  [PHOTO_DB.store, PHOTO_DB.thumbnails].forEach((name) => {
+    photoStoreRequest('readonly', (store) => store.getAllKeys(), name)
+      .then((keys) => {
+        keys
+          .filter((key) => !used.has(key))
+          .forEach((key) => photoStoreRequest('readwrite', (store) => store.delete(key), name));
+      })
+      .catch((err) => console.warn('Failed to clean up stored photos:', err));
+  });
+}
+
+// Keep a thumbnail in IndexedDB (and the in-memory cache) under its photo id
+function storeThumbnail(photoId, url) {
+  thumbnailUrls.set(photoId, url);
+  return photoStoreRequest('readwrite', (store) => store.put(url, photoId), PHOTO_DB.thumbnails).catch((err) => {
+    console.warn('Failed to store thumbnail:', err);
+  });
+}
+
+// Points saved before thumbnails moved to IndexedDB carry them inline:
+// move them out of the record so localStorage only holds the ids
+function moveInlineThumbnail({ thumbnail, ...photo }) {
+  if (thumbnail) storeThumbnail(photo.id, thumbnail);
+  return photo;
+}
+
+// Swap the name shown in photo buttons under `container` for their thumbnail
+function showThumbnails(container) {
+  container.querySelectorAll('[data-photo-id]').forEach((btn) => {
+    if (btn.querySelector('img')) return;
+    const { photoId } = btn.dataset;
+    const cached = thumbnailUrls.get(photoId);
+    const thumbnail = cached
+      ? Promise.resolve(cached)
+      : photoStoreRequest('readonly', (store) => store.get(photoId), PHOTO_DB.thumbnails);
+    thumbnail
+      .then((url) => {
+        if (!url) return;
+        thumbnailUrls.set(photoId, url);
+        const img = document.createElement('img');
+        img.src = url;
+        img.alt = btn.dataset.photoName || '';
+        btn.replaceChildren(img);
+      })
+      .catch(() => {});
+  });
+}
+
+function isJpeg(file) {
+  return file.type === 'image/jpeg' || /\.jpe?g$/i.test(file.name);
+}
+
+// JPEG data URL of a reduced copy of the image, or null when the browser
+// cannot decode it
+function makeThumbnail(file) {
+  if (typeof createImageBitmap !== 'function') return Promise.resolve(null);
+  return createImageBitmap(file)
+    .then((image) => {
+      const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(image.width, image.height));
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(image.width * scale);
+      canvas.height = Math.round(image.height * scale);
+      const ctx = canvas.getContext('2d');
+      if (!ctx) return null;
+      ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+      image.close();
+      return canvas.toDataURL('image/jpeg', 0.7);
+    })
+    .catch(() => null);
+}
+
+/**
+ * Store a JPEG file and its thumbnail in IndexedDB and build the record
+ * kept on its point; `exif` is the file's readPhotoExif result, if any.
+ */
+function storePhoto(file, exif) {
+  const photo = {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    name: file.name,
+    takenAt: exif?.takenAt ?? null,
+  };
+  const stored = photoStoreRequest('readwrite', (store) => store.put(file, photo.id)).catch((err) => {
+    console.warn(`Failed to store ${file.name}:`, err);
+  });
+  const thumbnail = makeThumbnail(file).then((url) => url && storeThumbnail(photo.id, url));
+  return Promise.all([thumbnail, stored]).then(() => photo);
+}
+
+// EXIF of each JPEG file as { file, exif }; exif is null when unreadable
+function readPhotoFiles(files) {
+  return Promise.all(
+    files.map((file) =>
+      file
+        .arrayBuffer()
+        .then((buffer) => ({ file, exif: readPhotoExif(buffer) }))
+        .catch(() => ({ file, exif: null })),
+    ),
+  );
+}
+
+/**
+ * Create one point per dropped JPEG at the GPS position in its EXIF, with
+ * the photo attached. The time taken fills the schema's first date field.
+ */
+function importPhotos(files) {
+  const jpegs = files.filter(isJpeg);
+  if (!jpegs.length) {
+    showToast('Drop JPEG photos to create points from their GPS position.');
+    return;
+  }
+  readPhotoFiles(jpegs)
+    .then((results) => {
+      const located = results.filter(({ exif }) => exif && exif.lat != null && !validateLatLon(exif.lat, exif.lng));
+      const withoutGps = results.length - located.length;
+      return Promise.all(located.map(({ file, exif }) => storePhoto(file, exif).then((photo) => ({ photo, exif }))))
+        .then((stored) => new Promise((resolve) => whenCommunesLoaded(() => resolve(stored))))
+        .then((stored) => {
+          const dateField = attributeSchema.find((f) => f.type === 'date');
+          // All the photos are undone in one step
+          trackPoints('Import photos', () => {
+            stored.forEach(({ photo, exif }) => {
+              const properties = {
+                label: photo.name.replace(/\.[^.]+$/, ''),
+                color: '#ff0000',
+                opacity: 0.8,
+                ...pointLocationProps(exif.lat, exif.lng),
+              };
+              if (dateField) properties[dateField.key] = coerceFieldValue(dateField, photo.takenAt);
+              addPoint({
+                lat: exif.lat,
+                lng: exif.lng,
+                visible: togglePoints ? togglePoints.checked : true,
+                properties,
+                photos: [photo],
+              });
+            });
+          });
+          savePoints();
+          renderPointsList();
+          let summary = `Created ${stored.length} point${stored.length === 1 ? '' : 's'} from photos.`;
+          if (withoutGps) {
+            summary += ` ${withoutGps} photo${withoutGps === 1 ? ' has' : 's have'} no GPS position; attach ${withoutGps === 1 ? 'it' : 'them'} from a point's edit form.`;
+          }
+          showToast(summary, 5000);
+          announce(summary);
+        });
+    })
+    .catch((err) => {
+      console.error('Photo import failed:', err);
+      showToast(`Photo import failed: ${err.message}`);
+    });
+}
+
+// Attach JPEG files to an existing point, whether or not they carry GPS
+function attachPhotos(id, files) {
+  const jpegs = files.filter(isJpeg);
+  if (jpegs.length < files.length) showToast('Only JPEG photos can be attached.');
+  if (!jpegs.length) return;
+  readPhotoFiles(jpegs)
+    .then((results) => Promise.all(results.map(({ file, exif }) => storePhoto(file, exif))))
+    .then((photos) => {
+      const pt = points.find((p) => p.id === id);
+      if (!pt) return;
+      trackPoints(photos.length === 1 ? 'Attach photo' : 'Attach photos', () => {
+        updatePoint(id, { photos: [...pt.photos, ...photos] });
+      });
+    })
+    .catch((err) => {
+      console.error('Attaching photos failed:', err);
+      showToast(`Attaching photos failed: ${err.message}`);
+    });
+}
+
+// Open the full-size photo in a new tab
+function openPhoto(photoId) {
+  photoStoreRequest('readonly', (store) => store.get(photoId))
+    .then((blob) => {
+      if (!blob) throw new Error('missing');
+      const url = URL.createObjectURL(blob);
+      window.open(url, '_blank');
+      setTimeout(() => URL.revokeObjectURL(url), 60000);
+    })
+    .catch(() => showToast('This photo is not stored in this browser.'));
+}
+
+function photoTitle(photo) {
+  return photo.takenAt ? `${photo.name} (${photo.takenAt.replace('T', ' ')})` : photo.name;
+}
+
+// Popup button showing a photo's name; showThumbnails swaps in the
+// thumbnail once it has been read from IndexedDB
+function photoThumbnailHtml(photo) {
+  const name = escapeHtml(photo.name);
+  const url = thumbnailUrls.get(photo.id);
+  const content = url ? `<img src="${url}" alt="${name}">` : `📷 ${name}`;
+  return `<button type="button" class="point-photo" data-photo-id="${escapeHtml(photo.id)}" data-photo-name="${name}" title="${escapeHtml(photoTitle(photo))}">${content}</button>`;
+}
+
+// Photos section of a point's edit form
+function pointPhotosEditor(pt) {
+  const box = document.createElement('div');
+  box.className = 'point-photos';
+  pt.photos.forEach((photo) => {
+    const wrap = document.createElement('span');
+    wrap.innerHTML = photoThumbnailHtml(photo);
+    wrap.firstChild.addEventListener('click', () => openPhoto(photo.id));
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.textContent = '×';
+    remove.title = 'Remove photo';
+    remove.setAttribute('aria-label', `Remove ${photo.name}`);
+    remove.addEventListener('click', () => {
+      trackPoints('Remove photo', () => {
+        updatePoint(pt.id, { photos: pt.photos.filter((p) => p.id !== photo.id) });
+      });
+    });
+    wrap.appendChild(remove);
+    box.appendChild(wrap);
+  });
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = 'image/jpeg';
+  input.multiple = true;
+  input.hidden = true;
+  showThumbnails(box);
+  input.addEventListener('change', () => {
+    attachPhotos(pt.id, [...input.files]);
+    input.value = '';
+  });
+  const attachBtn = document.createElement('button');
+  attachBtn.type = 'button';
+  attachBtn.textContent = 'Attach photo';
+  attachBtn.addEventListener('click', () => input.click());
+  box.append(input, attachBtn);
+  return box;
+}
+
+// Popup thumbnails open the full photo
+map.on('popupopen', (e) => {
+  const el = e.popup.getElement();
+  if (!el) return;
+  el.querySelectorAll('[data-photo-id]').forEach((btn) => {
+    btn.addEventListener('click', () => openPhoto(btn.dataset.photoId));
+  });
+  showThumbnails(el);
+});
+
+// Dropping photos on the map creates points at their GPS positions
+const mapContainer = map.getContainer();
+const hasFiles = (e) => Array.from(e.dataTransfer?.types || []).includes('Files');
+mapContainer.addEventListener('dragover', (e) => {
+  if (!hasFiles(e)) return;
+  e.preventDefault();
+  mapContainer.classList.add('photo-dragover');
+});
+mapContainer.addEventListener('dragleave', () => {
+  mapContainer.classList.remove('photo-dragover');
+});
+mapContainer.addEventListener('drop', (e) => {
+  if (!hasFiles(e)) return;
+  e.preventDefault();
+  mapContainer.classList.remove('photo-dragover');
+  importPhotos(Array.from(e.dataTransfer.files));
+});
+
+// ---- Undo / redo ----
+// Each undoable action runs inside trackPoints(), which compares the points
+// before and after and keeps the records of those that changed (null when
+// absent). Undo puts the "before" records back, redo the "after" ones.
+// Nested calls (bulk edits made of single edits) count as one step.
+const HISTORY_LIMIT = 100;
+const undoStack = [];
+const redoStack = [];
+let historyDepth = 0;
+
+// id → { index, pt, visible } for every point. Changes replace point
+// objects rather than modify them, except visibility toggles, so comparing
+// objects and flags finds the changed points without serialising them all.
+function pointSnapshot() {
+  const snapshot = new Map();
+  points.forEach((pt, index) => snapshot.set(pt.id, { index, pt, visible: pt.visible }));
+  return snapshot;
+}
+
+// { index, record } kept in the history for a snapshot entry, or null
+function historyEntry(entry) {
+  if (!entry) return null;
+  const { marker, ...rest } = entry.pt;
+  return { index: entry.index, record: { ...rest, visible: entry.visible, properties: { ...rest.properties } } };
+}
+
+// Run `change` and record what it did to the points under `label`
+function trackPoints(label, change) {
+  if (historyDepth > 0) {
+    change();
+    return;
+  }
+  const before = pointSnapshot();
+  historyDepth++;
+  try {
+    change();
+  } finally {
+    historyDepth--;
+  }
+  const after = pointSnapshot();
+  const changes = [...new Set([...before.keys(), ...after.keys()])]
+    .filter((id) => before.get(id)?.pt !== after.get(id)?.pt || before.get(id)?.visible !== after.get(id)?.visible)
+    .map((id) => ({ id, before: historyEntry(before.get(id)), after: historyEntry(after.get(id)) }))
+    // Saving an unchanged edit form replaces the point with an equal one
+    .filter((c) => !c.before || !c.after || JSON.stringify(c.before.record) !== JSON.stringify(c.after.record));
+  if (!changes.length) return;
+  undoStack.push({ label, changes });
+  if (undoStack.length > HISTORY_LIMIT) undoStack.shift();
+  redoStack.length = 0;
+  updateHistoryButtons();
+}
+
+// Put one side ('before' or 'after') of recorded changes back in place:
+// the changed points are removed, then their records re-inserted at their
+// positions in ascending order, which restores the original list order.
+function restorePoints(changes, side) {
+  changes.forEach(({ id }) => {
+    const idx = points.findIndex((p) => p.id === id);
+    if (idx === -1) return;
+    pointsLayer.removeLayer(points[idx].marker);
+    points.splice(idx, 1);
+  });
+  changes
+    .map((c) => c[side])
+    .filter(Boolean)
+    .sort((a, b) => a.index - b.index)
+    .forEach(({ index, record }) => {
+      const pt = { ...record, properties: { ...record.properties } };
+      pt.marker = buildPointMarker(pt);
+      points.splice(Math.min(index, points.length), 0, pt);
+    });
+  if (!points.some((p) => p.id === selectedPointId)) selectedPointId = null;
+  // Points the change took away leave the area selection
+  const ids = new Set(points.map((p) => p.id));
+  areaSelectedIds.forEach((id) => {
+    if (!ids.has(id)) areaSelectedIds.delete(id);
+  });
+  renderAreaSelection();
+  schedulePointsLayer();
+  // Undoing "Hide all points" ticks Show points again
+  if (togglePoints && points.length) togglePoints.checked = points.some((p) => p.visible !== false);
+  savePoints();
   renderPointsList();
 }
 
+function undoPoints() {
+  const step = undoStack.pop();
+  if (!step) return;
+  restorePoints(step.changes, 'before');
+  redoStack.push(step);
+  updateHistoryButtons();
+  showToast(`Undone: ${step.label}`);
+  announce(`Undone: ${step.label}`);
+}
+
+function redoPoints() {
+  const step = redoStack.pop();
+  if (!step) return;
+  restorePoints(step.changes, 'after');
+  undoStack.push(step);
+  updateHistoryButtons();
+  showToast(`Redone: ${step.label}`);
+  announce(`Redone: ${step.label}`);
+}
+
+function updateHistoryButtons() {
+  if (!undoBtn) return;
+  const undo = undoStack[undoStack.length - 1];
+  const redo = redoStack[redoStack.length - 1];
+  undoBtn.disabled = !undo;
+  redoBtn.disabled = !redo;
+  undoBtn.title = undo ? `Undo ${undo.label} (Ctrl+Z)` : 'Nothing to undo';
+  redoBtn.title = redo ? `Redo ${redo.label} (Ctrl+Shift+Z)` : 'Nothing to redo';
+}
+
+undoBtn?.addEventListener('click', undoPoints);
+redoBtn?.addEventListener('click', redoPoints);
+
+// Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS; Ctrl+Y also redoes). Text fields keep
+// their own undo.
+document.addEventListener('keydown', (e) => {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+  const target = e.target;
+  if (target.isContentEditable || (/^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName) && target.type !== 'checkbox')) {
+    return;
+  }
+  const key = e.key.toLowerCase();
+  if (key === 'z' && !e.shiftKey) {
+    e.preventDefault();
+    undoPoints();
+  } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+    e.preventDefault();
+    redoPoints();
+  }
+});
+
+updateHistoryButtons();
+
 // Select a point by id: highlight marker, open popup and scroll to list item
 function selectPoint(id) {
   const pt = points.find((p) => p.id === id);
@@ -1391,20 +2876,18 @@ function selectPoint(id) {
     pt.marker.setStyle({ radius: 9, weight: 2 });
   } else if (pt.shape === 'square' && pt.marker.setIcon) {
     // enlarge square icon
-    const size = 16;
-    const html = `<span style="display:inline-block;width:${size}px;height:${size}px;background:${pt.properties.color};opacity:${pt.properties.opacity};border:1px solid ${pt.properties.color};"></span>`;
-    const icon = L.divIcon({ html, className: '', iconSize: [size, size] });
-    pt.marker.setIcon(icon);
+    pt.marker.setIcon(squareIcon(pt, 16));
   }
-  pt.marker.addTo(pointsLayer);
+  // The selected point is drawn even when hidden or inside a cluster
+  refreshPointsLayer();
   pt.marker.openPopup();
-  // Scroll into view and expand form
+  // Turn to its page, scroll into view and expand form
+  pointsPage = Math.floor(points.indexOf(pt) / POINTS_PAGE_SIZE);
   renderPointsList();
   const listItem = pointsList?.querySelector(`.point-item[data-id="${id}"]`);
   if (listItem) {
     listItem.scrollIntoView({ block: 'nearest' });
-    const editDiv = listItem.querySelector('.point-edit');
-    if (editDiv) editDiv.hidden = false;
+    togglePointEditForm(listItem, pt, true);
   }
   // Update selection mode UI
   updateSelectionModeUI();
@@ -1427,6 +2910,8 @@ function selectCommuneLayer(layer) {
   const linkHtml = wiki ? `<a href="${wiki}" target="_blank">Wikipedia</a>` : '';
   layer.bindPopup(`Commune: ${name}${linkHtml ? '<br>' + linkHtml : ''}`).openPopup();
   updateSelectionModeUI();
+  renderCommunePoints();
+  renderCommuneInfo();
 }
 
 // Toggle selection mode visually
@@ -1459,56 +2944,1283 @@ function clearSelection() {
       if (pt.shape === 'circle' && pt.marker.setStyle) {
         pt.marker.setStyle({ radius: 6, weight: 1 });
       } else if (pt.shape === 'square' && pt.marker.setIcon) {
-        const size = 12;
-        const html = `<span style="display:inline-block;width:${size}px;height:${size}px;background:${pt.properties.color};opacity:${pt.properties.opacity};border:1px solid ${pt.properties.color};"></span>`;
-        const icon = L.divIcon({ html, className: '', iconSize: [size, size] });
-        pt.marker.setIcon(icon);
+        pt.marker.setIcon(squareIcon(pt, 12));
       }
       pt.marker.closePopup();
     }
     selectedPointId = null;
+    schedulePointsLayer();
   }
   // Remove selection mode UI
   selectionMode = false;
   updateSelectionModeUI();
   announce('Selection cleared');
   renderPointsList();
+  renderCommuneInfo();
 }
 
-// Remove the active locate marker
-function clearActiveMarker() {
-  if (activeMarker) {
-    map.removeLayer(activeMarker);
-    activeMarker = null;
+// ---- Selected commune information ----
+// Measured from the polygon itself (geo.mjs), so the panel works offline.
+// Neighbours share boundary edges; the adjacency is computed on first use.
+let communeAdjacency = null;
+
+// [{ label, value, neighbours? }] rows of the info panel for a commune
+function communeInfoRows(name) {
+  const entry = communeEntries.find((e) => e.name === name);
+  if (!entry) return [];
+  if (!communeAdjacency) communeAdjacency = polygonAdjacency(communeEntries);
+  const { geometry, bbox } = entry;
+  const hierarchy = communeHierarchy(name);
+  const centroid = geometryCentroid(geometry);
+  const neighbours = communeAdjacency.get(name) || [];
+  const rows = [{ label: 'Commune', value: name }];
+  if (hierarchy) {
+    rows.push(
+      { label: 'Province', value: hierarchy.province },
+      { label: 'Customary area', value: hierarchy.customaryArea },
+    );
   }
+  rows.push(
+    { label: 'Area', value: `${(geometryAreaSqMeters(geometry) / 1e6).toFixed(2)} km²` },
+    { label: 'Perimeter', value: `${(geometryPerimeterMeters(geometry) / 1000).toFixed(2)} km` },
+    {
+      label: 'Centroid',
+      value: centroid ? `${centroid[1].toFixed(6)}, ${centroid[0].toFixed(6)}` : '—',
+    },
+    { label: 'Bounding box (W, S, E, N)', value: bbox.map((v) => v.toFixed(5)).join(', ') },
+    { label: 'Parts', value: String(geometryPartCount(geometry)) },
+    {
+      label: 'Neighbours',
+      value: neighbours.length
+        ? neighbours.map((n) => `${n.name} (${formatDistance(n.sharedMeters)})`).join(', ')
+        : 'None',
+      neighbours,
+    },
+  );
+  return rows;
 }
 
-// Name search: accent/case-insensitive substring search over communeLayer
-function searchByName(raw) {
-  if (!communeLayer) {
-    showToast("Data not loaded yet.");
-    return;
+function renderCommuneInfo() {
+  if (!communeInfoSection) return;
+  const name = selectedCommuneName();
+  communeInfoSection.hidden = !name;
+  if (!name) return;
+  communeInfoTitle.textContent = `About ${name}`;
+  communeInfoList.innerHTML = '';
+  communeInfoRows(name).forEach(({ label, value, neighbours }) => {
+    const dt = document.createElement('dt');
+    dt.textContent = label;
+    const dd = document.createElement('dd');
+    const text = document.createElement('span');
+    if (neighbours && neighbours.length) {
+      // Neighbour names select that commune
+      neighbours.forEach((n, i) => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'neighbour-btn';
+        btn.textContent = n.name;
+        btn.title = `Select ${n.name}`;
+        btn.addEventListener('click', () => selectCommuneByName(n.name));
+        text.append(i ? ', ' : '', btn, ` (${formatDistance(n.sharedMeters)})`);
+      });
+    } else {
+      text.textContent = value;
+    }
+    const copy = document.createElement('button');
+    copy.type = 'button';
+    copy.className = 'copy-format-btn';
+    copy.textContent = '📋';
+    copy.title = `Copy ${label}`;
+    copy.setAttribute('aria-label', `Copy ${label}`);
+    copy.addEventListener('click', () => copyToClipboard(value, `${label} copied`));
+    dd.append(text, copy);
+    communeInfoList.append(dt, dd);
+  });
+}
+
+// Select a commune by name and frame it
+function selectCommuneByName(name) {
+  let match = null;
+  communeLayer?.eachLayer((layer) => {
+    if (!match && layer.feature?.properties?.name === name) match = layer;
+  });
+  if (!match) return;
+  map.fitBounds(match.getBounds());
+  selectCommuneLayer(match);
+}
+
+copyCommuneInfoBtn?.addEventListener('click', () => {
+  const name = selectedCommuneName();
+  if (!name) return;
+  const text = communeInfoRows(name)
+    .map(({ label, value }) => `${label}: ${value}`)
+    .join('\n');
+  copyToClipboard(text, 'Commune info copied');
+});
+
+// ---- Points in the selected commune ----
+// Uses the commune cached on each point, so no point-in-polygon work here.
+
+function selectedCommuneName() {
+  return selectedPolygon?.feature?.properties?.name || null;
+}
+
+function pointsInCommune(name) {
+  return points.filter((pt) => pt.properties.commune === name);
+}
+
+// File-name friendly commune name: "L'Île-des-Pins" → "L_Ile-des-Pins"
+function communeSlug(name) {
+  return name
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^A-Za-z0-9-]+/g, '_');
+}
+
+// Show the count and list of points in the selected commune, or hide the panel
+function renderCommunePoints() {
+  if (!communePointsSection) return;
+  const name = selectedCommuneName();
+  communePointsSection.hidden = !name;
+  if (!name) return;
+  const list = pointsInCommune(name);
+  communePointsTitle.textContent = `Points in ${name}`;
+  communePointsCount.textContent =
+    `${list.length} point${list.length === 1 ? '' : 's'} in ${name}`;
+  communePointsList.innerHTML = '';
+  list.forEach((pt) => {
+    const li = document.createElement('li');
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    const coords = `${pt.lat.toFixed(5)}, ${pt.lng.toFixed(5)}`;
+    btn.textContent = pt.properties.label ? `${pt.properties.label} (${coords})` : coords;
+    btn.title = 'Zoom to this point';
+    btn.addEventListener('click', () => zoomToPoint(pt));
+    li.appendChild(btn);
+    communePointsList.appendChild(li);
+  });
+  zoomCommunePointsBtn.disabled = list.length === 0;
+  exportCommunePointsBtn.disabled = list.length === 0;
+}
+
+// Centre the map on a point and open its popup when the marker is shown;
+// zooming in far enough to split clusters waits for the zoom to finish
+function zoomToPoint(pt) {
+  const openPopup = () => {
+    refreshPointsLayer();
+    if (map.hasLayer(pt.marker)) pt.marker.openPopup();
+  };
+  if (map.getZoom() >= CLUSTER_MAX_ZOOM) {
+    map.setView([pt.lat, pt.lng]);
+    openPopup();
+  } else {
+    map.once('zoomend', openPopup);
+    map.setView([pt.lat, pt.lng], CLUSTER_MAX_ZOOM);
   }
-  const q = normalize(raw);
-  let matchLayer = null;
-  communeLayer.eachLayer((layer) => {
-    if (matchLayer) return; // early exit after first match
-    const name = layer.feature?.properties?.name || "";
-    if (normalize(name).includes(q)) matchLayer = layer;
+}
+
+zoomCommunePointsBtn?.addEventListener('click', () => {
+  const list = pointsInCommune(selectedCommuneName());
+  if (!list.length) return;
+  map.fitBounds(L.latLngBounds(list.map((pt) => [pt.lat, pt.lng])), { maxZoom: 14, padding: [20, 20] });
+});
+
+exportCommunePointsBtn?.addEventListener('click', () => {
+  const name = selectedCommuneName();
+  if (!name) return;
+  exportPoints(
+    pointsInCommune(name),
+    exportFormatSelect ? exportFormatSelect.value : 'geojson',
+    `points_${communeSlug(name)}`,
+  );
+});
+
+// ---- Drawing on the map: area selection and measurements ----
+// Rectangles and circles take two clicks (opposite corners, or centre then
+// edge). Polygons, areas and distances take one click per vertex and finish
+// on a double-click or Enter; polygons and areas also close on a click on
+// the first corner. Bearings take two clicks on stored points. Escape
+// cancels the drawing.
+let drawTool = null;
+let drawVertices = [];
+let drawPreview = null;
+// First stored point picked for a bearing
+let bearingStart = null;
+
+const DRAW_STYLE = {
+  color: AREA_SELECTION_COLOR,
+  weight: 2,
+  dashArray: '6 4',
+  fillOpacity: 0.1,
+  interactive: false,
+};
+
+const DRAW_HINTS = {
+  rectangle: 'Click two opposite corners of the rectangle',
+  circle: 'Click the centre of the circle, then a point on its edge',
+  polygon: 'Click each corner, then double-click or press Enter to close the polygon',
+  distance: 'Click along the path, then double-click or press Enter to finish',
+  area: 'Click each corner, then double-click or press Enter to close the area',
+  bearing: 'Click the stored point to measure from',
+};
+
+// Tools finished by a double-click or Enter, with their minimum vertex count
+const PATH_TOOLS = { polygon: 3, area: 3, distance: 2 };
+const MEASURE_TOOLS = ['distance', 'area', 'bearing'];
+
+function startDrawing(tool) {
+  cancelDrawing();
+  if (addingPoint) {
+    addingPoint = false;
+    addPointBtn.classList.remove('active');
+  }
+  if (MEASURE_TOOLS.includes(tool)) discardMeasurement();
+  drawTool = tool;
+  // The second click of a double-click closes paths instead of zooming
+  map.doubleClickZoom.disable();
+  document.body.classList.add('drawing');
+  updateDrawToolButtons();
+  showToast(DRAW_HINTS[tool]);
+}
+
+function cancelDrawing() {
+  if (drawPreview) map.removeLayer(drawPreview);
+  drawPreview = null;
+  drawVertices = [];
+  bearingStart = null;
+  if (drawTool) map.doubleClickZoom.enable();
+  drawTool = null;
+  document.body.classList.remove('drawing');
+  updateDrawToolButtons();
+}
+
+function updateDrawToolButtons() {
+  drawToolBtns.forEach((btn) => {
+    const active = btn.dataset.drawTool === drawTool;
+    btn.classList.toggle('active', active);
+    btn.setAttribute('aria-pressed', String(active));
   });
-  if (!matchLayer) {
-    showToast("No match found.");
-    announce("No match found");
+  measureBtn?.classList.toggle('active', MEASURE_TOOLS.includes(drawTool));
+}
+
+// Leaflet layer for a tool through the given L.LatLng vertices
+function drawShapeLayer(tool, vertices, style = DRAW_STYLE) {
+  if (tool === 'rectangle') return L.rectangle(L.latLngBounds(vertices[0], vertices[1]), style);
+  if (tool === 'circle') {
+    return L.circle(vertices[0], { ...style, radius: vertices[0].distanceTo(vertices[1]) });
+  }
+  if (tool === 'distance' || tool === 'bearing') return L.polyline(vertices, style);
+  return vertices.length > 2 ? L.polygon(vertices, style) : L.polyline(vertices, style);
+}
+
+// Redraw the shape in progress, following the mouse when `cursor` is given.
+// Measurements in progress are shown live in the Measurements section.
+function updateDrawPreview(cursor = null) {
+  if (drawPreview) map.removeLayer(drawPreview);
+  drawPreview = null;
+  const vertices = cursor ? [...drawVertices, cursor] : drawVertices;
+  if (vertices.length < 2) return;
+  drawPreview = drawShapeLayer(drawTool, vertices).addTo(map);
+  if (vertices.length >= (PATH_TOOLS[drawTool] || 2) && MEASURE_TOOLS.includes(drawTool)) {
+    const coordinates = vertices.map((ll) => [ll.lat, ll.lng]);
+    measureResult.textContent = measurementText({ type: drawTool, ...measureValues(drawTool, coordinates) });
+  }
+}
+
+// Distance in screen pixels between two map locations
+function screenDistance(a, b) {
+  return map.latLngToContainerPoint(a).distanceTo(map.latLngToContainerPoint(b));
+}
+
+function addDrawVertex(latlng) {
+  if (drawTool === 'bearing') {
+    showToast('Click one of your stored points');
     return;
   }
-  const { name } = matchLayer.feature.properties;
-  map.fitBounds(matchLayer.getBounds());
-  matchLayer.bindPopup(`Commune: ${name}`).openPopup();
-  announce(`Found commune: ${name}`);
+  const last = drawVertices[drawVertices.length - 1];
+  // Ignore the second click of a double-click
+  if (last && screenDistance(last, latlng) < 4) return;
+  const closes = drawTool === 'polygon' || drawTool === 'area';
+  if (closes && drawVertices.length >= 3 && screenDistance(drawVertices[0], latlng) < 10) {
+    finishDrawing();
+    return;
+  }
+  drawVertices.push(latlng);
+  if (!PATH_TOOLS[drawTool] && drawVertices.length === 2) finishDrawing();
+  else updateDrawPreview();
 }
 
-// Register locate handlers
-locateHandlers[MODE_SINGLE_DEC] = locateFromSingleDec;
-locateHandlers[MODE_DUAL_DEC] = locateFromDualDec;
-locateHandlers[MODE_DMS_BOXES] = locateFromDmsBoxes;
-locateHandlers[MODE_SINGLE_DMS] = locateFromSingleDms;
+// Test telling whether a point lies inside a drawn shape
+function shapeContains(tool, vertices) {
+  if (tool === 'rectangle') {
+    const bounds = L.latLngBounds(vertices[0], vertices[1]);
+    return (pt) => bounds.contains([pt.lat, pt.lng]);
+  }
+  if (tool === 'circle') {
+    const radius = vertices[0].distanceTo(vertices[1]);
+    return (pt) => vertices[0].distanceTo([pt.lat, pt.lng]) <= radius;
+  }
+  const ring = vertices.map((ll) => [ll.lng, ll.lat]);
+  return (pt) => inRing(pt.lng, pt.lat, ring);
+}
+
+function finishDrawing() {
+  const minimum = PATH_TOOLS[drawTool] || 2;
+  if (drawVertices.length < minimum) {
+    showToast(drawTool === 'distance' ? 'Click at least two points' : 'Click at least three corners');
+    return;
+  }
+  const tool = drawTool;
+  const vertices = drawVertices;
+  cancelDrawing();
+  if (MEASURE_TOOLS.includes(tool)) {
+    showMeasurement({ type: tool, coordinates: vertices.map((ll) => [ll.lat, ll.lng]) });
+  } else {
+    selectPointsInArea(drawShapeLayer(tool, vertices), shapeContains(tool, vertices));
+  }
+}
+
+// Bearing tool: the first stored point clicked is the origin, the second
+// the target
+function pickBearingPoint(pt) {
+  if (!bearingStart) {
+    bearingStart = pt;
+    drawVertices = [L.latLng(pt.lat, pt.lng)];
+    showToast('Now click the stored point to measure to');
+    return;
+  }
+  if (pt.id === bearingStart.id) return;
+  const from = bearingStart;
+  cancelDrawing();
+  showMeasurement({
+    type: 'bearing',
+    coordinates: [[from.lat, from.lng], [pt.lat, pt.lng]],
+    from: pointName(from),
+    to: pointName(pt),
+  });
+}
+
+// ---- Area selection ----
+
+// Select every point (shown or hidden) passing `contains`, keeping `layer`
+// on the map as the outline of the selection
+function selectPointsInArea(layer, contains) {
+  clearAreaSelection();
+  areaSelectionLayer = layer.addTo(map);
+  points.filter(contains).forEach((pt) => {
+    areaSelectedIds.add(pt.id);
+    updatePointOutline(pt);
+  });
+  renderAreaSelection();
+  const count = areaSelectedIds.size;
+  announce(`${count} point${count === 1 ? '' : 's'} selected`);
+}
+
+function clearAreaSelection() {
+  const previous = areaSelectedPoints();
+  areaSelectedIds.clear();
+  previous.forEach(updatePointOutline);
+  if (areaSelectionLayer) map.removeLayer(areaSelectionLayer);
+  areaSelectionLayer = null;
+  renderAreaSelection();
+}
+
+function areaSelectedPoints() {
+  return points.filter((pt) => areaSelectedIds.has(pt.id));
+}
+
+// Restyle a marker after it entered or left the area selection
+function updatePointOutline(pt) {
+  if (pt.shape === 'square') {
+    pt.marker.setIcon(squareIcon(pt, pt.id === selectedPointId ? 16 : 12));
+  } else {
+    pt.marker.setStyle({ color: pointOutline(pt) });
+  }
+}
+
+// [[commune, count]] of a list of points, most points first; points outside
+// every commune are counted together
+function pointsPerCommune(list) {
+  const counts = new Map();
+  list.forEach((pt) => {
+    const name = pt.properties.commune || 'Outside any commune';
+    counts.set(name, (counts.get(name) || 0) + 1);
+  });
+  return [...counts].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+}
+
+// Show the number of selected points per commune and enable the bulk actions
+function renderAreaSelection() {
+  if (!areaSelectionCount) return;
+  const list = areaSelectedPoints();
+  areaSelectionCount.textContent = areaSelectionLayer
+    ? `${list.length} point${list.length === 1 ? '' : 's'} selected`
+    : 'Draw a shape to select the points inside it.';
+  areaSelectionCommunes.innerHTML = '';
+  pointsPerCommune(list).forEach(([name, count]) => {
+    const li = document.createElement('li');
+    li.textContent = `${name}: ${count}`;
+    areaSelectionCommunes.appendChild(li);
+  });
+  [bulkRecolorBtn, bulkShapeBtn, bulkHideBtn, bulkDeleteBtn, bulkExportBtn].forEach((btn) => {
+    btn.disabled = list.length === 0;
+  });
+  clearAreaSelectionBtn.disabled = !areaSelectionLayer;
+}
+
+// Apply the same updates to every selected point as one undoable step, then
+// save and render once
+function updateAreaSelection(updates, historyLabel, message) {
+  const list = areaSelectedPoints();
+  trackPoints(historyLabel, () => {
+    list.forEach((pt) => updatePoint(pt.id, updates, { refresh: false }));
+  });
+  savePoints();
+  renderPointsList();
+  announce(`${message} ${list.length} point${list.length === 1 ? '' : 's'}`);
+}
+
+drawToolBtns.forEach((btn) => {
+  btn.addEventListener('click', () => {
+    if (drawTool === btn.dataset.drawTool) cancelDrawing();
+    else startDrawing(btn.dataset.drawTool);
+  });
+});
+
+map.on('mousemove', (e) => {
+  if (drawTool && drawVertices.length) updateDrawPreview(e.latlng);
+});
+
+map.on('dblclick', () => {
+  if (PATH_TOOLS[drawTool]) finishDrawing();
+});
+
+document.addEventListener('keydown', (e) => {
+  if (!drawTool) return;
+  if (e.key === 'Escape') {
+    cancelDrawing();
+    announce('Drawing cancelled');
+  } else if (e.key === 'Enter' && PATH_TOOLS[drawTool]) {
+    e.preventDefault();
+    finishDrawing();
+  }
+});
+
+bulkRecolorBtn?.addEventListener('click', () => {
+  updateAreaSelection({ color: bulkColor.value }, 'Recolour selected points', 'Recoloured');
+});
+
+bulkShapeBtn?.addEventListener('click', () => {
+  updateAreaSelection({ shape: bulkShape.value }, 'Change shape of selected points', 'Changed the shape of');
+});
+
+bulkHideBtn?.addEventListener('click', () => {
+  const list = areaSelectedPoints();
+  trackPoints('Hide selected points', () => {
+    list.forEach((pt) => togglePointVisibility(pt.id, false, { refresh: false }));
+  });
+  savePoints();
+  renderPointsList();
+  announce(`Hid ${list.length} point${list.length === 1 ? '' : 's'}`);
+});
+
+bulkDeleteBtn?.addEventListener('click', () => {
+  const list = areaSelectedPoints();
+  if (!list.length) return;
+  if (!confirm(`Delete the ${list.length} selected point${list.length === 1 ? '' : 's'}?`)) return;
+  trackPoints('Delete selected points', () => {
+    list.forEach((pt) => deletePoint(pt.id, { refresh: false }));
+  });
+  savePoints();
+  clearAreaSelection();
+  renderPointsList();
+  announce(`Deleted ${list.length} point${list.length === 1 ? '' : 's'}`);
+});
+
+bulkExportBtn?.addEventListener('click', () => {
+  exportPoints(
+    areaSelectedPoints(),
+    exportFormatSelect ? exportFormatSelect.value : 'geojson',
+    'points_selection',
+  );
+});
+
+clearAreaSelectionBtn?.addEventListener('click', () => {
+  clearAreaSelection();
+  announce('Area selection cleared');
+});
+
+// Nothing is selected yet: disable the bulk actions
+renderAreaSelection();
+
+// ---- Measurements ----
+// Geodesic values from geo.mjs. A finished measurement waits in the
+// Measurements section until it is saved as an annotation or discarded.
+const MEASURE_NAMES = { distance: 'Distance', area: 'Area', bearing: 'Bearing' };
+const MEASUREMENT_STYLE = { color: ANNOTATION_COLOR, weight: 3, fillOpacity: 0.15 };
+
+const measurementsLayer = L.layerGroup().addTo(map);
+let pendingMeasurement = null;
+let pendingMeasurementLayer = null;
+
+// Label of a stored point, or its coordinates
+function pointName(pt) {
+  return pt.properties.label || `${pt.lat.toFixed(5)}, ${pt.lng.toFixed(5)}`;
+}
+
+/**
+ * Values of a measurement through [lat, lng] vertices: { length } for a
+ * distance, { area, length } (perimeter) for an area and
+ * { bearing, length } for a bearing. Metres, square metres and degrees.
+ */
+function measureValues(type, coordinates) {
+  const lngLat = coordinates.map(([lat, lng]) => [lng, lat]);
+  if (type === 'area') {
+    const ring = [...lngLat, lngLat[0]];
+    return {
+      area: geometryAreaSqMeters({ type: 'Polygon', coordinates: [ring] }),
+      length: lineLengthMeters(ring),
+    };
+  }
+  if (type === 'bearing') {
+    const { distance, bearing } = geodesicInverse(lngLat[0], lngLat[1]);
+    return { bearing, length: distance };
+  }
+  return { length: lineLengthMeters(lngLat) };
+}
+
+// "1.23 km", "12.35 ha (perimeter 1.42 km)" or "47.3° NE, 1.23 km"
+function measurementText(m) {
+  if (m.type === 'area') return `${formatArea(m.area)} (perimeter ${formatDistance(m.length)})`;
+  if (m.type === 'bearing') {
+    return `${m.bearing.toFixed(1)}° ${compassPoint(m.bearing)}, ${formatDistance(m.length)}`;
+  }
+  return formatDistance(m.length);
+}
+
+const measurementLatLngs = (m) => m.coordinates.map(([lat, lng]) => L.latLng(lat, lng));
+
+// Show a finished measurement, ready to be saved
+function showMeasurement(m) {
+  discardMeasurement();
+  pendingMeasurement = { ...m, ...measureValues(m.type, m.coordinates) };
+  pendingMeasurementLayer = drawShapeLayer(m.type, measurementLatLngs(m)).addTo(map);
+  const text = `${MEASURE_NAMES[m.type]}: ${measurementText(pendingMeasurement)}`;
+  measureResult.textContent = m.type === 'bearing' ? `${text} from ${m.from} to ${m.to}` : text;
+  saveMeasurementBtn.disabled = false;
+  discardMeasurementBtn.disabled = false;
+  announce(measureResult.textContent);
+}
+
+function discardMeasurement() {
+  if (pendingMeasurementLayer) map.removeLayer(pendingMeasurementLayer);
+  pendingMeasurementLayer = null;
+  pendingMeasurement = null;
+  if (!measureResult) return;
+  measureResult.textContent = 'Pick a tool, then click on the map.';
+  saveMeasurementBtn.disabled = true;
+  discardMeasurementBtn.disabled = true;
+}
+
+// Store a measurement and draw it as a labelled annotation
+function addMeasurement(m) {
+  const saved = { ...m, id: m.id != null ? m.id : measurementIdCounter++ };
+  if (saved.id >= measurementIdCounter) measurementIdCounter = saved.id + 1;
+  saved.layer = drawShapeLayer(saved.type, measurementLatLngs(saved), MEASUREMENT_STYLE)
+    .bindTooltip(`${saved.label}: ${measurementText(saved)}`, {
+      permanent: true,
+      direction: 'center',
+      className: 'measurement-tooltip',
+    })
+    .addTo(measurementsLayer);
+  measurements.push(saved);
+  return saved;
+}
+
+function saveMeasurement() {
+  if (!pendingMeasurement) return;
+  const m = pendingMeasurement;
+  const id = measurementIdCounter;
+  const fallback = m.type === 'bearing' ? `${m.from} → ${m.to}` : `${MEASURE_NAMES[m.type]} ${id}`;
+  const saved = addMeasurement({ ...m, id, label: measureLabel.value.trim() || fallback });
+  measureLabel.value = '';
+  discardMeasurement();
+  saveMeasurements();
+  renderMeasurements();
+  announce(`Saved ${saved.label}`);
+}
+
+function deleteMeasurement(id) {
+  const idx = measurements.findIndex((m) => m.id === id);
+  if (idx === -1) return;
+  measurementsLayer.removeLayer(measurements[idx].layer);
+  measurements.splice(idx, 1);
+  saveMeasurements();
+  renderMeasurements();
+}
+
+// List saved measurements with zoom and delete buttons
+function renderMeasurements() {
+  if (!measurementsList) return;
+  measurementsList.innerHTML = '';
+  measurements.forEach((m) => {
+    const li = document.createElement('li');
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.textContent = `${m.label}: ${measurementText(m)}`;
+    btn.title = 'Zoom to this measurement';
+    btn.addEventListener('click', () => {
+      map.fitBounds(L.latLngBounds(measurementLatLngs(m)), { maxZoom: 16, padding: [20, 20] });
+    });
+    const del = document.createElement('button');
+    del.type = 'button';
+    del.className = 'delete-measurement-btn';
+    del.textContent = '×';
+    del.title = 'Delete measurement';
+    del.setAttribute('aria-label', `Delete ${m.label}`);
+    del.addEventListener('click', () => deleteMeasurement(m.id));
+    li.append(btn, del);
+    measurementsList.appendChild(li);
+  });
+}
+
+// Annotation record for writePointsFile: coordinates as [lng, lat]
+function measurementExportRecord(m) {
+  return {
+    geometry: m.type === 'area' ? 'polygon' : 'line',
+    coordinates: m.coordinates.map(([lat, lng]) => [lng, lat]),
+    attributes: {
+      label: m.label,
+      measure: m.type,
+      result: measurementText(m),
+      length_m: Math.round(m.length * 100) / 100,
+      area_m2: m.area != null ? Math.round(m.area) : null,
+      bearing_deg: m.bearing != null ? Math.round(m.bearing * 10) / 10 : null,
+      from: m.from ?? null,
+      to: m.to ?? null,
+    },
+  };
+}
+
+measureBtn?.addEventListener('click', () => {
+  if (MEASURE_TOOLS.includes(drawTool)) cancelDrawing();
+  else startDrawing('distance');
+});
+saveMeasurementBtn?.addEventListener('click', saveMeasurement);
+discardMeasurementBtn?.addEventListener('click', discardMeasurement);
+measureLabel?.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') saveMeasurement();
+});
+
+discardMeasurement();
+
+// Remove the active locate marker
+function clearActiveMarker() {
+  if (activeMarker) {
+    map.removeLayer(activeMarker);
+    activeMarker = null;
+  }
+}
+
+// Name search: accent/case-insensitive substring search over communeLayer
+function searchByName(raw) {
+  if (!communesReadyOrQueue(() => searchByName(raw))) return;
+  if (!communeLayer) {
+    showToast("Commune data unavailable.");
+    return;
+  }
+  const [best] = rankCommunes(raw, communeNames());
+  let matchLayer = null;
+  communeLayer.eachLayer((layer) => {
+    if (!matchLayer && best && layer.feature?.properties?.name === best.name) matchLayer = layer;
+  });
+  if (!matchLayer) {
+    showToast("No match found.");
+    announce("No match found");
+    return;
+  }
+  const { name } = matchLayer.feature.properties;
+  const alias = best.matched !== name ? ` (${best.matched})` : "";
+  map.fitBounds(matchLayer.getBounds());
+  matchLayer.bindPopup(`Commune: ${name}${alias}`).openPopup();
+  announce(`Found commune: ${name}`);
+}
+
+// Commune names, from the polygons once loaded and from hierarchy.js before
+function communeNames() {
+  return communeEntries.length ? communeEntries.map((e) => e.name) : Object.keys(COMMUNE_HIERARCHY);
+}
+
+// ---- Commune name autocomplete ----
+// ARIA combobox on the single decimal input: text that is not a coordinate
+// lists the matching communes, best first. Arrow keys move the active
+// option, Enter or a click goes to it and Escape closes the list.
+const communeSuggestions = document.getElementById("communeSuggestions");
+// rankCommunes results shown in the list and the index of the active one
+let communeMatches = [];
+let activeCommuneMatch = -1;
+
+function renderCommuneSuggestions() {
+  if (!communeSuggestions) return;
+  communeSuggestions.textContent = "";
+  communeMatches.forEach(({ name, matched }, i) => {
+    const option = document.createElement("li");
+    option.id = `communeOption-${i}`;
+    option.setAttribute("role", "option");
+    option.setAttribute("aria-selected", i === activeCommuneMatch ? "true" : "false");
+    option.textContent = name;
+    if (matched !== name) {
+      const alias = document.createElement("span");
+      alias.className = "commune-alias";
+      alias.textContent = ` (${matched})`;
+      option.appendChild(alias);
+    }
+    // Keep the focus in the input while clicking
+    option.addEventListener("mousedown", (e) => e.preventDefault());
+    option.addEventListener("click", () => chooseCommuneMatch(i));
+    communeSuggestions.appendChild(option);
+  });
+  const open = communeMatches.length > 0;
+  communeSuggestions.hidden = !open;
+  singleDecInput.setAttribute("aria-expanded", open ? "true" : "false");
+  if (open && activeCommuneMatch >= 0) {
+    singleDecInput.setAttribute("aria-activedescendant", `communeOption-${activeCommuneMatch}`);
+    document.getElementById(`communeOption-${activeCommuneMatch}`)?.scrollIntoView({ block: "nearest" });
+  } else {
+    singleDecInput.removeAttribute("aria-activedescendant");
+  }
+}
+
+function updateCommuneSuggestions() {
+  const raw = singleDecInput.value.trim();
+  communeMatches = raw && !parseCoordinate(raw) ? rankCommunes(raw, communeNames()) : [];
+  activeCommuneMatch = -1;
+  renderCommuneSuggestions();
+}
+
+function closeCommuneSuggestions() {
+  communeMatches = [];
+  activeCommuneMatch = -1;
+  renderCommuneSuggestions();
+}
+
+function chooseCommuneMatch(index) {
+  const match = communeMatches[index];
+  if (!match) return;
+  singleDecInput.value = match.name;
+  closeCommuneSuggestions();
+  updateInputFeedback();
+  searchByName(match.name);
+}
+
+// Enter on the input: go to the active option if there is one
+function chooseActiveCommuneMatch() {
+  if (activeCommuneMatch < 0) return false;
+  chooseCommuneMatch(activeCommuneMatch);
+  return true;
+}
+
+singleDecInput.addEventListener("input", updateCommuneSuggestions);
+singleDecInput.addEventListener("blur", closeCommuneSuggestions);
+singleDecInput.addEventListener("keydown", (e) => {
+  if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+    if (!communeMatches.length) {
+      updateCommuneSuggestions();
+      if (!communeMatches.length) return;
+    }
+    e.preventDefault();
+    const count = communeMatches.length;
+    if (e.key === "ArrowDown") activeCommuneMatch = (activeCommuneMatch + 1) % count;
+    else activeCommuneMatch = activeCommuneMatch <= 0 ? count - 1 : activeCommuneMatch - 1;
+    renderCommuneSuggestions();
+  } else if (e.key === "Escape" && communeMatches.length) {
+    e.preventDefault();
+    closeCommuneSuggestions();
+  }
+});
+
+// -----------------------------------------------------------------------------
+// Batch geocoding: assign a commune to every row of a dropped CSV/TSV file.
+// Coordinates come from a latitude and a longitude column (decimal or DMS) or
+// from one column holding both; rows are flagged in a status column, never dropped.
+
+const BATCH_CHUNK_SIZE = 500;
+const BATCH_LAT_HEADERS = [/^lat/, /latitude/, /^y$/];
+const BATCH_LON_HEADERS = [/^lon/, /^lng/, /longitude/, /^x$/];
+const BATCH_PAIR_HEADERS = [/coord/, /position/, /lat.*lon/];
+
+// Parsed file awaiting column selection: { name, delimiter, header, rows }
+let batchFile = null;
+
+// Index of the first header matching any of the patterns, or -1
+function findColumn(header, patterns) {
+  return header.findIndex((h) => {
+    const key = normalize(h).trim();
+    return patterns.some((re) => re.test(key));
+  });
+}
+
+function fillColumnSelect(select, header, selectedIdx, extraOption) {
+  select.innerHTML = "";
+  if (extraOption) select.appendChild(extraOption);
+  header.forEach((h, idx) => {
+    const opt = document.createElement("option");
+    opt.value = String(idx);
+    opt.textContent = h || `Column ${idx + 1}`;
+    select.appendChild(opt);
+  });
+  if (selectedIdx >= 0) select.value = String(selectedIdx);
+}
+
+function loadBatchFile(file) {
+  if (!file) return;
+  file
+    .text()
+    .then((text) => {
+      const { delimiter, rows } = parseDelimited(text);
+      if (rows.length < 2) {
+        showToast("The file has no data rows.");
+        return;
+      }
+      const [header, ...body] = rows;
+      batchFile = { name: file.name, delimiter, header, rows: body };
+      // Guess the coordinate columns from the header names
+      let latIdx = findColumn(header, BATCH_LAT_HEADERS);
+      let lonIdx = findColumn(header, BATCH_LON_HEADERS);
+      const pairIdx = findColumn(header, BATCH_PAIR_HEADERS);
+      if (pairIdx >= 0 && (latIdx < 0 || lonIdx < 0)) {
+        latIdx = pairIdx;
+        lonIdx = -1;
+      }
+      const sameOpt = document.createElement("option");
+      sameOpt.value = BATCH_SAME_COLUMN;
+      sameOpt.textContent = "(both in latitude column)";
+      fillColumnSelect(batchLatColumn, header, latIdx < 0 ? 0 : latIdx);
+      fillColumnSelect(batchLonColumn, header, lonIdx, sameOpt);
+      if (lonIdx < 0) batchLonColumn.value = BATCH_SAME_COLUMN;
+      batchFileName.textContent = `${file.name} — ${body.length} rows`;
+      batchOptions.hidden = false;
+      batchStatus.textContent = "";
+    })
+    .catch((err) => {
+      console.error("Batch file read failed:", err);
+      showToast("Could not read the file.");
+    });
+}
+
+// Commune polygon layer containing (lat, lon), or null before the data loads
+function lookupCommune(lat, lon) {
+  if (!communeIndex) return null;
+  const feature = featureAt(communeIndex, lat, lon);
+  return feature ? communeLayerByFeature.get(feature) || null : null;
+}
+
+// Point-in-polygon lookup returning the commune name or null
+function communeNameAt(lat, lng) {
+  return lookupCommune(lat, lng)?.feature?.properties?.name || null;
+}
+
+// Boundary tolerance in metres from the layer panel (defaults to 100 m)
+function boundaryTolerance() {
+  const value = parseFloat(boundaryToleranceInput?.value);
+  return Number.isFinite(value) && value >= 0 ? value : 100;
+}
+
+function formatDistance(metres) {
+  return metres >= 1000 ? `${(metres / 1000).toFixed(2)} km` : `${Math.round(metres)} m`;
+}
+
+// Square metres below one hectare, hectares below one km², then km²
+function formatArea(sqMetres) {
+  if (sqMetres < 1e4) return `${Math.round(sqMetres)} m²`;
+  if (sqMetres < 1e6) return `${(sqMetres / 1e4).toFixed(2)} ha`;
+  return `${(sqMetres / 1e6).toFixed(2)} km²`;
+}
+
+// 16-point compass name of a bearing in degrees: 47 → "NE"
+const COMPASS_POINTS = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+
+function compassPoint(degrees) {
+  return COMPASS_POINTS[Math.round(degrees / 22.5) % 16];
+}
+
+/**
+ * Administrative context for a location, stored on points and shown in
+ * popups: { commune, province, customaryArea, nearestCommune, nearestDistance }.
+ * Outside every polygon the hierarchy fields are null and the nearest commune
+ * is reported; inside, the closest neighbouring commune. Distances are whole
+ * metres to the polygon edge.
+ */
+function pointLocationProps(lat, lng) {
+  let commune = null;
+  try {
+    commune = communeNameAt(lat, lng);
+  } catch (err) {
+    console.error('Point-in-polygon check failed:', err);
+  }
+  const hierarchy = communeHierarchy(commune);
+  const nearest = nearestPolygon(lat, lng, communeEntries, commune);
+  return {
+    commune,
+    province: hierarchy ? hierarchy.province : null,
+    customaryArea: hierarchy ? hierarchy.customaryArea : null,
+    nearestCommune: nearest ? nearest.name : null,
+    nearestDistance: nearest ? Math.round(nearest.distance) : null,
+  };
+}
+
+function batchCommuneAt(lat, lon) {
+  try {
+    return communeNameAt(lat, lon);
+  } catch (err) {
+    console.error("Point-in-polygon check failed:", err);
+    return null;
+  }
+}
+
+function runBatchGeocoding() {
+  if (!batchFile) return;
+  const file = batchFile;
+  const latIdx = parseInt(batchLatColumn.value, 10);
+  const lonIdx =
+    batchLonColumn.value === BATCH_SAME_COLUMN
+      ? BATCH_SAME_COLUMN
+      : parseInt(batchLonColumn.value, 10);
+  const output = [[...file.header, "commune", "status"]];
+  const counts = { ok: 0, outside: 0, invalid: 0 };
+  let index = 0;
+  batchRunBtn.disabled = true;
+
+  // Process in chunks so the page stays responsive on large files
+  function processChunk() {
+    const end = Math.min(index + BATCH_CHUNK_SIZE, file.rows.length);
+    for (; index < end; index++) {
+      const row = file.rows[index];
+      const { commune, kind, status } = classifyBatchRow(row, latIdx, lonIdx, batchCommuneAt);
+      counts[kind === "swapped" || kind === "valid" ? "ok" : kind]++;
+      output.push([...row, commune, status]);
+    }
+    batchStatus.textContent = `Processed ${index} / ${file.rows.length} rows…`;
+    if (index < file.rows.length) {
+      setTimeout(processChunk, 0);
+      return;
+    }
+    const tsv = file.delimiter === "\t";
+    const blob = new Blob([toDelimited(output, file.delimiter)], {
+      type: tsv ? "text/tab-separated-values" : "text/csv",
+    });
+    const base = file.name.replace(/\.[^.]+$/, "");
+    downloadBlob(blob, `${base}_communes.${tsv ? "tsv" : "csv"}`);
+    const summary = `${file.rows.length} rows: ${counts.ok} assigned, ${counts.outside} outside every commune, ${counts.invalid} invalid`;
+    batchStatus.textContent = summary;
+    announce(summary);
+    batchRunBtn.disabled = false;
+  }
+
+  batchStatus.textContent = "Waiting for commune data…";
+  whenCommunesLoaded(() => {
+    if (!communeLayer) {
+      batchStatus.textContent = "Commune data unavailable.";
+      batchRunBtn.disabled = false;
+      return;
+    }
+    processChunk();
+  });
+}
+
+batchFileInput?.addEventListener("change", () => {
+  loadBatchFile(batchFileInput.files[0]);
+  batchFileInput.value = "";
+});
+batchDropZone?.addEventListener("dragover", (e) => {
+  e.preventDefault();
+  batchDropZone.classList.add("dragover");
+});
+batchDropZone?.addEventListener("dragleave", () => {
+  batchDropZone.classList.remove("dragover");
+});
+batchDropZone?.addEventListener("drop", (e) => {
+  e.preventDefault();
+  batchDropZone.classList.remove("dragover");
+  loadBatchFile(e.dataTransfer?.files[0]);
+});
+batchDropZone?.addEventListener("keydown", (e) => {
+  if (e.key === "Enter" || e.key === " ") {
+    e.preventDefault();
+    batchFileInput.click();
+  }
+});
+batchRunBtn?.addEventListener("click", runBatchGeocoding);
+
+// Register locate handlers
+locateHandlers[MODE_SINGLE_DEC] = locateFromSingleDec;
+locateHandlers[MODE_DUAL_DEC] = locateFromDualDec;
+locateHandlers[MODE_DMS_BOXES] = locateFromDmsBoxes;
+locateHandlers[MODE_SINGLE_DMS] = locateFromSingleDms;
+locateHandlers[MODE_PROJECTED] = locateFromProjected;
+
+// -----------------------------------------------------------------------------
+// Offline support: the service worker (sw.js) precaches the app shell and
+// dataset, caches visited tiles, and downloads whole areas on request.
+
+if ("serviceWorker" in navigator && location.protocol !== "file:") {
+  navigator.serviceWorker.register("sw.js").catch((err) => {
+    console.warn("Service worker registration failed:", err);
+  });
+  navigator.serviceWorker.addEventListener("message", (event) => {
+    const { type, done, failed, total } = event.data || {};
+    if (type === "prefetch-progress") {
+      offlineTilesStatus.textContent = `Downloaded ${done} / ${total} tiles…`;
+      watchTileDownload();
+    } else if (type === "prefetch-done") {
+      endTileDownload(`Saved ${total - failed} of ${total} tiles for offline use.`);
+    }
+  });
+  // A new worker taking over will not finish the old one's download
+  navigator.serviceWorker.addEventListener("controllerchange", () => {
+    if (tileDownloadWatchdog) endTileDownload(TILE_DOWNLOAD_INTERRUPTED);
+  });
+}
+
+// The browser may stop the service worker mid-download without a word:
+// re-enable the button when progress reports stop arriving. Downloading
+// again skips the tiles already saved.
+const TILE_DOWNLOAD_INTERRUPTED = "Tile download interrupted — press the button again to resume.";
+let tileDownloadWatchdog = null;
+
+function watchTileDownload() {
+  clearTimeout(tileDownloadWatchdog);
+  tileDownloadWatchdog = setTimeout(() => endTileDownload(TILE_DOWNLOAD_INTERRUPTED), TILE_DOWNLOAD_STALL_MS);
+}
+
+function endTileDownload(msg) {
+  clearTimeout(tileDownloadWatchdog);
+  tileDownloadWatchdog = null;
+  downloadTilesBtn.disabled = false;
+  offlineTilesStatus.textContent = msg;
+  announce(msg);
+}
+
+// Slippy-map tile indices containing a lat/lng at zoom z
+function latLngToTile(lat, lng, z) {
+  const n = 2 ** z;
+  const latRad = (Math.max(Math.min(lat, 85.0511), -85.0511) * Math.PI) / 180;
+  const x = Math.floor(((lng + 180) / 360) * n);
+  const y = Math.floor(
+    ((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2) * n,
+  );
+  return { x: Math.min(Math.max(x, 0), n - 1), y: Math.min(Math.max(y, 0), n - 1) };
+}
+
+// Expand a tile layer's URL template the way L.TileLayer#getTileUrl does
+function tileUrlFor(layer, x, y, z) {
+  const subdomains = layer.options.subdomains || "";
+  const s = subdomains.length ? subdomains[Math.abs(x + y) % subdomains.length] : "";
+  return L.Util.template(layer._url, L.Util.extend({ r: "", s, x, y, z }, layer.options));
+}
+
+// Ask the service worker to fetch every tile of the current view from the
+// current zoom up to the chosen maximum zoom (at most TILE_DOWNLOAD_MAX_ZOOM)
+function downloadTilesForView() {
+  const controller = navigator.serviceWorker?.controller;
+  if (!controller) {
+    showToast("Offline support is not active yet — reload the page and try again.");
+    return;
+  }
+  if (!currentBase || !currentBase._url || currentBase._url.startsWith("data:")) {
+    showToast("No online basemap to download.");
+    return;
+  }
+  if (!currentBase.options.offlineDownload) {
+    showToast("Only the OSM Default basemap can be downloaded for offline use.");
+    return;
+  }
+  const bounds = map.getBounds();
+  const minZoom = map.getZoom();
+  if (minZoom > TILE_DOWNLOAD_MAX_ZOOM) {
+    showToast(`Zoom out to level ${TILE_DOWNLOAD_MAX_ZOOM} or below to download tiles.`);
+    return;
+  }
+  const maxZoom = Math.min(parseInt(offlineMaxZoom.value, 10) || minZoom, TILE_DOWNLOAD_MAX_ZOOM);
+  const urls = [];
+  for (let z = minZoom; z <= maxZoom; z++) {
+    const nw = latLngToTile(bounds.getNorth(), bounds.getWest(), z);
+    const se = latLngToTile(bounds.getSouth(), bounds.getEast(), z);
+    for (let x = nw.x; x <= se.x; x++) {
+      for (let y = nw.y; y <= se.y; y++) {
+        urls.push(tileUrlFor(currentBase, x, y, z));
+        if (urls.length > TILE_DOWNLOAD_LIMIT) {
+          showToast(
+            `Too many tiles (over ${TILE_DOWNLOAD_LIMIT}). Zoom in or lower the maximum zoom.`,
+          );
+          return;
+        }
+      }
+    }
+  }
+  downloadTilesBtn.disabled = true;
+  offlineTilesStatus.textContent = `Downloading ${urls.length} tiles…`;
+  controller.postMessage({ type: "prefetch-tiles", urls });
+  watchTileDownload();
+}
+
+downloadTilesBtn?.addEventListener("click", downloadTilesForView);
+
+// -----------------------------------------------------------------------------
+// Persistence: points and panel settings survive reloads via localStorage.
+// Points are stored without their Leaflet marker and rebuilt through addPoint.
+
+// Panel inputs saved by id; checkboxes store `checked`, others `value`
+const persistedInputs = [
+  borderColorInput,
+  borderOpacityInput,
+  fillColorInput,
+  fillOpacityInput,
+  labelTextColor,
+  labelTextSize,
+  labelFont,
+  labelBg,
+  labelBgColor,
+  labelBgOpacity,
+  toggleLabels,
+  togglePolygons,
+  toggleProvinces,
+  togglePoints,
+  clusterPointsToggle,
+  exportFormatSelect,
+  projCrsSelect,
+  lazyLoadToggle,
+  boundaryToleranceInput,
+  offlineMaxZoom,
+].filter(Boolean);
+
+function readStored(key) {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : null;
+  } catch (err) {
+    console.warn(`Failed to read ${key} from storage:`, err);
+    return null;
+  }
+}
+
+function writeStored(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (err) {
+    console.warn(`Failed to write ${key} to storage:`, err);
+    // Usually the storage quota: later changes would be lost on reload
+    showToast('Could not save to browser storage (it may be full). Export your points to keep recent changes.', 8000);
+  }
+}
+
+function savePoints() {
+  writeStored(STORAGE_KEYS.points, {
+    nextId: pointIdCounter,
+    points: points.map(({ marker, ...rest }) => rest),
+  });
+}
+
+function saveMeasurements() {
+  writeStored(STORAGE_KEYS.measurements, {
+    nextId: measurementIdCounter,
+    measurements: measurements.map(({ layer, ...rest }) => rest),
+  });
+}
+
+function saveSettings() {
+  if (!settingsRestored || applyingHashState) return;
+  const inputs = {};
+  persistedInputs.forEach((el) => {
+    inputs[el.id] = el.type === 'checkbox' ? el.checked : el.value;
+  });
+  const selected = basemapOptions?.querySelector('input[name="basemap"]:checked');
+  writeStored(STORAGE_KEYS.settings, {
+    inputs,
+    basemap: selected ? selected.value : 'osm',
+    darkMode,
+    mode: currentMode,
+  });
+}
+
+function saveSchema() {
+  writeStored(STORAGE_KEYS.schema, attributeSchema);
+}
+
+function restoreState() {
+  // Before the points, whose list and popups show the fields
+  const storedSchema = readStored(STORAGE_KEYS.schema);
+  if (storedSchema) {
+    attributeSchema = normalizeSchema(storedSchema);
+    renderAttributeSchema();
+  }
+  const settings = readStored(STORAGE_KEYS.settings);
+  if (settings) {
+    const inputs = settings.inputs || {};
+    persistedInputs.forEach((el) => {
+      if (!(el.id in inputs)) return;
+      if (el.type === 'checkbox') el.checked = !!inputs[el.id];
+      else el.value = inputs[el.id];
+    });
+    updateCommuneStyle();
+    updateLabelStyle();
+    updateLabelPersistence();
+    if (settings.basemap) applyBasemap(settings.basemap);
+    if (settings.darkMode) applyBasemap('dark');
+    if (settings.mode) setMode(settings.mode);
+  }
+  const stored = readStored(STORAGE_KEYS.points);
+  if (stored && Array.isArray(stored.points)) {
+    const inlineThumbnails = stored.points.some((pt) => pt.photos?.some((photo) => photo.thumbnail));
+    stored.points.forEach((pt) => {
+      if (!Number.isFinite(pt.lat) || !Number.isFinite(pt.lng)) return;
+      const photos = (pt.photos || []).map(moveInlineThumbnail);
+      addPoint({ ...pt, properties: { ...pt.properties }, photos });
+    });
+    if (Number.isFinite(stored.nextId)) {
+      pointIdCounter = Math.max(pointIdCounter, stored.nextId);
+    }
+    if (inlineThumbnails) savePoints();
+    renderPointsList();
+  }
+  const storedMeasurements = readStored(STORAGE_KEYS.measurements);
+  if (storedMeasurements && Array.isArray(storedMeasurements.measurements)) {
+    storedMeasurements.measurements.forEach(addMeasurement);
+    if (Number.isFinite(storedMeasurements.nextId)) {
+      measurementIdCounter = Math.max(measurementIdCounter, storedMeasurements.nextId);
+    }
+    renderMeasurements();
+  }
+  settingsRestored = true;
+}
+
+// Wipe stored state and reload with the defaults from the markup
+function resetToDefaults() {
+  if (!confirm('Reset all points and settings to their defaults?')) return;
+  Object.values(STORAGE_KEYS).forEach((key) => {
+    try {
+      localStorage.removeItem(key);
+    } catch (err) {
+      console.warn(`Failed to remove ${key} from storage:`, err);
+    }
+  });
+  clearStoredPhotos().finally(() => location.replace(location.pathname));
+}
+
+persistedInputs.forEach((el) => {
+  el.addEventListener('change', saveSettings);
+});
+basemapOptions?.addEventListener('change', saveSettings);
+darkModeToggle?.addEventListener('change', saveSettings);
+resetStateBtn?.addEventListener('click', resetToDefaults);
+
+// Lazy mode: switching it off loads the polygons straight away
+lazyLoadToggle?.addEventListener('change', () => {
+  if (!lazyLoadToggle.checked) ensureCommuneData();
+});
+
+restoreState();
+applyHashState();
+removeOrphanPhotos();
+// Eager mode loads the polygons now; lazy mode waits for the first lookup
+if (!lazyLoadToggle || !lazyLoadToggle.checked) ensureCommuneData();
@@ -0,0 +1,160 @@
+/*
+ * New Caledonia Commune Locator — custom point attributes
+ * -----------------------------------------------------------------
+ * Pure ES module describing the extra fields recorded on every point
+ * (index.html exposes it as `window.NCAttributes`):
+ *   - A schema is a list of typed fields { key, label, type, options? }
+ *     where type is "text", "date", "number" or "select"
+ *   - Values are coerced to their field type (trimmed text, ISO dates,
+ *     numbers, one of the choices), so forms, imports and exports agree
+ *   - Imported records are matched to fields by key or by label
+ *
+ *   import { coerceFieldValue } from "./assets/js/attributes.mjs";
+ *   coerceFieldValue({ key: "collectionDate", type: "date" }, "03/07/2024");
+ *   // → "2024-07-03"
+ */
+
+export const FIELD_TYPES = ["text", "date", "number", "select"];
+
+// Fields offered until the user edits the schema
+export const DEFAULT_ATTRIBUTE_SCHEMA = [
+  { key: "collector", label: "Collector", type: "text" },
+  { key: "collectionDate", label: "Collection date", type: "date" },
+  { key: "specimenId", label: "Specimen / accession no.", type: "text" },
+  { key: "habitat", label: "Habitat notes", type: "text" },
+];
+
+// Point properties and export columns that custom fields may not shadow
+export const RESERVED_KEYS = [
+  "id", "lat", "lng", "lon", "lat_dms", "lon_dms", "wkt", "label", "color",
+  "opacity", "shape", "visible", "commune", "province", "customaryArea",
+  "nearestCommune", "nearestDistance",
+];
+
+// Case- and accent-insensitive form used to compare names and choices
+const fold = (str) =>
+  String(str ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .trim()
+    .toLowerCase();
+
+/**
+ * camelCase property key for a field label that is not reserved or used by
+ * another field of `schema`: "Collection date" → "collectionDate".
+ */
+export function fieldKey(label, schema = []) {
+  const words = String(label ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean);
+  const base =
+    words
+      .map((w, i) => (i ? w[0].toUpperCase() + w.slice(1).toLowerCase() : w.toLowerCase()))
+      .join("") || "field";
+  const taken = new Set([...RESERVED_KEYS, ...schema.map((f) => f.key)].map(fold));
+  let key = base;
+  for (let n = 2; taken.has(fold(key)); n++) key = `${base}${n}`;
+  return key;
+}
+
+/**
+ * Build a field from what the user typed. `optionsText` lists the choices
+ * of a select field, separated by commas. Returns { field, error } where
+ * exactly one is null.
+ */
+export function makeField(label, type, optionsText = "", schema = []) {
+  const name = String(label ?? "").trim();
+  if (!name) return { field: null, error: "Enter a field name." };
+  if (!FIELD_TYPES.includes(type)) return { field: null, error: `Unknown field type: ${type}` };
+  if (schema.some((f) => fold(f.label) === fold(name))) {
+    return { field: null, error: `There is already a field named ${name}.` };
+  }
+  const field = { key: fieldKey(name, schema), label: name, type };
+  if (type === "select") {
+    const options = [...new Set(String(optionsText ?? "").split(",").map((o) => o.trim()).filter(Boolean))];
+    if (!options.length) return { field: null, error: "List at least one choice, separated by commas." };
+    field.options = options;
+  }
+  return { field, error: null };
+}
+
+/**
+ * Valid fields of a stored schema, in order; entries with a missing,
+ * reserved or repeated key, an unknown type or no choices are dropped.
+ * Anything but an array gives a copy of DEFAULT_ATTRIBUTE_SCHEMA.
+ */
+export function normalizeSchema(raw) {
+  if (!Array.isArray(raw)) return DEFAULT_ATTRIBUTE_SCHEMA.map((f) => ({ ...f }));
+  const reserved = new Set(RESERVED_KEYS.map(fold));
+  const seen = new Set();
+  const fields = [];
+  raw.forEach((f) => {
+    if (!f || typeof f.key !== "string" || !f.key || !FIELD_TYPES.includes(f.type)) return;
+    if (reserved.has(fold(f.key)) || seen.has(fold(f.key))) return;
+    const field = { key: f.key, label: String(f.label || f.key), type: f.type };
+    if (f.type === "select") {
+      field.options = Array.isArray(f.options) ? f.options.map(String).filter(Boolean) : [];
+      if (!field.options.length) return;
+    }
+    seen.add(fold(f.key));
+    fields.push(field);
+  });
+  return fields;
+}
+
+// "YYYY-MM-DD" when y/m/d is a real calendar date
+function isoDate(y, m, d) {
+  const date = new Date(Date.UTC(y, m - 1, d));
+  if (date.getUTCFullYear() !== y || date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) return null;
+  return `${String(y).padStart(4, "0")}-${String(m).padStart(2, "0")}-${String(d).padStart(2, "0")}`;
+}
+
+/**
+ * Value of a field from loose input, or null when empty or invalid:
+ *   - text: trimmed string
+ *   - number: finite number (a decimal comma is accepted)
+ *   - date: "YYYY-MM-DD" from an ISO date or timestamp, or a day-first
+ *     date such as 03/07/2024 (as written in New Caledonia)
+ *   - select: the matching choice, ignoring case and accents
+ */
+export function coerceFieldValue(field, raw) {
+  if (raw == null) return null;
+  const text = String(raw).trim();
+  if (!text) return null;
+  switch (field.type) {
+    case "number": {
+      if (typeof raw === "number") return Number.isFinite(raw) ? raw : null;
+      const n = Number(text.replace(",", "."));
+      return Number.isFinite(n) ? n : null;
+    }
+    case "date": {
+      let m = /^(\d{4})-(\d{2})-(\d{2})(?:[T ].*)?$/.exec(text);
+      if (m) return isoDate(+m[1], +m[2], +m[3]);
+      m = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/.exec(text);
+      if (m) return isoDate(+m[3], +m[2], +m[1]);
+      return null;
+    }
+    case "select":
+      return (field.options || []).find((o) => fold(o) === fold(text)) ?? null;
+    default:
+      return text;
+  }
+}
+
+/**
+ * Values of the schema fields found in a record of imported attributes,
+ * matched by key or label (ignoring case and accents). Only fields with a
+ * valid value are returned: { [key]: value }.
+ */
+export function fieldValues(schema, record = {}) {
+  const byName = new Map(Object.entries(record || {}).map(([k, v]) => [fold(k), v]));
+  const values = {};
+  schema.forEach((field) => {
+    const raw = byName.has(fold(field.key)) ? byName.get(fold(field.key)) : byName.get(fold(field.label));
+    const value = coerceFieldValue(field, raw);
+    if (value != null) values[field.key] = value;
+  });
+  return values;
+}
@@ -0,0 +1,72 @@
+/*
+ * New Caledonia Commune Locator — batch geocoding rows
+ * -----------------------------------------------------------------
+ * Pure ES module classifying one row of a batch geocoding file
+ * (index.html exposes it as `window.NCBatch`). Coordinates come from a
+ * latitude and a longitude column, decimal or DMS, or from one column
+ * holding both; the commune lookup is passed in, so rows can be checked
+ * without the map:
+ *
+ *   import { classifyBatchRow } from "./assets/js/batch.mjs";
+ *   classifyBatchRow(["165.44", "-22.27"], 0, 1, (lat, lon) => "Nouméa");
+ *   // → { lat: -22.27, lon: 165.44, commune: "Nouméa", kind: "swapped",
+ *   //     status: "ok: latitude and longitude swapped" }
+ */
+
+import { orderLatLon, parseCoordinate, parseCoordinateValue, validateLatLon } from "./coords.mjs";
+
+// Longitude column value meaning "both values are in the latitude column"
+export const BATCH_SAME_COLUMN = "same";
+
+/**
+ * Read one row's coordinates. Returns { lat, lon, swapped, error } where
+ * `swapped` says the values were found the other way round (hemisphere
+ * letters, or a first value out of the latitude range).
+ */
+export function readBatchRow(row, latIdx, lonIdx) {
+  let lat = null;
+  let lon = null;
+  let swapped = false;
+  if (lonIdx === BATCH_SAME_COLUMN) {
+    // One cell holding both values: same rules as the single inputs
+    const parsed = parseCoordinate(row[latIdx]);
+    if (parsed) {
+      ({ lat, lon } = parsed);
+      swapped = parsed.warnings.some((w) => /swapped/.test(w));
+    }
+  } else {
+    const a = parseCoordinateValue(row[latIdx]);
+    const b = parseCoordinateValue(row[lonIdx]);
+    if (a.value != null && b.value != null) {
+      if (a.hemi === "E" || a.hemi === "W" || b.hemi === "N" || b.hemi === "S") {
+        // Hemisphere letters say the columns are the other way round
+        lat = b.value;
+        lon = a.value;
+      } else if (!a.hemi && !b.hemi) {
+        [lat, lon] = orderLatLon(a.value, b.value);
+      } else {
+        lat = a.value;
+        lon = b.value;
+      }
+      swapped = lat !== a.value;
+    }
+  }
+  return { lat, lon, swapped, error: validateLatLon(lat, lon) };
+}
+
+/**
+ * Classify one row for the output file. `communeAt(lat, lon)` returns the
+ * commune name or null. Returns { lat, lon, commune, kind, status } where
+ * kind is "valid", "swapped", "outside" or "invalid" and status is the text
+ * written to the status column ("ok", "ok: …", "outside", "invalid: …").
+ */
+export function classifyBatchRow(row, latIdx, lonIdx, communeAt) {
+  const { lat, lon, swapped, error } = readBatchRow(row, latIdx, lonIdx);
+  if (error) return { lat, lon, commune: "", kind: "invalid", status: `invalid: ${error}` };
+  const commune = communeAt(lat, lon) || "";
+  if (!commune) return { lat, lon, commune, kind: "outside", status: "outside" };
+  if (swapped) {
+    return { lat, lon, commune, kind: "swapped", status: "ok: latitude and longitude swapped" };
+  }
+  return { lat, lon, commune, kind: "valid", status: "ok" };
+}
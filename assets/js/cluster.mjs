@@ -0,0 +1,58 @@
+/*
+ * New Caledonia Commune Locator — point clustering
+ * -----------------------------------------------------------------
+ * Pure ES module grouping nearby points for display at low zooms
+ * (index.html exposes it as `window.NCCluster`). Items carry pixel
+ * positions { x, y } at the current zoom (Leaflet's map.project); each
+ * new cluster is seeded by the first item that is not within `radius`
+ * pixels of an earlier seed. A grid of radius-sized cells keeps this
+ * linear in the number of points.
+ *
+ *   import { clusterItems } from "./assets/js/cluster.mjs";
+ *   clusterItems([{ x: 0, y: 0 }, { x: 10, y: 5 }, { x: 300, y: 0 }], 60);
+ *   // → [{ x: 5, y: 2.5, items: [2 items] }, { x: 300, y: 0, items: [1 item] }]
+ */
+
+/**
+ * Group items lying within `radius` pixels of a cluster's seed.
+ * Returns [{ x, y, items }] in seed order, where x/y is the mean position
+ * of the items; isolated items form clusters of one.
+ */
+export function clusterItems(items, radius) {
+  const cells = new Map();
+  const clusters = [];
+  const r2 = radius * radius;
+  items.forEach((item) => {
+    const cx = Math.floor(item.x / radius);
+    const cy = Math.floor(item.y / radius);
+    let target = null;
+    let best = Infinity;
+    // A seed within the radius lies in this cell or one of its neighbours
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        (cells.get(`${cx + dx},${cy + dy}`) || []).forEach((cluster) => {
+          const d2 = (cluster.seedX - item.x) ** 2 + (cluster.seedY - item.y) ** 2;
+          if (d2 <= r2 && d2 < best) {
+            best = d2;
+            target = cluster;
+          }
+        });
+      }
+    }
+    if (!target) {
+      target = { seedX: item.x, seedY: item.y, sumX: 0, sumY: 0, items: [] };
+      clusters.push(target);
+      const key = `${cx},${cy}`;
+      if (!cells.has(key)) cells.set(key, []);
+      cells.get(key).push(target);
+    }
+    target.sumX += item.x;
+    target.sumY += item.y;
+    target.items.push(item);
+  });
+  return clusters.map(({ sumX, sumY, items: members }) => ({
+    x: sumX / members.length,
+    y: sumY / members.length,
+    items: members,
+  }));
+}
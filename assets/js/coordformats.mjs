@@ -0,0 +1,135 @@
+/*
+ * New Caledonia Commune Locator — coordinate formatting
+ * -----------------------------------------------------------------
+ * Pure ES module writing a WGS84 location in every format the location
+ * card offers (index.html exposes it as `window.NCCoordFormats`):
+ *   - Decimal degrees, DMS and degrees-decimal-minutes, written so that
+ *     coords.mjs reads them back
+ *   - UTM (own zone) and RGNC91-93 / Lambert NC eastings/northings
+ *   - Open Location Code (Plus Code) and geohash
+ *
+ *   import { locationFormats } from "./assets/js/coordformats.mjs";
+ *   locationFormats(-22.27, 166.44);
+ *   // → [{ key: "dd", label: "Decimal degrees", value: "-22.270000, 166.440000" }, …]
+ */
+
+import { utmForward, utmZoneFor, wgs84ToProjected } from "./projections.mjs";
+
+const hemisphere = (value, pos, neg) => (value < 0 ? neg : pos);
+
+export function formatDecimal(lat, lon, digits = 6) {
+  return `${lat.toFixed(digits)}, ${lon.toFixed(digits)}`;
+}
+
+function dmsPart(value, pos, neg, digits) {
+  // Round the seconds first so 59.999″ becomes the next minute
+  const totalSeconds = Math.round(Math.abs(value) * 3600 * 10 ** digits) / 10 ** digits;
+  const deg = Math.floor(totalSeconds / 3600);
+  const min = Math.floor((totalSeconds - deg * 3600) / 60);
+  const sec = totalSeconds - deg * 3600 - min * 60;
+  const secText = sec.toFixed(digits).padStart(digits ? digits + 3 : 2, "0");
+  return `${deg}°${String(min).padStart(2, "0")}′${secText}″${hemisphere(value, pos, neg)}`;
+}
+
+// 22°16′12.00″S 166°26′24.00″E
+export function formatDms(lat, lon, digits = 2) {
+  return `${dmsPart(lat, "N", "S", digits)} ${dmsPart(lon, "E", "W", digits)}`;
+}
+
+function ddmPart(value, pos, neg, digits) {
+  const totalMinutes = Math.round(Math.abs(value) * 60 * 10 ** digits) / 10 ** digits;
+  const deg = Math.floor(totalMinutes / 60);
+  const minText = (totalMinutes - deg * 60).toFixed(digits).padStart(digits ? digits + 3 : 2, "0");
+  return `${deg}°${minText}′${hemisphere(value, pos, neg)}`;
+}
+
+// 22°16.2000′S 166°26.4000′E
+export function formatDdm(lat, lon, digits = 4) {
+  return `${ddmPart(lat, "N", "S", digits)} ${ddmPart(lon, "E", "W", digits)}`;
+}
+
+// UTM in the zone containing the location: "58S E 648366.2 N 7536580.7"
+export function formatUtm(lat, lon) {
+  const zone = utmZoneFor(lon);
+  const south = lat < 0;
+  const { easting, northing } = utmForward(lat, lon, zone, south);
+  return `${zone}${south ? "S" : "N"} E ${easting.toFixed(1)} N ${northing.toFixed(1)}`;
+}
+
+export function formatLambert(lat, lon) {
+  const { easting, northing } = wgs84ToProjected("lambert", lat, lon);
+  return `E ${easting.toFixed(1)} N ${northing.toFixed(1)}`;
+}
+
+// ---- Open Location Code (https://github.com/google/open-location-code) ----
+const PLUS_CODE_ALPHABET = "23456789CFGHJMPQRVWX";
+
+/**
+ * Plus Code of a location. `length` is an even number of digits up to 10
+ * (10 digits ≈ 14 m × 14 m); the separator "+" follows the eighth digit.
+ */
+export function encodePlusCode(lat, lon, length = 10) {
+  const pairs = length / 2;
+  // Cells are 20° wide at the first pair and shrink 20× per pair
+  const cellsPerDegree = 20 ** (pairs - 2);
+  const clippedLat = Math.min(90, Math.max(-90, lat));
+  const normalizedLon = ((((lon + 180) % 360) + 360) % 360) - 180;
+  // Round away float noise before flooring, as the reference encoder does
+  const toCells = (v) => Math.floor(Math.round(v * cellsPerDegree * 1e6) / 1e6);
+  let latCells = Math.min(toCells(clippedLat + 90), 180 * cellsPerDegree - 1);
+  let lonCells = toCells(normalizedLon + 180);
+  let code = "";
+  for (let i = 0; i < pairs; i++) {
+    code = PLUS_CODE_ALPHABET[latCells % 20] + PLUS_CODE_ALPHABET[lonCells % 20] + code;
+    latCells = Math.floor(latCells / 20);
+    lonCells = Math.floor(lonCells / 20);
+  }
+  code = code.padEnd(8, "0");
+  return `${code.slice(0, 8)}+${code.slice(8)}`;
+}
+
+// ---- Geohash ----
+const GEOHASH_ALPHABET = "0123456789bcdefghjkmnpqrstuvwxyz";
+
+// Geohash of a location; 9 characters ≈ 5 m × 5 m
+export function encodeGeohash(lat, lon, precision = 9) {
+  const range = { lat: [-90, 90], lon: [-180, 180] };
+  let hash = "";
+  let bits = 0;
+  let index = 0;
+  let isLon = true;
+  while (hash.length < precision) {
+    const [axis, value] = isLon ? ["lon", lon] : ["lat", lat];
+    const mid = (range[axis][0] + range[axis][1]) / 2;
+    index <<= 1;
+    if (value >= mid) {
+      index |= 1;
+      range[axis][0] = mid;
+    } else {
+      range[axis][1] = mid;
+    }
+    isLon = !isLon;
+    if (++bits === 5) {
+      hash += GEOHASH_ALPHABET[index];
+      bits = 0;
+      index = 0;
+    }
+  }
+  return hash;
+}
+
+/**
+ * Every format shown on the location card, in display order.
+ * Returns [{ key, label, value }].
+ */
+export function locationFormats(lat, lon) {
+  return [
+    { key: "dd", label: "Decimal degrees", value: formatDecimal(lat, lon) },
+    { key: "dms", label: "DMS", value: formatDms(lat, lon) },
+    { key: "ddm", label: "Degrees, decimal minutes", value: formatDdm(lat, lon) },
+    { key: "utm", label: "UTM", value: formatUtm(lat, lon) },
+    { key: "lambert", label: "Lambert NC", value: formatLambert(lat, lon) },
+    { key: "pluscode", label: "Plus Code", value: encodePlusCode(lat, lon) },
+    { key: "geohash", label: "Geohash", value: encodeGeohash(lat, lon) },
+  ];
+}
@@ -0,0 +1,315 @@
+/*
+ * New Caledonia Commune Locator — coordinate parsing
+ * -----------------------------------------------------------------
+ * Pure ES module with no DOM access, shared by the app (index.html exposes
+ * it as `window.NCCoords`), the Node test suite in tests/ and our own
+ * pipeline scripts:
+ *
+ *   import { parseCoordinate } from "./assets/js/coords.mjs";
+ *   parseCoordinate(`20°44'19.7"S 164°47'41.6"E`);
+ *   // → { lat: -20.7388…, lon: 164.7948…, format: "dms", warnings: [], error: null }
+ */
+
+// Two comma separated decimal numbers ("-21.3, 165.4")
+export const DECIMAL_PAIR_PATTERN = /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/;
+
+// One DMS group ("20°44'19.7"S"); the degree sign and hemisphere are required
+const DMS_GROUP_PATTERN =
+  /([\-]?\d+(?:\.\d+)?)\s*°\s*([\d\.]+)?\s*(?:'|′)?\s*([\d\.]+)?\s*(?:"|″)?\s*([NSEW])/gi;
+
+// Universal coordinate grammar. A coordinate is an optional hemisphere
+// prefix, optional sign, degrees, optional minutes and seconds (symbols
+// optional, so "-21 20 44.5" is DMS) and an optional hemisphere suffix.
+// "O" (ouest) is accepted for west. Numbers may not be followed by a digit
+// or dot, so the regex cannot split "165.4953" into smaller numbers.
+const NUMBER = String.raw`\d+(?:\.\d+)?(?![\d.])`;
+// Minutes/seconds below 60: used first so "-22 30 165 30" splits correctly
+const BELOW_SIXTY = String.raw`[0-5]?\d(?:\.\d+)?(?![\d.])`;
+const HEMISPHERE = "[NSEWO]";
+
+function coordinateGrammar(part) {
+  return (
+    String.raw`(${HEMISPHERE})?\s*([-+])?\s*(${NUMBER})\s*°?\s*` +
+    String.raw`(?:(${part})\s*'?\s*(?:(${part})\s*"?)?)?\s*(${HEMISPHERE})?`
+  );
+}
+
+const pairPattern = (part) =>
+  new RegExp(
+    String.raw`^\s*${coordinateGrammar(part)}\s*[,;/]?\s*${coordinateGrammar(part)}\s*$`,
+    "i",
+  );
+const STRICT_PAIR_PATTERN = pairPattern(BELOW_SIXTY);
+// Fallback that accepts any minutes/seconds so out-of-range values are reported
+const LENIENT_PAIR_PATTERN = pairPattern(NUMBER);
+const SINGLE_PATTERN = new RegExp(String.raw`^\s*${coordinateGrammar(NUMBER)}\s*$`, "i");
+
+// Human-readable names for the `format` reported by parseCoordinate
+export const FORMAT_LABELS = {
+  decimal: "Decimal degrees",
+  "decimal-hemisphere": "Decimal degrees with hemisphere letters",
+  ddm: "Degrees and decimal minutes",
+  dms: "Degrees, minutes and seconds",
+  mixed: "Mixed formats",
+};
+
+export function parseNumber(str) {
+  const n = parseFloat(str);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Validate latitude and longitude values. Returns error message or null.
+ */
+export function validateLatLon(lat, lon) {
+  if (lat == null || lon == null) return "Could not parse coordinates.";
+  if (lat < -90 || lat > 90 || lon < -180 || lon > 180) {
+    return "Latitude must be in [-90,90] and longitude in [-180,180].";
+  }
+  return null;
+}
+
+// Rough extent of New Caledonia's communes. Every valid answer of the
+// locator lies inside, so anything outside is most likely a typing error.
+export const NC_BOUNDS = { south: -23, north: -19, west: 163, east: 169 };
+
+export function isInBounds(lat, lon, bounds = NC_BOUNDS) {
+  return lat >= bounds.south && lat <= bounds.north && lon >= bounds.west && lon <= bounds.east;
+}
+
+// Typing mistakes that move a location out of New Caledonia, each undone by
+// a fix of the [lat, lon] pair. The swap applies before the sign flips.
+const CORRECTIONS = [
+  ["latitude and longitude swapped", ([lat, lon]) => [lon, lat]],
+  ["latitude sign flipped (N/S)", ([lat, lon]) => [-lat, lon]],
+  ["longitude sign flipped (E/W)", ([lat, lon]) => [lat, -lon]],
+];
+
+/**
+ * Likely intended locations for a coordinate outside `bounds`: every
+ * combination of the CORRECTIONS that lands inside. Returns
+ * [{ lat, lon, fixes }] with the fewest fixes first, or [] when the
+ * location is already inside or no correction fits.
+ */
+export function suggestCorrections(lat, lon, bounds = NC_BOUNDS) {
+  if (isInBounds(lat, lon, bounds)) return [];
+  const subsets = [];
+  for (let mask = 1; mask < 1 << CORRECTIONS.length; mask++) {
+    subsets.push(CORRECTIONS.filter((_, i) => mask & (1 << i)));
+  }
+  subsets.sort((a, b) => a.length - b.length);
+  const suggestions = [];
+  subsets.forEach((subset) => {
+    const [fixedLat, fixedLon] = subset.reduce((pair, [, fix]) => fix(pair), [lat, lon]);
+    if (!isInBounds(fixedLat, fixedLon, bounds)) return;
+    if (suggestions.some((s) => s.lat === fixedLat && s.lon === fixedLon)) return;
+    suggestions.push({ lat: fixedLat, lon: fixedLon, fixes: subset.map(([label]) => label) });
+  });
+  return suggestions;
+}
+
+// Order a pair of numbers as [lat, lon]. If the first number is outside the
+// latitude range but the second is inside, interpret the pair as lon,lat.
+export function orderLatLon(a, b) {
+  if ((a < -90 || a > 90) && b >= -90 && b <= 90) return [b, a];
+  return [a, b];
+}
+
+// Capture every DMS coordinate group ("20°44'19.7"S") found in a string
+export function matchDms(raw) {
+  return [...String(raw).matchAll(DMS_GROUP_PATTERN)];
+}
+
+// Convert regex match groups to decimal degrees
+export function dmsMatchToDecimal(match) {
+  // match indices: 1=deg,2=min,3=sec,4=dir
+  const deg = parseFloat(match[1]);
+  const min = match[2] ? parseFloat(match[2]) : 0;
+  const sec = match[3] ? parseFloat(match[3]) : 0;
+  const dir = match[4].toUpperCase();
+  if (![deg, min, sec].every((n) => Number.isFinite(n))) return null;
+  if (min < 0 || min >= 60 || sec < 0 || sec >= 60) return null;
+  let dec = Math.abs(deg) + min / 60 + sec / 3600;
+  // Determine sign: use sign of degrees if negative, otherwise direction
+  if (deg < 0) {
+    dec = -dec;
+  } else {
+    if (dir === "S" || dir === "W") dec = -dec;
+  }
+  return dec;
+}
+
+/**
+ * Convert separate degree, minute and second strings (the DMS boxes) to
+ * decimal degrees. Empty minutes/seconds count as 0; the sign comes from
+ * the degrees. Returns { value, error }.
+ */
+export function dmsPartsToDecimal(degStr, minStr = "", secStr = "") {
+  const deg = parseFloat(degStr);
+  const min = String(minStr).trim() ? parseFloat(minStr) : 0;
+  const sec = String(secStr).trim() ? parseFloat(secStr) : 0;
+  if (![deg, min, sec].every((n) => Number.isFinite(n))) {
+    return { value: null, error: "Invalid DMS values." };
+  }
+  if (min < 0 || min >= 60 || sec < 0 || sec >= 60) {
+    return { value: null, error: "Minutes and seconds must be in [0,60)." };
+  }
+  // "-0" still means south/west
+  const sign = /^\s*-/.test(degStr) ? -1 : 1;
+  return { value: sign * (Math.abs(deg) + min / 60 + sec / 3600), error: null };
+}
+
+// Unify typographic variants of the degree, minute and second symbols and,
+// when commas can only be decimal separators ("-21,35 165,47", or any digit
+// comma in a single value), turn them into dots.
+function normalizeCoordinateText(raw, warnings, single = false) {
+  let text = raw
+    .replace(/[º˚]/g, "°")
+    .replace(/''/g, '"')
+    .replace(/[′’‘´`]/g, "'")
+    .replace(/[″“”]/g, '"');
+  const commas = (text.match(/,/g) || []).length;
+  const digitCommas = (text.match(/\d,\d/g) || []).length;
+  if (commas && commas === digitCommas && !text.includes(".") && (single || /[\s;]/.test(text))) {
+    text = text.replace(/(\d),(\d)/g, "$1.$2");
+    warnings.push("Commas were read as decimal separators.");
+  }
+  return text;
+}
+
+/**
+ * Turn the six groups of one coordinate (prefix hemisphere, sign, degrees,
+ * minutes, seconds, suffix hemisphere) into
+ * { value, hemi, kind, error, warnings } where kind is decimal, ddm or dms
+ * and hemi is N, S, E, W or null.
+ */
+function readCoordinateGroups([prefix, sign, deg, min, sec, suffix]) {
+  const warnings = [];
+  const letters = [prefix, suffix].filter(Boolean).map((h) => h.toUpperCase().replace("O", "W"));
+  const kind = sec != null ? "dms" : min != null ? "ddm" : "decimal";
+  const fail = (error) => ({ value: null, hemi: null, kind, error, warnings });
+  if (letters.length === 2 && letters[0] !== letters[1]) {
+    return fail("A coordinate has two different hemisphere letters.");
+  }
+  const hemi = letters[0] || null;
+  if ((min != null && deg.includes(".")) || (sec != null && min.includes("."))) {
+    return fail("Only the last of degrees, minutes and seconds may have decimals.");
+  }
+  const minutes = min != null ? parseFloat(min) : 0;
+  const seconds = sec != null ? parseFloat(sec) : 0;
+  if (minutes >= 60 || seconds >= 60) return fail("Invalid DMS values.");
+  const abs = parseFloat(deg) + minutes / 60 + seconds / 3600;
+  let negative = hemi === "S" || hemi === "W";
+  if (sign === "-") {
+    if (hemi === "N" || hemi === "E") {
+      warnings.push(`The minus sign overrides the "${hemi}" hemisphere letter.`);
+    }
+    negative = true;
+  }
+  return { value: negative ? -abs : abs, hemi, kind, error: null, warnings };
+}
+
+const hemisphereAxis = (hemi) => (hemi === "N" || hemi === "S" ? "lat" : hemi ? "lon" : null);
+
+/**
+ * Parse a single coordinate value in any format parseCoordinate accepts
+ * ("-21.5", "21°30.5'S", "S 21 30 36", "165,5E"). Returns { value, hemi }
+ * where hemi is the hemisphere letter if any (French O reported as W);
+ * value is null when the string cannot be read.
+ */
+export function parseCoordinateValue(str) {
+  const raw = String(str ?? "").trim();
+  const m = normalizeCoordinateText(raw, [], true).match(SINGLE_PATTERN);
+  if (!m) return { value: null, hemi: null };
+  const coord = readCoordinateGroups(m.slice(1, 7));
+  return { value: coord.value, hemi: coord.hemi };
+}
+
+function result(lat, lon, format, warnings) {
+  return { lat, lon, format, warnings, error: validateLatLon(lat, lon) };
+}
+
+// Overall format of a pair from the kinds and hemispheres of its coordinates
+function pairFormat(a, b) {
+  if (a.kind !== b.kind) return "mixed";
+  if (a.kind === "decimal" && (a.hemi || b.hemi)) return "decimal-hemisphere";
+  return a.kind;
+}
+
+// Assemble two coordinates read by readCoordinateGroups into a result
+function resolvePair(first, second, warnings) {
+  let a = first;
+  let b = second;
+  const format = pairFormat(a, b);
+  warnings.push(...a.warnings, ...b.warnings);
+  const error = a.error || b.error;
+  if (error) return { lat: null, lon: null, format, warnings, error };
+  const axisA = hemisphereAxis(a.hemi);
+  const axisB = hemisphereAxis(b.hemi);
+  if (axisA && axisA === axisB) {
+    const which = axisA === "lat" ? "latitudes (N/S)" : "longitudes (E/W)";
+    return { lat: null, lon: null, format, warnings, error: `Both values are ${which}.` };
+  }
+  if (axisA === "lon" || axisB === "lat") {
+    [a, b] = [b, a];
+    warnings.push("Longitude was given first and has been swapped.");
+  } else if (!axisA && !axisB) {
+    const [lat, lon] = orderLatLon(a.value, b.value);
+    if (lat !== a.value) warnings.push("Read as longitude, latitude and swapped.");
+    return result(lat, lon, format, warnings);
+  }
+  return result(a.value, b.value, format, warnings);
+}
+
+/**
+ * Parse a latitude/longitude pair written in any format the UI accepts:
+ *   - "decimal":            "-21.3, 165.4", "-21,3 165,4" (decimal commas)
+ *   - "decimal-hemisphere": "21.3S 165.4E", "S21.3 E165.4", "21.3°S; 165.4°O"
+ *   - "ddm":                "S21°20.5' E165°28.3'", "21 20.5 S 165 28.3 E"
+ *   - "dms":                `20°44'19.7"S 164°47'41.6"E`, "-21 20 44.5, 165 28 12"
+ *   - "mixed":              one coordinate in each of two formats
+ * Hemisphere letters decide which value is the latitude; without them a
+ * lon,lat pair is swapped when the first value cannot be a latitude. Every
+ * swap or reinterpretation is listed in `warnings`.
+ * Returns { lat, lon, format, warnings, error } where error is a message for
+ * recognised but invalid values (null otherwise), or null when the string
+ * is not a coordinate pair at all (e.g. a commune name).
+ */
+export function parseCoordinate(input) {
+  const raw = String(input ?? "").trim();
+  if (!raw) return null;
+  const warnings = [];
+  const text = normalizeCoordinateText(raw, warnings);
+
+  const m = text.match(STRICT_PAIR_PATTERN) || text.match(LENIENT_PAIR_PATTERN);
+  if (m) {
+    const first = m.slice(1, 7);
+    const second = m.slice(7, 13);
+    // "S21 E165": the letter between the values prefixes the second one
+    if (first[0] && first[5] && !second[0]) {
+      second[0] = first[5];
+      first[5] = undefined;
+    }
+    return resolvePair(readCoordinateGroups(first), readCoordinateGroups(second), warnings);
+  }
+
+  // Longer strings holding several DMS groups: use the first two
+  const groups = matchDms(text);
+  if (groups.length >= 2) {
+    if (groups.length > 2) {
+      warnings.push(`Only the first two of ${groups.length} DMS groups were used.`);
+    }
+    let [first, second] = groups;
+    if (/[EW]/i.test(first[4]) && /[NS]/i.test(second[4])) {
+      [first, second] = [second, first];
+      warnings.push("Longitude was given first and has been swapped.");
+    }
+    const lat = dmsMatchToDecimal(first);
+    const lon = dmsMatchToDecimal(second);
+    if (lat == null || lon == null) {
+      return { lat: null, lon: null, format: "dms", warnings, error: "Invalid DMS values." };
+    }
+    return result(lat, lon, "dms", warnings);
+  }
+  return null;
+}
@@ -0,0 +1,98 @@
+/*
+ * New Caledonia Commune Locator — delimited text helpers
+ * -----------------------------------------------------------------
+ * Pure ES module with a minimal RFC 4180 reader/writer, shared by the batch
+ * geocoder and the point importers (index.html exposes it as `window.NCCsv`):
+ *   - Detect comma, semicolon or tab delimiters from the header line
+ *   - Parse quoted fields (embedded delimiters, quotes and newlines)
+ *   - Serialize rows back with quoting only where required
+ *
+ *   import { parseDelimited } from "./assets/js/csv.mjs";
+ *   parseDelimited('name;lat\r\n"Hienghène, Tao";-20.6');
+ *   // → { delimiter: ";", rows: [["name", "lat"], ["Hienghène, Tao", "-20.6"]] }
+ */
+
+export const CSV_DELIMITERS = [",", ";", "\t"];
+
+// Pick the candidate delimiter that occurs most often outside quotes on the first line
+export function detectDelimiter(text) {
+  const firstLine = (text || "").split(/\r?\n/, 1)[0] || "";
+  let best = ",";
+  let bestCount = 0;
+  CSV_DELIMITERS.forEach((delim) => {
+    let count = 0;
+    let inQuotes = false;
+    for (const ch of firstLine) {
+      if (ch === '"') inQuotes = !inQuotes;
+      else if (ch === delim && !inQuotes) count++;
+    }
+    if (count > bestCount) {
+      best = delim;
+      bestCount = count;
+    }
+  });
+  return best;
+}
+
+/**
+ * Parse delimited text into an array of rows (arrays of strings).
+ * Blank lines are skipped. Returns { delimiter, rows }.
+ */
+export function parseDelimited(text, delimiter) {
+  const src = (text || "").replace(/^\uFEFF/, "");
+  const delim = delimiter || detectDelimiter(src);
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (src[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === "") {
+      // Quotes only open a quoted field at its start; elsewhere they are literal (DMS seconds)
+      inQuotes = true;
+    } else if (ch === delim) {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      field = "";
+      if (row.length > 1 || row[0] !== "") rows.push(row);
+      row = [];
+    } else {
+      field += ch;
+    }
+  }
+  row.push(field);
+  if (row.length > 1 || row[0] !== "") rows.push(row);
+  return { delimiter: delim, rows };
+}
+
+// Quote a field when it contains the delimiter, quotes or line breaks
+export function quoteField(value, delimiter) {
+  const str = value == null ? "" : String(value);
+  if (str.includes(delimiter) || /["\r\n]/.test(str)) {
+    return `"${str.replace(/"/g, '""')}"`;
+  }
+  return str;
+}
+
+/**
+ * Serialize rows (arrays of values) into delimited text with CRLF line endings.
+ */
+export function toDelimited(rows, delimiter = ",") {
+  return rows
+    .map((row) => row.map((v) => quoteField(v, delimiter)).join(delimiter))
+    .join("\r\n");
+}
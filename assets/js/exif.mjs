@@ -0,0 +1,158 @@
+/*
+ * New Caledonia Commune Locator — photo EXIF reader
+ * -----------------------------------------------------------------
+ * Pure ES module reading the position and time a JPEG photo was taken
+ * from its EXIF block (index.html exposes it as `window.NCExif`):
+ *   - GPS latitude/longitude in decimal degrees, signed from N/S and E/W
+ *   - DateTimeOriginal (camera local time, with its UTC offset when the
+ *     phone recorded one), else the GPS UTC date and time, else the
+ *     file's DateTime
+ * Only the APP1 segment is parsed; the image data is never decoded.
+ *
+ *   import { readPhotoExif } from "./assets/js/exif.mjs";
+ *   readPhotoExif(await file.arrayBuffer());
+ *   // → { lat: -22.2711, lng: 166.4416, takenAt: "2024-07-03T09:30:00+11:00" }
+ */
+
+// Byte size of one value of each TIFF field type
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+const TAG_EXIF_IFD = 0x8769;
+const TAG_GPS_IFD = 0x8825;
+const TAG_DATE_TIME = 0x0132;
+const TAG_DATE_TIME_ORIGINAL = 0x9003;
+const TAG_OFFSET_TIME_ORIGINAL = 0x9011;
+const GPS_LAT_REF = 1;
+const GPS_LAT = 2;
+const GPS_LON_REF = 3;
+const GPS_LON = 4;
+const GPS_TIME = 7;
+const GPS_DATE = 0x1d;
+
+// Offset of the TIFF header inside the Exif APP1 segment, or -1
+function findTiffStart(view) {
+  if (view.byteLength < 4 || view.getUint16(0) !== 0xffd8) return -1;
+  let offset = 2;
+  while (offset + 4 <= view.byteLength) {
+    if (view.getUint8(offset) !== 0xff) return -1;
+    const marker = view.getUint8(offset + 1);
+    // Start of scan or end of image: no metadata after this point
+    if (marker === 0xda || marker === 0xd9) return -1;
+    const length = view.getUint16(offset + 2);
+    if (
+      marker === 0xe1 &&
+      offset + 10 <= view.byteLength &&
+      view.getUint32(offset + 4) === 0x45786966 && // "Exif"
+      view.getUint16(offset + 8) === 0
+    ) {
+      return offset + 10;
+    }
+    offset += 2 + length;
+  }
+  return -1;
+}
+
+// Tag → values of one IFD; ASCII fields are strings, others number arrays
+function readIfd(view, tiff, ifdOffset, little) {
+  const tags = new Map();
+  const start = tiff + ifdOffset;
+  const count = view.getUint16(start, little);
+  for (let i = 0; i < count; i++) {
+    const entry = start + 2 + i * 12;
+    const tag = view.getUint16(entry, little);
+    const type = view.getUint16(entry + 2, little);
+    const n = view.getUint32(entry + 4, little);
+    const size = TYPE_SIZES[type];
+    if (!size) continue;
+    // Values of up to 4 bytes are stored in the entry itself
+    const at = size * n <= 4 ? entry + 8 : tiff + view.getUint32(entry + 8, little);
+    tags.set(tag, readValues(view, at, type, n, little));
+  }
+  return tags;
+}
+
+function readValues(view, at, type, n, little) {
+  if (type === 2) {
+    let text = "";
+    for (let i = 0; i < n; i++) {
+      const c = view.getUint8(at + i);
+      if (!c) break;
+      text += String.fromCharCode(c);
+    }
+    return text.trim();
+  }
+  const values = [];
+  for (let i = 0; i < n; i++) {
+    const p = at + i * TYPE_SIZES[type];
+    if (type === 3) values.push(view.getUint16(p, little));
+    else if (type === 4) values.push(view.getUint32(p, little));
+    else if (type === 9) values.push(view.getInt32(p, little));
+    else if (type === 5) values.push(view.getUint32(p, little) / view.getUint32(p + 4, little));
+    else if (type === 10) values.push(view.getInt32(p, little) / view.getInt32(p + 4, little));
+    else values.push(view.getUint8(p));
+  }
+  return values;
+}
+
+// Decimal degrees from [degrees, minutes, seconds] and a hemisphere letter
+function gpsDegrees(dms, ref, negative) {
+  if (!Array.isArray(dms) || dms.length < 3) return null;
+  const value = dms[0] + dms[1] / 60 + dms[2] / 3600;
+  if (!Number.isFinite(value)) return null;
+  return String(ref).toUpperCase() === negative ? -value : value;
+}
+
+// "YYYY:MM:DD HH:MM:SS" → "YYYY-MM-DDTHH:MM:SS", or null
+function exifDateTime(text) {
+  const m = /^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/.exec(text || "");
+  if (!m || m[1] === "0000") return null;
+  return `${m[1]}-${m[2]}-${m[3]}T${m[4]}:${m[5]}:${m[6]}`;
+}
+
+function gpsDateTime(date, time) {
+  const m = /^(\d{4}):(\d{2}):(\d{2})$/.exec(date || "");
+  if (!m || !Array.isArray(time) || time.length < 3 || !time.every(Number.isFinite)) return null;
+  const pad = (n) => String(Math.floor(n)).padStart(2, "0");
+  return `${m[1]}-${m[2]}-${m[3]}T${pad(time[0])}:${pad(time[1])}:${pad(time[2])}Z`;
+}
+
+/**
+ * Position and time of a JPEG photo from its EXIF metadata.
+ * Returns null when the buffer is not a JPEG, otherwise
+ * { lat, lng, takenAt } where missing or unreadable values are null.
+ */
+export function readPhotoExif(buffer) {
+  const view = new DataView(buffer);
+  if (view.byteLength < 2 || view.getUint16(0) !== 0xffd8) return null;
+  const result = { lat: null, lng: null, takenAt: null };
+  try {
+    const tiff = findTiffStart(view);
+    if (tiff < 0) return result;
+    const order = view.getUint16(tiff);
+    if (order !== 0x4949 && order !== 0x4d4d) return result; // "II" / "MM"
+    const little = order === 0x4949;
+    const ifd0 = readIfd(view, tiff, view.getUint32(tiff + 4, little), little);
+    const exif = ifd0.has(TAG_EXIF_IFD) ? readIfd(view, tiff, ifd0.get(TAG_EXIF_IFD)[0], little) : new Map();
+    const gps = ifd0.has(TAG_GPS_IFD) ? readIfd(view, tiff, ifd0.get(TAG_GPS_IFD)[0], little) : new Map();
+
+    const lat = gpsDegrees(gps.get(GPS_LAT), gps.get(GPS_LAT_REF), "S");
+    const lng = gpsDegrees(gps.get(GPS_LON), gps.get(GPS_LON_REF), "W");
+    if (lat != null && lng != null && Math.abs(lat) <= 90 && Math.abs(lng) <= 180) {
+      result.lat = lat;
+      result.lng = lng;
+    }
+
+    const original = exifDateTime(exif.get(TAG_DATE_TIME_ORIGINAL));
+    const offset = exif.get(TAG_OFFSET_TIME_ORIGINAL);
+    if (original) {
+      result.takenAt = /^[+-]\d{2}:\d{2}$/.test(offset || "") ? original + offset : original;
+    } else {
+      result.takenAt =
+        gpsDateTime(gps.get(GPS_DATE), gps.get(GPS_TIME)) || exifDateTime(ifd0.get(TAG_DATE_TIME));
+    }
+  } catch (err) {
+    // Truncated or corrupt metadata: keep whatever was read
+    if (!(err instanceof RangeError)) throw err;
+  }
+  return result;
+}
@@ -0,0 +1,541 @@
+/*
+ * New Caledonia Commune Locator — point file formats
+ * -----------------------------------------------------------------
+ * Pure ES module reading and writing point files (index.html exposes it as
+ * `window.NCFormats`). Readers for the files the Points section can import:
+ *   - GeoJSON (round-trips the properties written by Export Points)
+ *   - CSV/TSV with latitude/longitude columns, decimal or DMS (uses csv.mjs)
+ *   - KML placemarks (Google Earth) and GPX waypoints (Garmin units)
+ * Each reader returns { items, skipped } where every item is
+ * { lat, lng, properties: { label, color, opacity }, shape, fields }.
+ * `fields` holds every attribute the file had for the point (GeoJSON
+ * properties, CSV columns, KML ExtendedData, GPX extensions) so
+ * the caller can pick out its custom attributes.
+ * Commune assignment is left to the caller.
+ *
+ * Writers for Export Points take records { lat, lng, attributes } and
+ * produce GeoJSON, CSV, KML, GPX or a zipped Shapefile (shapefile.mjs).
+ * Saved measurements travel with them as annotations
+ * { geometry: "line" | "polygon", coordinates: [[lng, lat], …], attributes }:
+ * line/polygon features, tracks, or a WKT column in CSV.
+ *
+ *   import { readPointsFile } from "./assets/js/formats.mjs";
+ *   readPointsFile("points.csv", "lat,lon,name\n-22.27,166.44,Nouméa").items[0];
+ *   // → { lat: -22.27, lng: 166.44, shape: "circle", properties: { label: "Nouméa", … }, fields }
+ */
+
+import { parseCoordinateValue } from "./coords.mjs";
+import { parseDelimited, toDelimited } from "./csv.mjs";
+import { buildPointShapefileZip } from "./shapefile.mjs";
+
+const DEFAULT_POINT_COLOR = "#ff0000";
+const DEFAULT_POINT_OPACITY = 0.8;
+const POINT_SHAPES = ["circle", "square"];
+// Namespace of the point attributes written into GPX <extensions>
+const GPX_EXTENSIONS_NS = "urn:nc-commune-locator:gpx:1";
+// Colour of measurement annotations on the map and in KML
+export const ANNOTATION_COLOR = "#7c3aed";
+
+// Normalize "#rgb"/"#rrggbb" to "#rrggbb"; anything else falls back to the default
+function normalizeHexColor(value) {
+  const str = String(value || "").trim();
+  let m = /^#?([0-9a-f]{6})$/i.exec(str);
+  if (m) return `#${m[1].toLowerCase()}`;
+  m = /^#?([0-9a-f])([0-9a-f])([0-9a-f])$/i.exec(str);
+  if (m) return `#${m[1]}${m[1]}${m[2]}${m[2]}${m[3]}${m[3]}`.toLowerCase();
+  return DEFAULT_POINT_COLOR;
+}
+
+function normalizeOpacity(value) {
+  const n = parseFloat(value);
+  return Number.isFinite(n) && n >= 0 && n <= 1 ? n : DEFAULT_POINT_OPACITY;
+}
+
+// Build an import item from loose attribute values
+function makePointItem(lat, lng, attrs = {}, fields = {}) {
+  return {
+    lat,
+    lng,
+    fields,
+    shape: POINT_SHAPES.includes(attrs.shape) ? attrs.shape : "circle",
+    properties: {
+      label: attrs.label != null ? String(attrs.label) : "",
+      color: normalizeHexColor(attrs.color),
+      opacity: normalizeOpacity(attrs.opacity),
+    },
+  };
+}
+
+/**
+ * Read Point/MultiPoint features from a GeoJSON FeatureCollection, Feature
+ * or bare geometry. Other geometry types are counted as skipped.
+ */
+export function parseGeoJSONPoints(text) {
+  const data = JSON.parse(text);
+  let features = [];
+  if (data?.type === "FeatureCollection") features = data.features || [];
+  else if (data?.type === "Feature") features = [data];
+  else if (data?.type) features = [{ type: "Feature", geometry: data, properties: {} }];
+  const items = [];
+  let skipped = 0;
+  features.forEach((feat) => {
+    const geom = feat?.geometry;
+    const props = feat?.properties || {};
+    const attrs = {
+      label: props.label ?? props.name ?? props.title ?? "",
+      color: props.color,
+      opacity: props.opacity,
+      shape: props.shape,
+    };
+    let coords = [];
+    if (geom?.type === "Point") coords = [geom.coordinates];
+    else if (geom?.type === "MultiPoint") coords = geom.coordinates || [];
+    if (!coords.length) {
+      skipped++;
+      return;
+    }
+    coords.forEach((c) => {
+      const lng = parseFloat(c?.[0]);
+      const lat = parseFloat(c?.[1]);
+      if (Number.isFinite(lat) && Number.isFinite(lng)) items.push(makePointItem(lat, lng, attrs, props));
+      else skipped++;
+    });
+  });
+  return { items, skipped };
+}
+
+const CSV_LAT_HEADERS = ["lat", "latitude", "y", "decimallatitude"];
+const CSV_LON_HEADERS = ["lon", "lng", "long", "longitude", "x", "decimallongitude"];
+const CSV_LABEL_HEADERS = ["label", "name", "title", "id"];
+
+/**
+ * Read points from CSV/TSV text with a header row. Latitude and longitude
+ * columns are found by name and may hold decimal degrees (with a decimal
+ * point or comma) or DMS; hemisphere letters set the sign, and N/S or E/W
+ * letters in the other column mean the columns are the wrong way round.
+ */
+export function parseCsvPoints(text) {
+  const { rows } = parseDelimited(text);
+  if (rows.length < 2) return { items: [], skipped: 0 };
+  const columns = rows[0].map((h) => h.trim());
+  const header = columns.map((h) => h.toLowerCase());
+  const find = (names) => header.findIndex((h) => names.includes(h));
+  const latIdx = find(CSV_LAT_HEADERS);
+  const lonIdx = find(CSV_LON_HEADERS);
+  if (latIdx < 0 || lonIdx < 0) {
+    throw new Error("No latitude/longitude columns found.");
+  }
+  const labelIdx = find(CSV_LABEL_HEADERS);
+  const colorIdx = header.indexOf("color");
+  const opacityIdx = header.indexOf("opacity");
+  const shapeIdx = header.indexOf("shape");
+  const items = [];
+  let skipped = 0;
+  rows.slice(1).forEach((row) => {
+    const a = parseCoordinateValue(row[latIdx]);
+    const b = parseCoordinateValue(row[lonIdx]);
+    if (a.value == null || b.value == null) {
+      skipped++;
+      return;
+    }
+    const swapped = a.hemi === "E" || a.hemi === "W" || b.hemi === "N" || b.hemi === "S";
+    const [lat, lng] = swapped ? [b.value, a.value] : [a.value, b.value];
+    const fields = Object.fromEntries(columns.map((name, i) => [name, row[i]]));
+    items.push(
+      makePointItem(lat, lng, {
+        label: labelIdx >= 0 ? row[labelIdx] : "",
+        color: colorIdx >= 0 ? row[colorIdx] : undefined,
+        opacity: opacityIdx >= 0 ? row[opacityIdx] : undefined,
+        shape: shapeIdx >= 0 ? row[shapeIdx] : undefined,
+      }, fields),
+    );
+  });
+  return { items, skipped };
+}
+
+function parseXml(text) {
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length) {
+    throw new Error("Invalid XML.");
+  }
+  return doc;
+}
+
+// First descendant with the given local name (namespace-agnostic)
+function firstByName(parent, name) {
+  return parent.getElementsByTagNameNS("*", name)[0] || null;
+}
+
+function childText(parent, name) {
+  const el = firstByName(parent, name);
+  return el ? el.textContent.trim() : "";
+}
+
+// KML colours are aabbggrr hex; returns { color, opacity } or {}
+function kmlColorToStyle(value) {
+  const m = /^([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(
+    (value || "").trim(),
+  );
+  if (!m) return {};
+  return {
+    color: `#${m[4]}${m[3]}${m[2]}`.toLowerCase(),
+    opacity: Math.round((parseInt(m[1], 16) / 255) * 100) / 100,
+  };
+}
+
+/**
+ * Read Point placemarks from KML. The icon colour is taken from an inline
+ * Style or from a shared Style referenced through styleUrl.
+ */
+export function parseKmlPoints(text) {
+  const doc = parseXml(text);
+  const sharedStyles = {};
+  Array.from(doc.getElementsByTagNameNS("*", "Style")).forEach((style) => {
+    const id = style.getAttribute("id");
+    if (id) sharedStyles[id] = style;
+  });
+  const items = [];
+  let skipped = 0;
+  Array.from(doc.getElementsByTagNameNS("*", "Placemark")).forEach((pm) => {
+    const point = firstByName(pm, "Point");
+    const coordText = point ? childText(point, "coordinates") : "";
+    const [lng, lat] = coordText.split(",").map((v) => parseFloat(v));
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+      skipped++;
+      return;
+    }
+    let style = firstByName(pm, "Style");
+    if (!style) {
+      const ref = childText(pm, "styleUrl").replace(/^#/, "");
+      style = sharedStyles[ref] || null;
+    }
+    const iconStyle = style ? firstByName(style, "IconStyle") : null;
+    const { color, opacity } = kmlColorToStyle(iconStyle ? childText(iconStyle, "color") : "");
+    const fields = {};
+    Array.from(pm.getElementsByTagNameNS("*", "Data")).forEach((data) => {
+      const name = data.getAttribute("name");
+      if (name) fields[name] = childText(data, "value");
+    });
+    items.push(
+      makePointItem(lat, lng, { label: childText(pm, "name"), color, opacity, shape: fields.shape }, fields),
+    );
+  });
+  return { items, skipped };
+}
+
+// Attributes from the <extensions> written by Export Points, or null when
+// the waypoint has none
+function gpxExtensionFields(wpt) {
+  const extensions = firstByName(wpt, "extensions");
+  const attributes = extensions ? extensions.getElementsByTagNameNS("*", "attribute") : [];
+  if (!attributes.length) return null;
+  const fields = {};
+  Array.from(attributes).forEach((el) => {
+    const name = el.getAttribute("name");
+    if (name) fields[name] = el.textContent;
+  });
+  return fields;
+}
+
+// Attributes from a "key: value; …" description, as written by earlier
+// versions of Export Points
+function parseGpxDescription(desc) {
+  const fields = {};
+  desc.split("; ").forEach((part) => {
+    const sep = part.indexOf(": ");
+    if (sep > 0) fields[part.slice(0, sep).trim()] = part.slice(sep + 2).trim();
+  });
+  return fields;
+}
+
+/**
+ * Read waypoints (<wpt>) from GPX. Attributes come from the waypoint's
+ * <extensions>, or from a "key: value; …" description in older exports.
+ * Tracks and routes are not points and are counted as skipped.
+ */
+export function parseGpxPoints(text) {
+  const doc = parseXml(text);
+  const items = [];
+  let skipped =
+    doc.getElementsByTagNameNS("*", "trk").length +
+    doc.getElementsByTagNameNS("*", "rte").length;
+  Array.from(doc.getElementsByTagNameNS("*", "wpt")).forEach((wpt) => {
+    const lat = parseFloat(wpt.getAttribute("lat"));
+    const lng = parseFloat(wpt.getAttribute("lon"));
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+      skipped++;
+      return;
+    }
+    const fields = gpxExtensionFields(wpt) || parseGpxDescription(childText(wpt, "desc"));
+    const { color, opacity, shape } = fields;
+    items.push(makePointItem(lat, lng, { label: childText(wpt, "name"), color, opacity, shape }, fields));
+  });
+  return { items, skipped };
+}
+
+// File extension → reader
+const POINT_READERS = {
+  geojson: parseGeoJSONPoints,
+  json: parseGeoJSONPoints,
+  csv: parseCsvPoints,
+  tsv: parseCsvPoints,
+  txt: parseCsvPoints,
+  kml: parseKmlPoints,
+  gpx: parseGpxPoints,
+};
+
+/**
+ * Pick a reader from the file name and parse the text.
+ * Throws when the format is unsupported or the content cannot be read.
+ */
+export function readPointsFile(name, text) {
+  const ext = (/\.([^.]+)$/.exec(name || "") || [])[1]?.toLowerCase();
+  const reader = POINT_READERS[ext];
+  if (!reader) throw new Error(`Unsupported file type: .${ext || "?"}`);
+  return reader(text);
+}
+
+// -----------------------------------------------------------------------------
+// Writers
+
+function escapeXml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+/**
+ * Format decimal degrees as DMS, e.g. -21.3456 → 21°20'44.2"S.
+ * `axis` is "lat" or "lon" and selects the hemisphere letters.
+ */
+export function formatDms(value, axis) {
+  const hemi = axis === "lat" ? (value < 0 ? "S" : "N") : value < 0 ? "W" : "E";
+  // Work in tenths of a second so rounding carries into minutes and degrees
+  const tenths = Math.round(Math.abs(value) * 36000);
+  const deg = Math.floor(tenths / 36000);
+  const min = Math.floor((tenths % 36000) / 600);
+  const sec = (tenths % 600) / 10;
+  return `${deg}°${min}'${sec.toFixed(1)}"${hemi}`;
+}
+
+// "#rrggbb" + opacity → KML "aabbggrr"
+function toKmlColor(color, opacity) {
+  const hex = normalizeHexColor(color).slice(1);
+  const alpha = Math.round(normalizeOpacity(opacity) * 255)
+    .toString(16)
+    .padStart(2, "0");
+  return `${alpha}${hex.slice(4, 6)}${hex.slice(2, 4)}${hex.slice(0, 2)}`;
+}
+
+// Annotation vertices, closed for polygons: [[lng, lat], …]
+function annotationCoords(a) {
+  return a.geometry === "polygon" ? [...a.coordinates, a.coordinates[0]] : a.coordinates;
+}
+
+function toGeoJSONText(records, annotations = []) {
+  const fc = {
+    type: "FeatureCollection",
+    features: [
+      ...records.map((r) => ({
+        type: "Feature",
+        geometry: { type: "Point", coordinates: [r.lng, r.lat] },
+        properties: { ...r.attributes },
+      })),
+      ...annotations.map((a) => ({
+        type: "Feature",
+        geometry:
+          a.geometry === "polygon"
+            ? { type: "Polygon", coordinates: [annotationCoords(a)] }
+            : { type: "LineString", coordinates: annotationCoords(a) },
+        properties: { ...a.attributes },
+      })),
+    ],
+  };
+  return JSON.stringify(fc, null, 2);
+}
+
+// Union of attribute keys across records, in first-seen order
+function attributeKeys(records) {
+  const keys = [];
+  records.forEach((r) => {
+    Object.keys(r.attributes).forEach((k) => {
+      if (!keys.includes(k)) keys.push(k);
+    });
+  });
+  return keys;
+}
+
+// Well-known text of an annotation: LINESTRING (…) or POLYGON ((…))
+function annotationWkt(a) {
+  const coords = annotationCoords(a)
+    .map(([lng, lat]) => `${lng} ${lat}`)
+    .join(", ");
+  return a.geometry === "polygon" ? `POLYGON ((${coords}))` : `LINESTRING (${coords})`;
+}
+
+// Annotations add a "wkt" column; their rows leave the point columns empty
+function toCsvText(records, annotations = []) {
+  const keys = attributeKeys([...records, ...annotations]);
+  const wkt = annotations.length ? ["wkt"] : [];
+  const rows = [["lat", "lon", "lat_dms", "lon_dms", ...keys, ...wkt]];
+  records.forEach((r) => {
+    rows.push([
+      r.lat,
+      r.lng,
+      formatDms(r.lat, "lat"),
+      formatDms(r.lng, "lon"),
+      ...keys.map((k) => r.attributes[k] ?? ""),
+      ...(wkt.length ? [`POINT (${r.lng} ${r.lat})`] : []),
+    ]);
+  });
+  annotations.forEach((a) => {
+    rows.push(["", "", "", "", ...keys.map((k) => a.attributes[k] ?? ""), annotationWkt(a)]);
+  });
+  return toDelimited(rows, ",");
+}
+
+// <Data> lines of a placemark's ExtendedData
+function kmlExtendedData(attributes) {
+  return Object.entries(attributes)
+    .map(
+      ([k, v]) =>
+        `        <Data name="${escapeXml(k)}"><value>${escapeXml(v)}</value></Data>`,
+    )
+    .join("\n");
+}
+
+function kmlAnnotationPlacemark(a) {
+  const coords = annotationCoords(a)
+    .map(([lng, lat]) => `${lng},${lat},0`)
+    .join(" ");
+  const geometry =
+    a.geometry === "polygon"
+      ? `      <Polygon><tessellate>1</tessellate><outerBoundaryIs><LinearRing><coordinates>${coords}</coordinates></LinearRing></outerBoundaryIs></Polygon>`
+      : `      <LineString><tessellate>1</tessellate><coordinates>${coords}</coordinates></LineString>`;
+  return [
+    "    <Placemark>",
+    `      <name>${escapeXml(a.attributes.label)}</name>`,
+    "      <Style>",
+    `        <LineStyle><color>${toKmlColor(ANNOTATION_COLOR, 1)}</color><width>3</width></LineStyle>`,
+    `        <PolyStyle><color>${toKmlColor(ANNOTATION_COLOR, 0.2)}</color></PolyStyle>`,
+    "      </Style>",
+    "      <ExtendedData>",
+    kmlExtendedData(a.attributes),
+    "      </ExtendedData>",
+    geometry,
+    "    </Placemark>",
+  ].join("\n");
+}
+
+function toKmlText(records, annotations = []) {
+  const placemarks = records.map((r) => {
+    const { label, color, opacity } = r.attributes;
+    const data = kmlExtendedData(r.attributes);
+    return [
+      "    <Placemark>",
+      `      <name>${escapeXml(label)}</name>`,
+      "      <Style>",
+      `        <IconStyle><color>${toKmlColor(color, opacity)}</color></IconStyle>`,
+      "      </Style>",
+      "      <ExtendedData>",
+      data,
+      "      </ExtendedData>",
+      `      <Point><coordinates>${r.lng},${r.lat},0</coordinates></Point>`,
+      "    </Placemark>",
+    ].join("\n");
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    "  <Document>",
+    "    <name>New Caledonia points</name>",
+    ...placemarks,
+    ...annotations.map(kmlAnnotationPlacemark),
+    "  </Document>",
+    "</kml>",
+  ].join("\n");
+}
+
+// Non-empty attributes as [key, value] pairs
+function gpxAttributes(attributes) {
+  return Object.entries(attributes).filter(([, v]) => v != null && v !== "");
+}
+
+// "key: value; …" description shown by GPS units; not read back
+function gpxDescription(attributes) {
+  return gpxAttributes(attributes)
+    .map(([k, v]) => `${k}: ${v}`)
+    .join("; ");
+}
+
+// <extensions> holding every attribute, so values may contain any text
+function gpxExtensions(attributes, indent) {
+  if (!gpxAttributes(attributes).length) return [];
+  return [
+    `${indent}<extensions>`,
+    ...gpxAttributes(attributes).map(
+      ([k, v]) => `${indent}  <nccl:attribute name="${escapeXml(k)}">${escapeXml(v)}</nccl:attribute>`,
+    ),
+    `${indent}</extensions>`,
+  ];
+}
+
+// Annotations become tracks; polygons are closed
+function toGpxText(records, annotations = []) {
+  const waypoints = records.map((r) => {
+    const { label, ...rest } = r.attributes;
+    const desc = gpxDescription(rest);
+    return [
+      `  <wpt lat="${r.lat}" lon="${r.lng}">`,
+      `    <name>${escapeXml(label)}</name>`,
+      `    <desc>${escapeXml(desc)}</desc>`,
+      ...gpxExtensions(rest, "    "),
+      "  </wpt>",
+    ].join("\n");
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<gpx version="1.1" creator="New Caledonia Commune Locator" xmlns="http://www.topografix.com/GPX/1/1" xmlns:nccl="${GPX_EXTENSIONS_NS}">`,
+    ...waypoints,
+    ...annotations.map((a) => {
+      const { label, ...rest } = a.attributes;
+      return [
+        "  <trk>",
+        `    <name>${escapeXml(label)}</name>`,
+        `    <desc>${escapeXml(gpxDescription(rest))}</desc>`,
+        ...gpxExtensions(rest, "    "),
+        "    <trkseg>",
+        ...annotationCoords(a).map(([lng, lat]) => `      <trkpt lat="${lat}" lon="${lng}"></trkpt>`),
+        "    </trkseg>",
+        "  </trk>",
+      ].join("\n");
+    }),
+    "</gpx>",
+  ].join("\n");
+}
+
+// Export format → { ext, mime, write(records, annotations, basename) }
+export const POINT_WRITERS = {
+  geojson: { ext: "geojson", mime: "application/geo+json", write: toGeoJSONText },
+  csv: { ext: "csv", mime: "text/csv", write: toCsvText },
+  kml: { ext: "kml", mime: "application/vnd.google-earth.kml+xml", write: toKmlText },
+  gpx: { ext: "gpx", mime: "application/gpx+xml", write: toGpxText },
+  shp: { ext: "zip", mime: "application/zip", write: buildPointShapefileZip },
+};
+
+/**
+ * Serialize export records, and optional measurement annotations, in the
+ * given format. Returns { blob, filename }; throws for an unknown format.
+ */
+export function writePointsFile(format, records, basename, annotations = []) {
+  const writer = POINT_WRITERS[format];
+  if (!writer) throw new Error(`Unsupported export format: ${format}`);
+  const data = writer.write(records, annotations, basename);
+  return {
+    blob: new Blob([data], { type: writer.mime }),
+    filename: `${basename}.${writer.ext}`,
+  };
+}
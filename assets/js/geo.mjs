@@ -0,0 +1,351 @@
+/*
+ * New Caledonia Commune Locator — geometry helpers
+ * -----------------------------------------------------------------
+ * Pure ES module of plain functions over GeoJSON coordinates ([lng, lat]),
+ * no Leaflet (index.html exposes it as `window.NCGeo`):
+ *   - Bounding boxes for Polygon/MultiPolygon geometries
+ *   - Distance in metres from a point to polygon boundaries
+ *   - Nearest commune polygon to a point
+ *   - Dissolved outlines of polygon groups (province boundaries)
+ *   - Area, perimeter, centroid and neighbours of a commune (info panel)
+ *   - Geodesic distances and bearings for the measurement tools
+ * Distances use a local equirectangular projection centred on the query
+ * point, which stays well under 1 % error across New Caledonia. Areas and
+ * perimeters are computed on the WGS84 ellipsoid. Polygon parts and
+ * point-in-ring tests come from spatialindex.mjs.
+ *
+ *   import { geodesicInverse } from "./assets/js/geo.mjs";
+ *   geodesicInverse([166.44, -22.27], [164.8, -20.9]);
+ *   // → { distance: 227713.59…, bearing: 311.47… } in metres and degrees
+ */
+
+import { geometryParts } from "./spatialindex.mjs";
+
+const EARTH_RADIUS_M = 6371008.8;
+const DEG_TO_RAD = Math.PI / 180;
+
+// WGS84 ellipsoid: semi-major axis, flattening and first eccentricity squared
+const WGS84_A = 6378137;
+const WGS84_F = 1 / 298.257223563;
+const WGS84_E2 = 0.0066943799901413165;
+
+// All linear rings of a Polygon or MultiPolygon
+function geometryRings(geometry) {
+  return geometryParts(geometry).flat();
+}
+
+// [minLng, minLat, maxLng, maxLat] of a Polygon or MultiPolygon
+export function geometryBounds(geometry) {
+  const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+  geometryRings(geometry).forEach((ring) => {
+    ring.forEach(([x, y]) => {
+      if (x < bbox[0]) bbox[0] = x;
+      if (y < bbox[1]) bbox[1] = y;
+      if (x > bbox[2]) bbox[2] = x;
+      if (y > bbox[3]) bbox[3] = y;
+    });
+  });
+  return bbox;
+}
+
+// Project [lng, lat] to metres on a plane tangent at (lat0, lng0)
+function localProjector(lat0, lng0) {
+  const kx = Math.cos(lat0 * DEG_TO_RAD) * DEG_TO_RAD * EARTH_RADIUS_M;
+  const ky = DEG_TO_RAD * EARTH_RADIUS_M;
+  const project = ([lng, lat]) => [(lng - lng0) * kx, (lat - lat0) * ky];
+  project.invert = ([x, y]) => [lng0 + x / kx, lat0 + y / ky];
+  return project;
+}
+
+// Distance from the origin to segment a–b in projected metres
+function originToSegment(a, b) {
+  const dx = b[0] - a[0];
+  const dy = b[1] - a[1];
+  const len2 = dx * dx + dy * dy;
+  let t = len2 ? -(a[0] * dx + a[1] * dy) / len2 : 0;
+  t = Math.max(0, Math.min(1, t));
+  return Math.hypot(a[0] + t * dx, a[1] + t * dy);
+}
+
+/**
+ * Distance in metres from (lat, lng) to the nearest edge of a Polygon or
+ * MultiPolygon (holes included). Inside or outside makes no difference.
+ */
+export function distanceToBoundaryMeters(lat, lng, geometry) {
+  const project = localProjector(lat, lng);
+  let best = Infinity;
+  geometryRings(geometry).forEach((ring) => {
+    let prev = project(ring[0]);
+    for (let i = 1; i < ring.length; i++) {
+      const curr = project(ring[i]);
+      const d = originToSegment(prev, curr);
+      if (d < best) best = d;
+      prev = curr;
+    }
+  });
+  return best;
+}
+
+// Lower bound in metres from (lat, lng) to a bounding box (0 when inside)
+function distanceToBoundsMeters(lat, lng, bbox) {
+  const project = localProjector(lat, lng);
+  const [x, y] = project([
+    Math.max(bbox[0], Math.min(lng, bbox[2])),
+    Math.max(bbox[1], Math.min(lat, bbox[3])),
+  ]);
+  return Math.hypot(x, y);
+}
+
+/**
+ * Nearest polygon to (lat, lng) among entries { name, geometry, bbox },
+ * skipping the entry named `excludeName`. Returns { name, distance } in
+ * metres or null. Bounding boxes prune polygons that cannot be closer.
+ */
+export function nearestPolygon(lat, lng, entries, excludeName = null) {
+  const candidates = entries
+    .filter((e) => e.name !== excludeName)
+    .map((e) => ({ entry: e, bound: distanceToBoundsMeters(lat, lng, e.bbox) }))
+    .sort((a, b) => a.bound - b.bound);
+  let best = null;
+  for (const { entry, bound } of candidates) {
+    if (best && bound >= best.distance) break;
+    const distance = distanceToBoundaryMeters(lat, lng, entry.geometry);
+    if (!best || distance < best.distance) best = { name: entry.name, distance };
+  }
+  return best;
+}
+
+// Same key for an edge whichever way it is walked
+const edgeKey = (a, b) => (a[0] < b[0] || (a[0] === b[0] && a[1] < b[1]) ? `${a}|${b}` : `${b}|${a}`);
+
+/**
+ * Outline of the union of several polygons that share boundary vertices
+ * (as the commune polygons do): edges used by two polygons are interior
+ * and dropped. Returns an array of [lng, lat] lines.
+ */
+export function dissolvedOutline(geometries) {
+  const rings = geometries.flatMap(geometryRings);
+  const uses = new Map();
+  rings.forEach((ring) => {
+    for (let i = 1; i < ring.length; i++) {
+      const k = edgeKey(ring[i - 1], ring[i]);
+      uses.set(k, (uses.get(k) || 0) + 1);
+    }
+  });
+  // Walk each ring and keep runs of consecutive outer edges
+  const lines = [];
+  rings.forEach((ring) => {
+    let line = null;
+    for (let i = 1; i < ring.length; i++) {
+      if (uses.get(edgeKey(ring[i - 1], ring[i])) === 1) {
+        if (!line) {
+          line = [ring[i - 1]];
+          lines.push(line);
+        }
+        line.push(ring[i]);
+      } else {
+        line = null;
+      }
+    }
+  });
+  return lines;
+}
+
+// ---- Commune measurements ----
+
+// Number of separate parts (islands) of a Polygon or MultiPolygon
+export function geometryPartCount(geometry) {
+  return geometryParts(geometry).length;
+}
+
+// Authalic (equal-area) latitude in radians, and the radius of the sphere
+// that keeps WGS84 areas (Snyder, Map Projections — A Working Manual, §3)
+const authalicQ = (sinPhi) => {
+  const e = Math.sqrt(WGS84_E2);
+  return (
+    (1 - WGS84_E2) *
+    (sinPhi / (1 - WGS84_E2 * sinPhi * sinPhi) -
+      Math.log((1 - e * sinPhi) / (1 + e * sinPhi)) / (2 * e))
+  );
+};
+const AUTHALIC_QP = authalicQ(1);
+const AUTHALIC_RADIUS_M = WGS84_A * Math.sqrt(AUTHALIC_QP / 2);
+const authalicLatitude = (lat) => Math.asin(authalicQ(Math.sin(lat * DEG_TO_RAD)) / AUTHALIC_QP);
+
+// Unsigned area of a ring in m² on the authalic sphere
+function ringAreaSqMeters(ring) {
+  let total = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    const prev = ring[i === 0 ? ring.length - 2 : i - 1];
+    const next = ring[i + 1];
+    total += (next[0] - prev[0]) * DEG_TO_RAD * Math.sin(authalicLatitude(ring[i][1]));
+  }
+  return Math.abs((total * AUTHALIC_RADIUS_M * AUTHALIC_RADIUS_M) / 2);
+}
+
+/**
+ * Area in m² of a Polygon or MultiPolygon on the WGS84 ellipsoid,
+ * holes excluded.
+ */
+export function geometryAreaSqMeters(geometry) {
+  return geometryParts(geometry).reduce(
+    (sum, [outer, ...holes]) =>
+      sum + ringAreaSqMeters(outer) - holes.reduce((h, ring) => h + ringAreaSqMeters(ring), 0),
+    0,
+  );
+}
+
+// Length in metres of a short [lng, lat] segment on the WGS84 ellipsoid,
+// using the radii of curvature at its mid-latitude
+function segmentLengthMeters(a, b) {
+  const phi = ((a[1] + b[1]) / 2) * DEG_TO_RAD;
+  const w = Math.sqrt(1 - WGS84_E2 * Math.sin(phi) ** 2);
+  const meridional = (WGS84_A * (1 - WGS84_E2)) / w ** 3;
+  const primeVertical = WGS84_A / w;
+  return Math.hypot(
+    (b[0] - a[0]) * DEG_TO_RAD * primeVertical * Math.cos(phi),
+    (b[1] - a[1]) * DEG_TO_RAD * meridional,
+  );
+}
+
+// Length in metres of every ring of a Polygon or MultiPolygon (coastline
+// of each island included)
+export function geometryPerimeterMeters(geometry) {
+  let total = 0;
+  geometryRings(geometry).forEach((ring) => {
+    for (let i = 1; i < ring.length; i++) total += segmentLengthMeters(ring[i - 1], ring[i]);
+  });
+  return total;
+}
+
+/**
+ * Area-weighted centroid [lng, lat] of a Polygon or MultiPolygon, holes
+ * subtracted. It may fall outside a concave or multi-part shape.
+ */
+export function geometryCentroid(geometry) {
+  const bbox = geometryBounds(geometry);
+  const project = localProjector((bbox[1] + bbox[3]) / 2, (bbox[0] + bbox[2]) / 2);
+  let area = 0;
+  let cx = 0;
+  let cy = 0;
+  geometryParts(geometry).forEach((rings) => {
+    rings.forEach((ring, ringIndex) => {
+      const pts = ring.map(project);
+      let a = 0;
+      let x = 0;
+      let y = 0;
+      for (let i = 0; i < pts.length - 1; i++) {
+        const cross = pts[i][0] * pts[i + 1][1] - pts[i + 1][0] * pts[i][1];
+        a += cross;
+        x += (pts[i][0] + pts[i + 1][0]) * cross;
+        y += (pts[i][1] + pts[i + 1][1]) * cross;
+      }
+      if (!a) return;
+      // Outer rings add, holes subtract, whatever their winding
+      const weight = (ringIndex === 0 ? 1 : -1) * Math.abs(a / 2);
+      area += weight;
+      cx += (x / (3 * a)) * weight;
+      cy += (y / (3 * a)) * weight;
+    });
+  });
+  return area ? project.invert([cx / area, cy / area]) : null;
+}
+
+/**
+ * Neighbours of every polygon among entries { name, geometry }: polygons
+ * sharing at least one boundary edge. Returns a Map of name →
+ * [{ name, sharedMeters }], longest shared boundary first.
+ */
+export function polygonAdjacency(entries) {
+  const owners = new Map();
+  entries.forEach(({ name, geometry }) => {
+    geometryRings(geometry).forEach((ring) => {
+      for (let i = 1; i < ring.length; i++) {
+        const k = edgeKey(ring[i - 1], ring[i]);
+        if (!owners.has(k)) owners.set(k, { names: new Set(), length: segmentLengthMeters(ring[i - 1], ring[i]) });
+        owners.get(k).names.add(name);
+      }
+    });
+  });
+  const shared = new Map(entries.map(({ name }) => [name, new Map()]));
+  owners.forEach(({ names, length }) => {
+    if (names.size < 2) return;
+    names.forEach((a) => {
+      names.forEach((b) => {
+        if (a !== b) shared.get(a).set(b, (shared.get(a).get(b) || 0) + length);
+      });
+    });
+  });
+  const adjacency = new Map();
+  shared.forEach((neighbours, name) => {
+    adjacency.set(
+      name,
+      [...neighbours]
+        .map(([other, sharedMeters]) => ({ name: other, sharedMeters }))
+        .sort((a, b) => b.sharedMeters - a.sharedMeters),
+    );
+  });
+  return adjacency;
+}
+
+// ---- Measurements ----
+
+/**
+ * Geodesic distance in metres and initial bearing in degrees (clockwise
+ * from north, 0–360) from a to b, both [lng, lat], on the WGS84 ellipsoid.
+ * Vincenty's inverse formula: sub-millimetre except for nearly antipodal
+ * points, which never occur within New Caledonia.
+ */
+export function geodesicInverse(a, b) {
+  const minorAxis = WGS84_A * (1 - WGS84_F);
+  const dLng = (b[0] - a[0]) * DEG_TO_RAD;
+  // Reduced latitudes
+  const u1 = Math.atan((1 - WGS84_F) * Math.tan(a[1] * DEG_TO_RAD));
+  const u2 = Math.atan((1 - WGS84_F) * Math.tan(b[1] * DEG_TO_RAD));
+  const sinU1 = Math.sin(u1);
+  const cosU1 = Math.cos(u1);
+  const sinU2 = Math.sin(u2);
+  const cosU2 = Math.cos(u2);
+  let lambda = dLng;
+  let sinLambda, cosLambda, sinSigma, cosSigma, sigma, cos2Alpha, cos2SigmaM;
+  for (let i = 0; i < 200; i++) {
+    sinLambda = Math.sin(lambda);
+    cosLambda = Math.cos(lambda);
+    sinSigma = Math.hypot(cosU2 * sinLambda, cosU1 * sinU2 - sinU1 * cosU2 * cosLambda);
+    if (sinSigma === 0) return { distance: 0, bearing: 0 };
+    cosSigma = sinU1 * sinU2 + cosU1 * cosU2 * cosLambda;
+    sigma = Math.atan2(sinSigma, cosSigma);
+    const sinAlpha = (cosU1 * cosU2 * sinLambda) / sinSigma;
+    cos2Alpha = 1 - sinAlpha * sinAlpha;
+    // Lines along the equator have cos2Alpha = 0
+    cos2SigmaM = cos2Alpha ? cosSigma - (2 * sinU1 * sinU2) / cos2Alpha : 0;
+    const c = (WGS84_F / 16) * cos2Alpha * (4 + WGS84_F * (4 - 3 * cos2Alpha));
+    const prev = lambda;
+    lambda =
+      dLng +
+      (1 - c) *
+        WGS84_F *
+        sinAlpha *
+        (sigma + c * sinSigma * (cos2SigmaM + c * cosSigma * (2 * cos2SigmaM * cos2SigmaM - 1)));
+    if (Math.abs(lambda - prev) < 1e-12) break;
+  }
+  const uSq = (cos2Alpha * (WGS84_A * WGS84_A - minorAxis * minorAxis)) / (minorAxis * minorAxis);
+  const bigA = 1 + (uSq / 16384) * (4096 + uSq * (-768 + uSq * (320 - 175 * uSq)));
+  const bigB = (uSq / 1024) * (256 + uSq * (-128 + uSq * (74 - 47 * uSq)));
+  const deltaSigma =
+    bigB *
+    sinSigma *
+    (cos2SigmaM +
+      (bigB / 4) *
+        (cosSigma * (2 * cos2SigmaM * cos2SigmaM - 1) -
+          (bigB / 6) * cos2SigmaM * (4 * sinSigma * sinSigma - 3) * (4 * cos2SigmaM * cos2SigmaM - 3)));
+  const bearing = Math.atan2(cosU2 * sinLambda, cosU1 * sinU2 - sinU1 * cosU2 * cosLambda) / DEG_TO_RAD;
+  return { distance: minorAxis * bigA * (sigma - deltaSigma), bearing: (bearing + 360) % 360 };
+}
+
+// Geodesic length in metres of a line through [lng, lat] vertices
+export function lineLengthMeters(coords) {
+  let total = 0;
+  for (let i = 1; i < coords.length; i++) total += geodesicInverse(coords[i - 1], coords[i]).distance;
+  return total;
+}
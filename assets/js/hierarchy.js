@@ -0,0 +1,65 @@
+/*
+ * New Caledonia Commune Locator — administrative hierarchy
+ * -----------------------------------------------------------------
+ * The commune dataset only carries `properties.name`; this table adds the
+ * province and customary area(s) (aires coutumières) of each commune.
+ *   - Provinces: Sud, Nord, Îles Loyauté (Poya straddles Nord and Sud but is
+ *     administered by the Province Nord)
+ *   - Customary areas follow language areas rather than commune limits, so
+ *     a few communes (Moindou, Poya) belong to two of them
+ */
+
+const PROVINCES = {
+  "Sud": { label: "Province Sud", color: "#1E88E5" },
+  "Nord": { label: "Province Nord", color: "#E53935" },
+  "Îles Loyauté": { label: "Province des Îles Loyauté", color: "#8E24AA" },
+};
+
+// Commune name → [province, [customary areas]]
+const COMMUNE_HIERARCHY = {
+  "Belep": ["Nord", ["Hoot ma Whaap"]],
+  "Boulouparis": ["Sud", ["Xârâcùù"]],
+  "Bourail": ["Sud", ["Ajië-Arhö"]],
+  "Canala": ["Nord", ["Xârâcùù"]],
+  "Dumbéa": ["Sud", ["Drubea-Kapumë"]],
+  "Farino": ["Sud", ["Xârâcùù"]],
+  "Hienghène": ["Nord", ["Hoot ma Whaap"]],
+  "Houaïlou": ["Nord", ["Ajië-Arhö"]],
+  "Kaala-Gomen": ["Nord", ["Hoot ma Whaap"]],
+  "Koné": ["Nord", ["Paicî-Cèmuhî"]],
+  "Kouaoua": ["Nord", ["Xârâcùù"]],
+  "Koumac": ["Nord", ["Hoot ma Whaap"]],
+  "L'Île-des-Pins": ["Sud", ["Drubea-Kapumë"]],
+  "La Foa": ["Sud", ["Xârâcùù"]],
+  "Le Mont-Dore": ["Sud", ["Drubea-Kapumë"]],
+  "Lifou": ["Îles Loyauté", ["Drehu"]],
+  "Maré": ["Îles Loyauté", ["Nengone"]],
+  "Moindou": ["Sud", ["Ajië-Arhö", "Xârâcùù"]],
+  "Nouméa": ["Sud", ["Drubea-Kapumë"]],
+  "Ouvéa": ["Îles Loyauté", ["Iaai"]],
+  "Ouégoa": ["Nord", ["Hoot ma Whaap"]],
+  "Païta": ["Sud", ["Drubea-Kapumë"]],
+  "Poindimié": ["Nord", ["Paicî-Cèmuhî"]],
+  "Ponérihouen": ["Nord", ["Paicî-Cèmuhî"]],
+  "Pouembout": ["Nord", ["Paicî-Cèmuhî"]],
+  "Poum": ["Nord", ["Hoot ma Whaap"]],
+  "Pouébo": ["Nord", ["Hoot ma Whaap"]],
+  "Poya": ["Nord", ["Paicî-Cèmuhî", "Ajië-Arhö"]],
+  "Sarraméa": ["Sud", ["Xârâcùù"]],
+  "Thio": ["Sud", ["Xârâcùù"]],
+  "Touho": ["Nord", ["Paicî-Cèmuhî"]],
+  "Voh": ["Nord", ["Hoot ma Whaap"]],
+  "Yaté": ["Sud", ["Drubea-Kapumë"]],
+};
+
+/**
+ * Province and customary area of a commune, or null for unknown names.
+ * Returns { province, customaryArea } where customaryArea joins several
+ * areas with " / ".
+ */
+function communeHierarchy(commune) {
+  const entry = commune ? COMMUNE_HIERARCHY[commune] : null;
+  if (!entry) return null;
+  const [province, areas] = entry;
+  return { province, customaryArea: areas.join(" / ") };
+}
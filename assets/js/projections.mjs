@@ -0,0 +1,179 @@
+/*
+ * New Caledonia Commune Locator — projected coordinate systems
+ * -----------------------------------------------------------------
+ * Pure ES module converting between WGS84 longitude/latitude and the
+ * projected systems used by cadastral data and survey reports:
+ *   - RGNC91-93 / Lambert New Caledonia (EPSG:3163), Lambert Conformal
+ *     Conic with two standard parallels on the GRS80 ellipsoid
+ *   - UTM zones 58S and 59S (EPSG:32758 / 32759), Transverse Mercator
+ * RGNC91-93 is aligned with ITRF, so no datum shift is applied: the
+ * difference with WGS84 is well below the precision of a field GPS.
+ *
+ *   import { projectedToWgs84 } from "./assets/js/projections.mjs";
+ *   projectedToWgs84("lambert", 446400, 214400); // → { lat, lon }
+ */
+
+const DEG = Math.PI / 180;
+
+const GRS80 = { a: 6378137, f: 1 / 298.257222101 };
+const WGS84 = { a: 6378137, f: 1 / 298.257223563 };
+
+// Projected systems offered in the UI, keyed by the value of the CRS selector
+export const PROJECTED_CRS = {
+  lambert: { label: "RGNC91-93 / Lambert NC", epsg: 3163 },
+  utm58s: { label: "UTM 58S", epsg: 32758, zone: 58 },
+  utm59s: { label: "UTM 59S", epsg: 32759, zone: 59 },
+};
+
+// ---- Lambert Conformal Conic (2SP), EPSG:3163 parameters ----
+const LAMBERT_NC = {
+  lat1: -(20 + 40 / 60),
+  lat2: -(22 + 20 / 60),
+  lat0: -21.5,
+  lon0: 166,
+  x0: 400000,
+  y0: 300000,
+};
+
+// Constants of the cone (Snyder, Map Projections — A Working Manual, §15)
+const lambertCone = (() => {
+  const { a, f } = GRS80;
+  const e = Math.sqrt(2 * f - f * f);
+  const m = (phi) => Math.cos(phi) / Math.sqrt(1 - (e * Math.sin(phi)) ** 2);
+  const t = (phi) =>
+    Math.tan(Math.PI / 4 - phi / 2) /
+    ((1 - e * Math.sin(phi)) / (1 + e * Math.sin(phi))) ** (e / 2);
+  const phi1 = LAMBERT_NC.lat1 * DEG;
+  const phi2 = LAMBERT_NC.lat2 * DEG;
+  const n = (Math.log(m(phi1)) - Math.log(m(phi2))) / (Math.log(t(phi1)) - Math.log(t(phi2)));
+  const F = m(phi1) / (n * t(phi1) ** n);
+  const rho0 = a * F * t(LAMBERT_NC.lat0 * DEG) ** n;
+  return { a, e, n, F, rho0, t };
+})();
+
+export function lambertForward(lat, lon) {
+  const { a, n, F, rho0, t } = lambertCone;
+  const rho = a * F * t(lat * DEG) ** n;
+  const theta = n * (lon - LAMBERT_NC.lon0) * DEG;
+  return {
+    easting: LAMBERT_NC.x0 + rho * Math.sin(theta),
+    northing: LAMBERT_NC.y0 + rho0 - rho * Math.cos(theta),
+  };
+}
+
+export function lambertInverse(easting, northing) {
+  const { a, e, n, F, rho0 } = lambertCone;
+  const x = easting - LAMBERT_NC.x0;
+  const y = rho0 - (northing - LAMBERT_NC.y0);
+  // The cone opens southwards (n < 0), which flips the signs
+  const rho = Math.sign(n) * Math.hypot(x, y);
+  const theta = n > 0 ? Math.atan2(x, y) : Math.atan2(-x, -y);
+  const t = (rho / (a * F)) ** (1 / n);
+  let phi = Math.PI / 2 - 2 * Math.atan(t);
+  for (let i = 0; i < 10; i++) {
+    const es = e * Math.sin(phi);
+    const next = Math.PI / 2 - 2 * Math.atan(t * ((1 - es) / (1 + es)) ** (e / 2));
+    if (Math.abs(next - phi) < 1e-12) {
+      phi = next;
+      break;
+    }
+    phi = next;
+  }
+  return { lat: phi / DEG, lon: theta / n / DEG + LAMBERT_NC.lon0 };
+}
+
+// ---- Transverse Mercator (UTM), Krüger series to third order in n ----
+const UTM_K0 = 0.9996;
+const UTM_FALSE_EASTING = 500000;
+const UTM_FALSE_NORTHING_SOUTH = 10000000;
+
+const krueger = (() => {
+  const { a, f } = WGS84;
+  const n = f / (2 - f);
+  const n2 = n * n;
+  const n3 = n2 * n;
+  return {
+    n,
+    A: (a / (1 + n)) * (1 + n2 / 4 + (n2 * n2) / 64),
+    alpha: [n / 2 - (2 * n2) / 3 + (5 * n3) / 16, (13 * n2) / 48 - (3 * n3) / 5, (61 * n3) / 240],
+    beta: [n / 2 - (2 * n2) / 3 + (37 * n3) / 96, n2 / 48 + n3 / 15, (17 * n3) / 480],
+    delta: [2 * n - (2 * n2) / 3 - 2 * n3, (7 * n2) / 3 - (8 * n3) / 5, (56 * n3) / 15],
+  };
+})();
+
+// Central meridian of a UTM zone
+const utmCentralMeridian = (zone) => zone * 6 - 183;
+
+// UTM zone (1–60) containing a longitude
+export function utmZoneFor(lon) {
+  return Math.min(60, Math.max(1, Math.floor((lon + 180) / 6) + 1));
+}
+
+export function utmForward(lat, lon, zone, south = true) {
+  const { n, A, alpha } = krueger;
+  const phi = lat * DEG;
+  const dLambda = (lon - utmCentralMeridian(zone)) * DEG;
+  const c = (2 * Math.sqrt(n)) / (1 + n);
+  const t = Math.sinh(Math.atanh(Math.sin(phi)) - c * Math.atanh(c * Math.sin(phi)));
+  const xi = Math.atan2(t, Math.cos(dLambda));
+  const eta = Math.atanh(Math.sin(dLambda) / Math.sqrt(1 + t * t));
+  let x = eta;
+  let y = xi;
+  alpha.forEach((aj, i) => {
+    const j2 = 2 * (i + 1);
+    x += aj * Math.cos(j2 * xi) * Math.sinh(j2 * eta);
+    y += aj * Math.sin(j2 * xi) * Math.cosh(j2 * eta);
+  });
+  return {
+    easting: UTM_FALSE_EASTING + UTM_K0 * A * x,
+    northing: (south ? UTM_FALSE_NORTHING_SOUTH : 0) + UTM_K0 * A * y,
+  };
+}
+
+export function utmInverse(easting, northing, zone, south = true) {
+  const { A, beta, delta } = krueger;
+  const xi = (northing - (south ? UTM_FALSE_NORTHING_SOUTH : 0)) / (UTM_K0 * A);
+  const eta = (easting - UTM_FALSE_EASTING) / (UTM_K0 * A);
+  let xiP = xi;
+  let etaP = eta;
+  beta.forEach((bj, i) => {
+    const j2 = 2 * (i + 1);
+    xiP -= bj * Math.sin(j2 * xi) * Math.cosh(j2 * eta);
+    etaP -= bj * Math.cos(j2 * xi) * Math.sinh(j2 * eta);
+  });
+  const chi = Math.asin(Math.sin(xiP) / Math.cosh(etaP));
+  let phi = chi;
+  delta.forEach((dj, i) => {
+    phi += dj * Math.sin(2 * (i + 1) * chi);
+  });
+  return {
+    lat: phi / DEG,
+    lon: utmCentralMeridian(zone) + Math.atan2(Math.sinh(etaP), Math.cos(xiP)) / DEG,
+  };
+}
+
+function crsDefinition(crs) {
+  const def = PROJECTED_CRS[crs];
+  if (!def) throw new Error(`Unknown coordinate system: ${crs}`);
+  return def;
+}
+
+/**
+ * Convert an easting/northing in one of the PROJECTED_CRS keys to WGS84.
+ * Returns { lat, lon } in decimal degrees.
+ */
+export function projectedToWgs84(crs, easting, northing) {
+  const def = crsDefinition(crs);
+  if (crs === "lambert") return lambertInverse(easting, northing);
+  return utmInverse(easting, northing, def.zone, true);
+}
+
+/**
+ * Convert WGS84 latitude/longitude to one of the PROJECTED_CRS keys.
+ * Returns { easting, northing } in metres.
+ */
+export function wgs84ToProjected(crs, lat, lon) {
+  const def = crsDefinition(crs);
+  if (crs === "lambert") return lambertForward(lat, lon);
+  return utmForward(lat, lon, def.zone, true);
+}
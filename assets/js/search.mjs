@@ -0,0 +1,120 @@
+/*
+ * New Caledonia Commune Locator — commune name search
+ * -----------------------------------------------------------------
+ * Pure ES module ranking commune names against what the user typed
+ * (index.html exposes it as `window.NCSearch`):
+ *   - Accents, case, apostrophes and hyphens are ignored
+ *   - Alternate names (Kanak names of the communes and island names) and
+ *     common spellings are searched alongside the official names
+ *   - Typos are tolerated with an edit distance that counts swapped
+ *     letters once, and extra words ("Nouméa ville") do not hide a match
+ *
+ *   import { rankCommunes } from "./assets/js/search.mjs";
+ *   rankCommunes("ile des pins", ["L'Île-des-Pins", "Lifou"]);
+ *   // → [{ name: "L'Île-des-Pins", matched: "L'Île-des-Pins", score: 0.9… }]
+ */
+
+// Official commune name → alternate names and spellings
+export const COMMUNE_ALIASES = {
+  "Boulouparis": ["Bouloupari"],
+  "Hienghène": ["Hyehen"],
+  "Houaïlou": ["Wailu"],
+  "Kaala-Gomen": ["Gomen"],
+  "Koné": ["Koohnê"],
+  "L'Île-des-Pins": ["Kunyié", "Kunié", "Isle of Pines"],
+  "Le Mont-Dore": ["Mont-Dore"],
+  "Lifou": ["Drehu", "Dehu"],
+  "Maré": ["Nengone"],
+  "Nouméa": ["Numea"],
+  "Ouvéa": ["Iaai", "Uvea"],
+  "Poindimié": ["Pwêêdi Wiimîâ"],
+  "Ponérihouen": ["Pwârairiwâ"],
+  "Pouembout": ["Pwëbuu"],
+  "Pouébo": ["Pweevo"],
+  "Touho": ["Tuo Cèmuhî"],
+  "Voh": ["Vook"],
+};
+
+// Lowest score listed by rankCommunes
+export const MIN_SEARCH_SCORE = 0.5;
+
+// "L'Île-des-Pins" → "l ile des pins"
+export function normalizeName(str) {
+  return String(str || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+// Edit distance where swapping two neighbouring letters costs 1
+// (optimal string alignment)
+export function editDistance(a, b) {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+}
+
+const similarity = (a, b) => 1 - editDistance(a, b) / Math.max(a.length, b.length, 1);
+
+// Best similarity of each word in `from` to a word in `to`, summed
+const wordCoverage = (from, to) =>
+  from.reduce((sum, word) => sum + Math.max(...to.map((other) => similarity(word, other))), 0);
+
+/**
+ * How well a normalized query matches a normalized name, from 0 to 1:
+ * exact match, prefix, start of a word, substring, then a fuzzy score over
+ * the whole string and over words in both directions, so extra or missing
+ * words only cost their share.
+ */
+export function matchScore(query, name) {
+  if (!query || !name) return 0;
+  if (name === query) return 1;
+  // Shorter names rank first among prefix and substring matches
+  const coverage = query.length / name.length;
+  if (name.startsWith(query)) return 0.9 + 0.05 * coverage;
+  if (name.includes(` ${query}`)) return 0.85 + 0.05 * coverage;
+  if (name.includes(query)) return 0.8 + 0.05 * coverage;
+  const queryWords = query.split(" ");
+  const nameWords = name.split(" ");
+  const nameCoverage = wordCoverage(nameWords, queryWords);
+  const words = Math.max(
+    (wordCoverage(queryWords, nameWords) + nameCoverage) / (queryWords.length + nameWords.length),
+    // Every word of the name found among more words ("nouméa ville")
+    (0.9 * nameCoverage) / nameWords.length,
+  );
+  // Fuzzy matches stay below every exact kind of match
+  return 0.8 * Math.max(similarity(query, name), words);
+}
+
+/**
+ * Communes matching `query`, best first: [{ name, matched, score }] where
+ * `matched` is the name or alias that scored best. Names scoring below
+ * MIN_SEARCH_SCORE are left out.
+ */
+export function rankCommunes(query, names, { aliases = COMMUNE_ALIASES, limit = 8 } = {}) {
+  const q = normalizeName(query);
+  if (!q) return [];
+  return names
+    .map((name) => {
+      let best = { name, matched: name, score: matchScore(q, normalizeName(name)) };
+      (aliases[name] || []).forEach((alias) => {
+        const score = matchScore(q, normalizeName(alias));
+        if (score > best.score) best = { name, matched: alias, score };
+      });
+      return best;
+    })
+    .filter((result) => result.score >= MIN_SEARCH_SCORE)
+    .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name))
+    .slice(0, limit);
+}
@@ -0,0 +1,327 @@
+/*
+ * New Caledonia Commune Locator — zipped ESRI Shapefile writer
+ * -----------------------------------------------------------------
+ * Pure ES module building a point Shapefile (.shp/.shx/.dbf/.prj/.cpg)
+ * entirely in the browser and packing it into an uncompressed ZIP archive,
+ * so exports work offline without any library (formats.mjs imports it):
+ *   - Geometry: shape type 1 (Point), WGS84 longitude/latitude; saved
+ *     measurements go in companion PolyLine (3) and Polygon (5) files
+ *   - Attributes: dBASE III table, field types inferred from the values
+ *   - Archive: ZIP "stored" entries with CRC-32 and UTF-8 names
+ *
+ *   import { buildPointShapefileZip } from "./assets/js/shapefile.mjs";
+ *   const zip = buildPointShapefileZip(
+ *     [{ lat: -22.27, lng: 166.44, attributes: { label: "Nouméa" } }], [], "points");
+ *   // → Uint8Array: points.shp, .shx, .dbf, .prj and .cpg
+ */
+
+const SHP_POINT_TYPE = 1;
+const SHP_POLYLINE_TYPE = 3;
+const SHP_POLYGON_TYPE = 5;
+const SHP_WGS84_PRJ =
+  'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],' +
+  'PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]';
+const DBF_MAX_CHAR_LENGTH = 254;
+const DBF_NUMBER_LENGTH = 19;
+const DBF_NUMBER_DECIMALS = 8;
+
+const utf8Encoder = new TextEncoder();
+
+// 100-byte main file header shared by .shp and .shx
+function writeShpHeader(view, fileLengthBytes, bbox, shapeType = SHP_POINT_TYPE) {
+  view.setInt32(0, 9994, false);
+  view.setInt32(24, fileLengthBytes / 2, false);
+  view.setInt32(28, 1000, true);
+  view.setInt32(32, shapeType, true);
+  view.setFloat64(36, bbox[0], true);
+  view.setFloat64(44, bbox[1], true);
+  view.setFloat64(52, bbox[2], true);
+  view.setFloat64(60, bbox[3], true);
+}
+
+// [minX, minY, maxX, maxY] of [lng, lat] coordinates ([0, 0, 0, 0] when empty)
+function coordsBounds(coords) {
+  return coords.length
+    ? coords.reduce(
+        (b, [x, y]) => [
+          Math.min(b[0], x),
+          Math.min(b[1], y),
+          Math.max(b[2], x),
+          Math.max(b[3], y),
+        ],
+        [Infinity, Infinity, -Infinity, -Infinity],
+      )
+    : [0, 0, 0, 0];
+}
+
+// Build .shp and .shx buffers for [lng, lat] coordinates
+export function buildShpAndShx(coords) {
+  const recordBytes = 8 + 20;
+  const shp = new DataView(new ArrayBuffer(100 + coords.length * recordBytes));
+  const shx = new DataView(new ArrayBuffer(100 + coords.length * 8));
+  const bbox = coordsBounds(coords);
+  writeShpHeader(shp, shp.byteLength, bbox);
+  writeShpHeader(shx, shx.byteLength, bbox);
+  coords.forEach(([x, y], i) => {
+    const offset = 100 + i * recordBytes;
+    shp.setInt32(offset, i + 1, false);
+    shp.setInt32(offset + 4, 10, false);
+    shp.setInt32(offset + 8, SHP_POINT_TYPE, true);
+    shp.setFloat64(offset + 12, x, true);
+    shp.setFloat64(offset + 20, y, true);
+    shx.setInt32(100 + i * 8, offset / 2, false);
+    shx.setInt32(100 + i * 8 + 4, 10, false);
+  });
+  return { shp: shp.buffer, shx: shx.buffer };
+}
+
+// Polygon rings closed and clockwise, as the Shapefile spec requires for
+// outer rings
+export function shapefileRing(coords) {
+  const ring = [...coords, coords[0]];
+  let twiceArea = 0;
+  for (let i = 1; i < ring.length; i++) {
+    twiceArea += (ring[i][0] - ring[i - 1][0]) * (ring[i][1] + ring[i - 1][1]);
+  }
+  return twiceArea < 0 ? ring.reverse() : ring;
+}
+
+// Build .shp and .shx buffers for single-part PolyLine or Polygon records,
+// each an array of [lng, lat] vertices
+export function buildPolyShpAndShx(shapeType, parts) {
+  const contentBytes = parts.map((coords) => 48 + coords.length * 16);
+  const shpLength = contentBytes.reduce((sum, n) => sum + 8 + n, 100);
+  const shp = new DataView(new ArrayBuffer(shpLength));
+  const shx = new DataView(new ArrayBuffer(100 + parts.length * 8));
+  const bbox = coordsBounds(parts.flat());
+  writeShpHeader(shp, shp.byteLength, bbox, shapeType);
+  writeShpHeader(shx, shx.byteLength, bbox, shapeType);
+  let offset = 100;
+  parts.forEach((coords, i) => {
+    const partBox = coordsBounds(coords);
+    shp.setInt32(offset, i + 1, false);
+    shp.setInt32(offset + 4, contentBytes[i] / 2, false);
+    shp.setInt32(offset + 8, shapeType, true);
+    partBox.forEach((v, k) => shp.setFloat64(offset + 12 + k * 8, v, true));
+    shp.setInt32(offset + 44, 1, true);
+    shp.setInt32(offset + 48, coords.length, true);
+    shp.setInt32(offset + 52, 0, true);
+    coords.forEach(([x, y], k) => {
+      shp.setFloat64(offset + 56 + k * 16, x, true);
+      shp.setFloat64(offset + 64 + k * 16, y, true);
+    });
+    shx.setInt32(100 + i * 8, offset / 2, false);
+    shx.setInt32(100 + i * 8 + 4, contentBytes[i] / 2, false);
+    offset += 8 + contentBytes[i];
+  });
+  return { shp: shp.buffer, shx: shx.buffer };
+}
+
+// Truncate a UTF-8 encoding to maxBytes without splitting a character
+function encodeTruncated(str, maxBytes) {
+  let bytes = utf8Encoder.encode(str);
+  if (bytes.length <= maxBytes) return bytes;
+  let end = maxBytes;
+  while (end > 0 && (bytes[end] & 0xc0) === 0x80) end--;
+  return bytes.slice(0, end);
+}
+
+// dBASE field names: up to 10 ASCII characters, upper-case and unique
+function dbfFieldNames(keys) {
+  const used = new Set();
+  return keys.map((key) => {
+    const base =
+      key
+        .normalize("NFD")
+        .replace(/[^A-Za-z0-9_]/g, "")
+        .toUpperCase()
+        .slice(0, 10) || "FIELD";
+    let name = base;
+    for (let n = 1; used.has(name); n++) {
+      const suffix = String(n);
+      name = base.slice(0, 10 - suffix.length) + suffix;
+    }
+    used.add(name);
+    return name;
+  });
+}
+
+// Infer dBASE field definitions from attribute objects
+export function inferDbfFields(rows) {
+  const keys = [];
+  rows.forEach((row) => {
+    Object.keys(row).forEach((k) => {
+      if (!keys.includes(k)) keys.push(k);
+    });
+  });
+  const names = dbfFieldNames(keys);
+  return keys.map((key, i) => {
+    const values = rows.map((r) => r[key]).filter((v) => v != null && v !== "");
+    const numeric = values.length > 0 && values.every((v) => typeof v === "number" && Number.isFinite(v));
+    if (numeric) {
+      return { key, name: names[i], type: "N", length: DBF_NUMBER_LENGTH, decimals: DBF_NUMBER_DECIMALS };
+    }
+    const longest = values.reduce(
+      (max, v) => Math.max(max, utf8Encoder.encode(String(v)).length),
+      1,
+    );
+    return { key, name: names[i], type: "C", length: Math.min(longest, DBF_MAX_CHAR_LENGTH), decimals: 0 };
+  });
+}
+
+// Build the .dbf attribute table
+export function buildDbf(rows) {
+  const fields = inferDbfFields(rows);
+  const headerLength = 32 + fields.length * 32 + 1;
+  const recordLength = 1 + fields.reduce((sum, f) => sum + f.length, 0);
+  const bytes = new Uint8Array(headerLength + rows.length * recordLength + 1);
+  const view = new DataView(bytes.buffer);
+  const now = new Date();
+  bytes[0] = 0x03;
+  bytes[1] = now.getFullYear() - 1900;
+  bytes[2] = now.getMonth() + 1;
+  bytes[3] = now.getDate();
+  view.setUint32(4, rows.length, true);
+  view.setUint16(8, headerLength, true);
+  view.setUint16(10, recordLength, true);
+  fields.forEach((f, i) => {
+    const offset = 32 + i * 32;
+    bytes.set(utf8Encoder.encode(f.name), offset);
+    bytes[offset + 11] = f.type.charCodeAt(0);
+    bytes[offset + 16] = f.length;
+    bytes[offset + 17] = f.decimals;
+  });
+  bytes[headerLength - 1] = 0x0d;
+  // Records: deletion flag then fixed-width, space-padded values
+  bytes.fill(0x20, headerLength, bytes.length - 1);
+  rows.forEach((row, r) => {
+    let offset = headerLength + r * recordLength + 1;
+    fields.forEach((f) => {
+      const value = row[f.key];
+      if (value != null && value !== "") {
+        if (f.type === "N") {
+          const text = Number(value).toFixed(f.decimals).slice(0, f.length);
+          bytes.set(utf8Encoder.encode(text), offset + f.length - text.length);
+        } else {
+          bytes.set(encodeTruncated(String(value), f.length), offset);
+        }
+      }
+      offset += f.length;
+    });
+  });
+  bytes[bytes.length - 1] = 0x1a;
+  return bytes.buffer;
+}
+
+// CRC-32 (IEEE) lookup table for ZIP entries
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+export function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Pack files into an uncompressed ZIP archive.
+ * `files` is an array of { name, data } where data is a string or ArrayBuffer.
+ * Returns a Uint8Array.
+ */
+export function createZip(files) {
+  const now = new Date();
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+  const entries = files.map((f) => {
+    const data = typeof f.data === "string" ? utf8Encoder.encode(f.data) : new Uint8Array(f.data);
+    return { name: utf8Encoder.encode(f.name), data, crc: crc32(data) };
+  });
+  const localSize = entries.reduce((sum, e) => sum + 30 + e.name.length + e.data.length, 0);
+  const centralSize = entries.reduce((sum, e) => sum + 46 + e.name.length, 0);
+  const out = new Uint8Array(localSize + centralSize + 22);
+  const view = new DataView(out.buffer);
+  let offset = 0;
+  entries.forEach((e) => {
+    e.offset = offset;
+    view.setUint32(offset, 0x04034b50, true);
+    view.setUint16(offset + 4, 20, true);
+    view.setUint16(offset + 6, 0x0800, true);
+    view.setUint16(offset + 8, 0, true);
+    view.setUint16(offset + 10, dosTime, true);
+    view.setUint16(offset + 12, dosDate, true);
+    view.setUint32(offset + 14, e.crc, true);
+    view.setUint32(offset + 18, e.data.length, true);
+    view.setUint32(offset + 22, e.data.length, true);
+    view.setUint16(offset + 26, e.name.length, true);
+    out.set(e.name, offset + 30);
+    out.set(e.data, offset + 30 + e.name.length);
+    offset += 30 + e.name.length + e.data.length;
+  });
+  const centralStart = offset;
+  entries.forEach((e) => {
+    view.setUint32(offset, 0x02014b50, true);
+    view.setUint16(offset + 4, 20, true);
+    view.setUint16(offset + 6, 20, true);
+    view.setUint16(offset + 8, 0x0800, true);
+    view.setUint16(offset + 10, 0, true);
+    view.setUint16(offset + 12, dosTime, true);
+    view.setUint16(offset + 14, dosDate, true);
+    view.setUint32(offset + 16, e.crc, true);
+    view.setUint32(offset + 20, e.data.length, true);
+    view.setUint32(offset + 24, e.data.length, true);
+    view.setUint16(offset + 28, e.name.length, true);
+    view.setUint32(offset + 42, e.offset, true);
+    out.set(e.name, offset + 46);
+    offset += 46 + e.name.length;
+  });
+  view.setUint32(offset, 0x06054b50, true);
+  view.setUint16(offset + 8, entries.length, true);
+  view.setUint16(offset + 10, entries.length, true);
+  view.setUint32(offset + 12, offset - centralStart, true);
+  view.setUint32(offset + 16, centralStart, true);
+  return out;
+}
+
+/**
+ * Build a zipped point Shapefile from export records
+ * ({ lat, lng, attributes }). Line and polygon annotations
+ * ({ geometry: "line" | "polygon", coordinates: [[lng, lat], …], attributes })
+ * are written as `<basename>_lines` and `<basename>_areas` Shapefiles in the
+ * same archive. Returns a Uint8Array holding the ZIP.
+ */
+export function buildPointShapefileZip(records, annotations, basename) {
+  const { shp, shx } = buildShpAndShx(records.map((r) => [r.lng, r.lat]));
+  const dbf = buildDbf(records.map((r) => r.attributes));
+  const files = shapefileFiles(basename, shp, shx, dbf);
+  const lines = annotations.filter((a) => a.geometry === "line");
+  const areas = annotations.filter((a) => a.geometry === "polygon");
+  if (lines.length) {
+    const poly = buildPolyShpAndShx(SHP_POLYLINE_TYPE, lines.map((a) => a.coordinates));
+    files.push(...shapefileFiles(`${basename}_lines`, poly.shp, poly.shx, buildDbf(lines.map((a) => a.attributes))));
+  }
+  if (areas.length) {
+    const poly = buildPolyShpAndShx(SHP_POLYGON_TYPE, areas.map((a) => shapefileRing(a.coordinates)));
+    files.push(...shapefileFiles(`${basename}_areas`, poly.shp, poly.shx, buildDbf(areas.map((a) => a.attributes))));
+  }
+  return createZip(files);
+}
+
+// The five files of one Shapefile layer, ready for createZip
+function shapefileFiles(basename, shp, shx, dbf) {
+  return [
+    { name: `${basename}.shp`, data: shp },
+    { name: `${basename}.shx`, data: shx },
+    { name: `${basename}.dbf`, data: dbf },
+    { name: `${basename}.prj`, data: SHP_WGS84_PRJ },
+    { name: `${basename}.cpg`, data: "UTF-8" },
+  ];
+}
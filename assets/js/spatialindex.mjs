@@ -0,0 +1,131 @@
+/*
+ * New Caledonia Commune Locator — polygon spatial index
+ * -----------------------------------------------------------------
+ * Pure ES module answering "which polygon contains this point?" without
+ * testing every polygon (index.html exposes it as `window.NCSpatialIndex`).
+ * Each Polygon, and each part of a MultiPolygon, is stored with its
+ * bounding box in an R-tree packed once when the data loads
+ * (Sort-Tile-Recursive). A query only ray-casts the parts whose box holds
+ * the point; a point inside a hole is outside its part.
+ * Coordinates are GeoJSON [lng, lat]; queries take (lat, lng) like geo.mjs.
+ *
+ *   import { buildPolygonIndex, featureAt } from "./assets/js/spatialindex.mjs";
+ *   const index = buildPolygonIndex(featureCollection.features);
+ *   featureAt(index, -22.27, 166.44)?.properties.name; // → "Nouméa"
+ */
+
+// Children per R-tree node
+const NODE_SIZE = 16;
+
+// [minX, minY, maxX, maxY] of an outer ring
+function ringBounds(ring) {
+  const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+  ring.forEach(([x, y]) => {
+    if (x < bbox[0]) bbox[0] = x;
+    if (y < bbox[1]) bbox[1] = y;
+    if (x > bbox[2]) bbox[2] = x;
+    if (y > bbox[3]) bbox[3] = y;
+  });
+  return bbox;
+}
+
+function unionBounds(items) {
+  const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+  items.forEach(({ bbox: b }) => {
+    if (b[0] < bbox[0]) bbox[0] = b[0];
+    if (b[1] < bbox[1]) bbox[1] = b[1];
+    if (b[2] > bbox[2]) bbox[2] = b[2];
+    if (b[3] > bbox[3]) bbox[3] = b[3];
+  });
+  return bbox;
+}
+
+// Polygon parts (arrays of rings, outer ring first) of a Polygon or
+// MultiPolygon; geo.mjs walks geometries with it too
+export function geometryParts(geometry) {
+  if (!geometry) return [];
+  if (geometry.type === "Polygon") return [geometry.coordinates];
+  if (geometry.type === "MultiPolygon") return geometry.coordinates;
+  return [];
+}
+
+// Whether (x, y) lies inside a ring of [x, y] vertices (ray casting; the
+// ring may be open or closed)
+export function inRing(x, y, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+function inPart(x, y, rings) {
+  if (!inRing(x, y, rings[0])) return false;
+  for (let i = 1; i < rings.length; i++) if (inRing(x, y, rings[i])) return false;
+  return true;
+}
+
+const centre = (item, axis) => item.bbox[axis] + item.bbox[axis + 2];
+
+// One level of Sort-Tile-Recursive packing: vertical slices sorted by x,
+// then runs of NODE_SIZE sorted by y within each slice
+function packLevel(items) {
+  const nodeCount = Math.ceil(items.length / NODE_SIZE);
+  const sliceSize = NODE_SIZE * Math.ceil(Math.sqrt(nodeCount));
+  const byX = [...items].sort((a, b) => centre(a, 0) - centre(b, 0));
+  const nodes = [];
+  for (let i = 0; i < byX.length; i += sliceSize) {
+    const slice = byX.slice(i, i + sliceSize).sort((a, b) => centre(a, 1) - centre(b, 1));
+    for (let j = 0; j < slice.length; j += NODE_SIZE) {
+      const children = slice.slice(j, j + NODE_SIZE);
+      nodes.push({ bbox: unionBounds(children), children });
+    }
+  }
+  return nodes;
+}
+
+/**
+ * Build an index over GeoJSON features. Features without a Polygon or
+ * MultiPolygon geometry are skipped. The returned object is opaque: pass
+ * it to featureAt / featuresAt.
+ */
+export function buildPolygonIndex(features) {
+  const parts = [];
+  features.forEach((feature, order) => {
+    geometryParts(feature?.geometry).forEach((rings) => {
+      if (rings.length && rings[0].length >= 3) {
+        parts.push({ bbox: ringBounds(rings[0]), rings, feature, order });
+      }
+    });
+  });
+  let level = parts;
+  while (level.length > NODE_SIZE) level = packLevel(level);
+  return { root: { bbox: unionBounds(level), children: level }, size: parts.length };
+}
+
+/**
+ * Every feature containing (lat, lng), in the order they were given to
+ * buildPolygonIndex, each listed once.
+ */
+export function featuresAt(index, lat, lng) {
+  const hits = [];
+  const stack = [index.root];
+  while (stack.length) {
+    const node = stack.pop();
+    node.children.forEach((child) => {
+      const [minX, minY, maxX, maxY] = child.bbox;
+      if (lng < minX || lng > maxX || lat < minY || lat > maxY) return;
+      if (child.children) stack.push(child);
+      else if (inPart(lng, lat, child.rings)) hits.push(child);
+    });
+  }
+  hits.sort((a, b) => a.order - b.order);
+  return hits.filter((hit, i) => i === 0 || hit.order !== hits[i - 1].order).map((hit) => hit.feature);
+}
+
+// First feature containing (lat, lng), or null
+export function featureAt(index, lat, lng) {
+  return featuresAt(index, lat, lng)[0] || null;
+}
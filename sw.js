@@ -0,0 +1,206 @@
+/*
+ * New Caledonia Commune Locator — service worker
+ * -----------------------------------------------------------------
+ * Responsibilities
+ *   - Precache the app shell (HTML, CSS, JS, Leaflet) and the commune dataset
+ *   - Serve same-origin files stale-while-revalidate so updates still arrive
+ *   - Cache basemap tiles as they are viewed, capped at TILE_CACHE_LIMIT entries.
+ *     Tiles are fetched with CORS so only real responses are cached: opaque
+ *     ones count as several MB each against the storage quota in Chrome.
+ *   - Download every tile of an area on request ("prefetch-tiles" message)
+ *     into a separate, uncapped cache so it stays available in the field
+ *
+ * Bump CACHE_VERSION whenever the precached files change.
+ */
+
+const CACHE_VERSION = "v15";
+const SHELL_CACHE = `nccl-shell-${CACHE_VERSION}`;
+const TILE_CACHE = "nccl-tiles-cors";
+// Visited-tile cache of earlier versions, which held opaque responses
+const LEGACY_TILE_CACHE = "nccl-tiles";
+const OFFLINE_TILE_CACHE = "nccl-tiles-offline";
+// Visited tiles are trimmed oldest-first beyond this many entries (~40 MB
+// of 10–30 kB tiles)
+const TILE_CACHE_LIMIT = 2000;
+const PREFETCH_CONCURRENCY = 4;
+
+const SHELL_FILES = [
+  "./",
+  "index.html",
+  "assets/css/styles.css",
+  "assets/js/app.js",
+  "assets/js/attributes.mjs",
+  "assets/js/batch.mjs",
+  "assets/js/cluster.mjs",
+  "assets/js/coordformats.mjs",
+  "assets/js/coords.mjs",
+  "assets/js/csv.mjs",
+  "assets/js/exif.mjs",
+  "assets/js/formats.mjs",
+  "assets/js/geo.mjs",
+  "assets/js/hierarchy.js",
+  "assets/js/projections.mjs",
+  "assets/js/search.mjs",
+  "assets/js/shapefile.mjs",
+  "assets/js/spatialindex.mjs",
+  "assets/js/communes.js",
+  "data/nc-communes.geojson",
+  "libs/leaflet/leaflet.css",
+  "libs/leaflet/leaflet.js",
+  "libs/leaflet/images/layers.png",
+  "libs/leaflet/images/layers-2x.png",
+  "libs/leaflet/images/marker-icon.png",
+  "libs/leaflet/images/marker-icon-2x.png",
+  "libs/leaflet/images/marker-shadow.png",
+];
+
+// Basemap tile servers used by app.js
+const TILE_HOSTS = [
+  /(^|\.)tile\.openstreetmap\.org$/,
+  /^mt\d\.google\.com$/,
+  /(^|\.)basemaps\.cartocdn\.com$/,
+];
+// Third-party static assets (marker icons) cached on first use
+const STATIC_HOSTS = [/^raw\.githubusercontent\.com$/, /^cdnjs\.cloudflare\.com$/];
+
+// 1×1 transparent PNG returned for tiles that are neither cached nor reachable
+const BLANK_TILE = Uint8Array.from(
+  atob(
+    "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mP8/wIAAgUBBu/q6QAAAABJRU5ErkJggg==",
+  ),
+  (c) => c.charCodeAt(0),
+);
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting()),
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => (key.startsWith("nccl-shell-") && key !== SHELL_CACHE) || key === LEGACY_TILE_CACHE)
+            .map((key) => caches.delete(key)),
+        ),
+      )
+      .then(() => self.clients.claim()),
+  );
+});
+
+const matchesHost = (url, hosts) => hosts.some((re) => re.test(url.hostname));
+
+function blankTileResponse() {
+  return new Response(BLANK_TILE, { headers: { "Content-Type": "image/png" } });
+}
+
+// CORS request for a tile URL: the response is readable and its real size
+// is what counts against the quota
+const tileRequest = (url) => new Request(url, { mode: "cors", credentials: "omit" });
+
+// Drop the oldest visited tiles once the cache exceeds its cap
+async function trimTileCache() {
+  const cache = await caches.open(TILE_CACHE);
+  const keys = await cache.keys();
+  const excess = keys.length - TILE_CACHE_LIMIT;
+  for (let i = 0; i < excess; i++) {
+    await cache.delete(keys[i]);
+  }
+}
+
+// Cache-first across both tile caches; network results go to the capped cache
+async function handleTile(request) {
+  const cached =
+    (await caches.match(request, { cacheName: OFFLINE_TILE_CACHE })) ||
+    (await caches.match(request, { cacheName: TILE_CACHE }));
+  if (cached) return cached;
+  try {
+    const response = await fetch(tileRequest(request.url));
+    if (response.ok) {
+      const cache = await caches.open(TILE_CACHE);
+      await cache.put(request, response.clone());
+      trimTileCache();
+    }
+    return response;
+  } catch (err) {
+    // Offline, or a server without CORS headers: show the tile uncached
+    return fetch(request).catch(() => blankTileResponse());
+  }
+}
+
+// Serve from cache immediately and refresh it in the background
+async function staleWhileRevalidate(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request, { ignoreSearch: true });
+  const network = fetch(request)
+    .then((response) => {
+      if (response.ok || response.type === "opaque") cache.put(request, response.clone());
+      return response;
+    })
+    // Offline with nothing cached: a proper error instead of undefined,
+    // which respondWith would turn into a network error
+    .catch(() => cached || new Response("Offline", { status: 504, statusText: "Gateway Timeout" }));
+  return cached || network;
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+  if (matchesHost(url, TILE_HOSTS)) {
+    event.respondWith(handleTile(request));
+  } else if (url.origin === self.location.origin || matchesHost(url, STATIC_HOSTS)) {
+    event.respondWith(staleWhileRevalidate(request));
+  }
+});
+
+/**
+ * Download a list of tile URLs into the offline tile cache, reporting
+ * { type: "prefetch-progress", done, failed, total } to the requesting page.
+ */
+async function prefetchTiles(urls, client) {
+  const cache = await caches.open(OFFLINE_TILE_CACHE);
+  let next = 0;
+  let done = 0;
+  let failed = 0;
+  const report = (finished) =>
+    client?.postMessage({
+      type: finished ? "prefetch-done" : "prefetch-progress",
+      done,
+      failed,
+      total: urls.length,
+    });
+  async function worker() {
+    while (next < urls.length) {
+      const url = urls[next++];
+      try {
+        const request = tileRequest(url);
+        if (!(await cache.match(request))) {
+          const response = await fetch(request);
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          await cache.put(request, response);
+        }
+      } catch (err) {
+        failed++;
+      }
+      done++;
+      if (done % 20 === 0) report(false);
+    }
+  }
+  await Promise.all(Array.from({ length: PREFETCH_CONCURRENCY }, worker));
+  report(true);
+}
+
+self.addEventListener("message", (event) => {
+  const data = event.data || {};
+  if (data.type === "prefetch-tiles" && Array.isArray(data.urls)) {
+    event.waitUntil(prefetchTiles(data.urls, event.source));
+  }
+});
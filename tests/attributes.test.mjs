@@ -0,0 +1,116 @@
+// Unit tests for assets/js/attributes.mjs — run with `node --test tests/`
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  DEFAULT_ATTRIBUTE_SCHEMA,
+  coerceFieldValue,
+  fieldKey,
+  fieldValues,
+  makeField,
+  normalizeSchema,
+} from "../assets/js/attributes.mjs";
+
+const STATUS = { key: "status", label: "Status", type: "select", options: ["Fertile", "Sterile", "Endémique"] };
+
+describe("fieldKey", () => {
+  it("turns a label into a camelCase key", () => {
+    assert.equal(fieldKey("Collection date"), "collectionDate");
+    assert.equal(fieldKey("Numéro d'herbier"), "numeroDHerbier");
+    assert.equal(fieldKey("  !!  "), "field");
+  });
+
+  it("avoids reserved and existing keys", () => {
+    assert.equal(fieldKey("Label"), "label2");
+    assert.equal(fieldKey("Collector", DEFAULT_ATTRIBUTE_SCHEMA), "collector2");
+  });
+});
+
+describe("makeField", () => {
+  it("builds typed fields", () => {
+    assert.deepEqual(makeField("Altitude (m)", "number").field, { key: "altitudeM", label: "Altitude (m)", type: "number" });
+    assert.deepEqual(makeField("Status", "select", "Fertile, Sterile, , Fertile").field.options, ["Fertile", "Sterile"]);
+  });
+
+  it("reports missing names, duplicates and empty choices", () => {
+    assert.ok(makeField(" ", "text").error);
+    assert.ok(makeField("collector", "text", "", DEFAULT_ATTRIBUTE_SCHEMA).error);
+    assert.ok(makeField("Status", "select", " , ").error);
+    assert.ok(makeField("Status", "colour").error);
+  });
+});
+
+describe("normalizeSchema", () => {
+  it("falls back to a copy of the default schema", () => {
+    const schema = normalizeSchema(null);
+    assert.deepEqual(schema, DEFAULT_ATTRIBUTE_SCHEMA);
+    assert.notEqual(schema[0], DEFAULT_ATTRIBUTE_SCHEMA[0]);
+  });
+
+  it("keeps an empty schema", () => {
+    assert.deepEqual(normalizeSchema([]), []);
+  });
+
+  it("drops invalid, reserved and repeated fields", () => {
+    const schema = normalizeSchema([
+      { key: "collector", label: "Collector", type: "text" },
+      { key: "Collector", label: "Again", type: "text" },
+      { key: "commune", label: "Commune", type: "text" },
+      { key: "size", label: "Size", type: "colour" },
+      { key: "status", label: "Status", type: "select", options: [] },
+      STATUS,
+      null,
+    ]);
+    assert.deepEqual(schema.map((f) => f.key), ["collector", "status"]);
+  });
+});
+
+describe("coerceFieldValue", () => {
+  it("trims text and treats blanks as empty", () => {
+    assert.equal(coerceFieldValue({ type: "text" }, "  J. Dupont "), "J. Dupont");
+    assert.equal(coerceFieldValue({ type: "text" }, "   "), null);
+    assert.equal(coerceFieldValue({ type: "text" }, undefined), null);
+  });
+
+  it("parses numbers with a decimal point or comma", () => {
+    assert.equal(coerceFieldValue({ type: "number" }, "12,5"), 12.5);
+    assert.equal(coerceFieldValue({ type: "number" }, 340), 340);
+    assert.equal(coerceFieldValue({ type: "number" }, "about 3"), null);
+  });
+
+  it("normalizes ISO and day-first dates", () => {
+    assert.equal(coerceFieldValue({ type: "date" }, "2024-07-03"), "2024-07-03");
+    assert.equal(coerceFieldValue({ type: "date" }, "2024-07-03T09:30:00Z"), "2024-07-03");
+    assert.equal(coerceFieldValue({ type: "date" }, "3/7/2024"), "2024-07-03");
+    assert.equal(coerceFieldValue({ type: "date" }, "31.12.2023"), "2023-12-31");
+  });
+
+  it("rejects impossible dates", () => {
+    assert.equal(coerceFieldValue({ type: "date" }, "2023-02-29"), null);
+    assert.equal(coerceFieldValue({ type: "date" }, "12/31/2023"), null);
+    assert.equal(coerceFieldValue({ type: "date" }, "yesterday"), null);
+  });
+
+  it("matches select choices ignoring case and accents", () => {
+    assert.equal(coerceFieldValue(STATUS, "STERILE"), "Sterile");
+    assert.equal(coerceFieldValue(STATUS, "endemique"), "Endémique");
+    assert.equal(coerceFieldValue(STATUS, "Dead"), null);
+  });
+});
+
+describe("fieldValues", () => {
+  it("matches imported columns by key or label", () => {
+    const values = fieldValues([...DEFAULT_ATTRIBUTE_SCHEMA, STATUS], {
+      COLLECTOR: "J. Dupont",
+      "Collection date": "03/07/2024",
+      specimenId: "NOU-1234",
+      status: "nope",
+      other: "ignored",
+    });
+    assert.deepEqual(values, { collector: "J. Dupont", collectionDate: "2024-07-03", specimenId: "NOU-1234" });
+  });
+
+  it("handles missing records", () => {
+    assert.deepEqual(fieldValues(DEFAULT_ATTRIBUTE_SCHEMA, undefined), {});
+  });
+});
@@ -0,0 +1,63 @@
+// Unit tests for assets/js/batch.mjs — run with `node --test tests/`
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { BATCH_SAME_COLUMN, classifyBatchRow, readBatchRow } from "../assets/js/batch.mjs";
+
+// Stand-in lookup: everything in New Caledonia's main island box is "Bourail"
+const communeAt = (lat, lon) => (lat > -23 && lat < -19 && lon > 163 && lon < 169 ? "Bourail" : null);
+const classify = (row, lonIdx = 1) => classifyBatchRow(row, 0, lonIdx, communeAt);
+
+describe("readBatchRow", () => {
+  it("reads decimal, decimal-comma and DMS columns", () => {
+    assert.deepEqual(readBatchRow(["-21.5", "165.4"], 0, 1), { lat: -21.5, lon: 165.4, swapped: false, error: null });
+    assert.equal(readBatchRow(["-21,5", "165,4"], 0, 1).lat, -21.5);
+    const dms = readBatchRow([`21°30'S`, `165°24'E`], 0, 1);
+    assert.ok(Math.abs(dms.lat - -21.5) < 1e-9);
+    assert.ok(Math.abs(dms.lon - 165.4) < 1e-9);
+  });
+
+  it("swaps columns by hemisphere letters or by range", () => {
+    assert.equal(readBatchRow([`165°24'E`, `21°30'S`], 0, 1).swapped, true);
+    const byRange = readBatchRow(["165.4", "-21.5"], 0, 1);
+    assert.deepEqual([byRange.lat, byRange.lon, byRange.swapped], [-21.5, 165.4, true]);
+  });
+
+  it("reads a pair from one column", () => {
+    const row = readBatchRow(["-21.5, 165.4"], 0, BATCH_SAME_COLUMN);
+    assert.deepEqual([row.lat, row.lon, row.swapped], [-21.5, 165.4, false]);
+    assert.equal(readBatchRow(["165.4, -21.5"], 0, BATCH_SAME_COLUMN).swapped, true);
+  });
+});
+
+describe("classifyBatchRow", () => {
+  it("assigns valid rows", () => {
+    assert.deepEqual(classify(["-21.5", "165.4"]), {
+      lat: -21.5,
+      lon: 165.4,
+      commune: "Bourail",
+      kind: "valid",
+      status: "ok",
+    });
+  });
+
+  it("assigns swapped rows and says so", () => {
+    const result = classify(["165.4", "-21.5"]);
+    assert.equal(result.kind, "swapped");
+    assert.equal(result.commune, "Bourail");
+    assert.equal(result.status, "ok: latitude and longitude swapped");
+  });
+
+  it("flags rows outside every commune", () => {
+    const result = classify(["-10", "150"]);
+    assert.deepEqual([result.kind, result.status, result.commune], ["outside", "outside", ""]);
+  });
+
+  it("flags unreadable and out-of-range rows as invalid", () => {
+    const empty = classify(["", "165.4"]);
+    assert.equal(empty.kind, "invalid");
+    assert.match(empty.status, /^invalid: /);
+    assert.equal(classify(["-95", "200"]).kind, "invalid");
+    assert.equal(classify(["abc"], BATCH_SAME_COLUMN).kind, "invalid");
+  });
+});
@@ -0,0 +1,42 @@
+// Unit tests for assets/js/cluster.mjs — run with `node --test tests/`
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { clusterItems } from "../assets/js/cluster.mjs";
+
+const sizes = (clusters) => clusters.map((c) => c.items.length);
+
+describe("clusterItems", () => {
+  it("groups items near a seed and averages their position", () => {
+    const clusters = clusterItems([{ x: 0, y: 0 }, { x: 10, y: 5 }, { x: 300, y: 0 }], 60);
+    assert.deepEqual(sizes(clusters), [2, 1]);
+    assert.equal(clusters[0].x, 5);
+    assert.equal(clusters[0].y, 2.5);
+    assert.deepEqual([clusters[1].x, clusters[1].y], [300, 0]);
+  });
+
+  it("finds seeds across grid cell boundaries", () => {
+    // 59 and 61 fall in different cells but are 2 px apart
+    assert.deepEqual(sizes(clusterItems([{ x: 59, y: 59 }, { x: 61, y: 61 }], 60)), [2]);
+  });
+
+  it("measures the radius from the seed, not from the last item", () => {
+    const chain = [0, 50, 100, 150].map((x) => ({ x, y: 0 }));
+    assert.deepEqual(sizes(clusterItems(chain, 60)), [2, 2]);
+  });
+
+  it("joins the nearest seed when several are in range", () => {
+    const clusters = clusterItems([{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 70, y: 0 }], 60);
+    assert.deepEqual(clusters[1].items.map((i) => i.x), [100, 70]);
+  });
+
+  it("handles negative coordinates and empty input", () => {
+    assert.deepEqual(sizes(clusterItems([{ x: -5, y: -5 }, { x: 5, y: 5 }], 60)), [2]);
+    assert.deepEqual(clusterItems([], 60), []);
+  });
+
+  it("keeps the items themselves", () => {
+    const item = { x: 1, y: 2, id: 7 };
+    assert.equal(clusterItems([item], 60)[0].items[0], item);
+  });
+});
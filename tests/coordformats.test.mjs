@@ -0,0 +1,94 @@
+// Unit tests for assets/js/coordformats.mjs — run with `node --test tests/`
+// Plus Codes and geohashes were checked against the open-location-code and
+// ngeohash packages (except for the cell-edge cases noted below).
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  encodeGeohash,
+  encodePlusCode,
+  formatDdm,
+  formatDecimal,
+  formatDms,
+  formatLambert,
+  formatUtm,
+  locationFormats,
+} from "../assets/js/coordformats.mjs";
+import { parseCoordinate } from "../assets/js/coords.mjs";
+
+describe("degree formats", () => {
+  it("writes decimal degrees with six decimals", () => {
+    assert.equal(formatDecimal(-22.27, 166.44), "-22.270000, 166.440000");
+  });
+
+  it("writes DMS and DDM with hemisphere letters", () => {
+    assert.equal(formatDms(-22.27, 166.44), "22°16′12.00″S 166°26′24.00″E");
+    assert.equal(formatDdm(-22.27, 166.44), "22°16.2000′S 166°26.4000′E");
+    assert.equal(formatDms(48.8584, -2.2945), "48°51′30.24″N 2°17′40.20″W");
+  });
+
+  it("carries rounded seconds and minutes into the next unit", () => {
+    assert.equal(formatDms(-22.9999999, 166), "23°00′00.00″S 166°00′00.00″E");
+    assert.equal(formatDdm(-21.99999999, 165), "22°00.0000′S 165°00.0000′E");
+  });
+
+  it("is read back by parseCoordinate", () => {
+    for (const [lat, lon] of [[-22.27, 166.44], [-20.7388, 164.7948], [-21.5, 168.0001]]) {
+      for (const text of [formatDms(lat, lon), formatDdm(lat, lon)]) {
+        const parsed = parseCoordinate(text);
+        assert.equal(parsed.error, null, text);
+        assert.ok(Math.abs(parsed.lat - lat) < 1e-5, text);
+        assert.ok(Math.abs(parsed.lon - lon) < 1e-5, text);
+      }
+    }
+  });
+});
+
+describe("projected formats", () => {
+  it("uses the UTM zone of the location", () => {
+    assert.equal(formatUtm(-22.27, 166.44), "58S E 648366.2 N 7536580.7");
+    assert.equal(formatUtm(-21.5, 168.0), "59S E 189159.1 N 7619530.0");
+  });
+
+  it("writes Lambert NC eastings and northings", () => {
+    assert.equal(formatLambert(-22.27, 166.44), "E 445348.1 N 214681.5");
+  });
+});
+
+describe("grid codes", () => {
+  // [lat, lon, plus code, geohash]
+  const REFERENCE = [
+    [20.3700625, 2.7821875, "7FG49QCJ+2V", "s59gzk3bj"],
+    [-21.2712, 167.9876, "5VC9PXHQ+G2", "rspqyxsy6"],
+    // Float noise is rounded away, so -22.27 lands on a cell edge
+    [-22.27, 166.44, "5V98PCJR+22", "rsn373vgv"],
+    // Geohash puts values on a split in the upper half, as geohash.org does
+    [0, 0, "6FG22222+22", "s00000000"],
+  ];
+
+  for (const [lat, lon, plusCode, geohash] of REFERENCE) {
+    it(`encodes ${lat}, ${lon}`, () => {
+      assert.equal(encodePlusCode(lat, lon), plusCode);
+      assert.equal(encodeGeohash(lat, lon), geohash);
+    });
+  }
+
+  it("supports shorter codes", () => {
+    assert.equal(encodePlusCode(-21.2712, 167.9876, 8), "5VC9PXHQ+");
+    assert.equal(encodePlusCode(-21.2712, 167.9876, 4), "5VC90000+");
+    assert.equal(encodeGeohash(-21.2712, 167.9876, 5), "rspqy");
+  });
+
+  it("clips the poles and wraps longitudes", () => {
+    assert.equal(encodePlusCode(90, 180), encodePlusCode(89.9999, -180));
+  });
+});
+
+describe("locationFormats", () => {
+  it("lists every card format in order", () => {
+    assert.deepEqual(
+      locationFormats(-22.27, 166.44).map((f) => f.key),
+      ["dd", "dms", "ddm", "utm", "lambert", "pluscode", "geohash"],
+    );
+  });
+});
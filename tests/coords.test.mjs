@@ -0,0 +1,363 @@
+// Unit tests for assets/js/coords.mjs — run with `node --test tests/`
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  DECIMAL_PAIR_PATTERN,
+  FORMAT_LABELS,
+  NC_BOUNDS,
+  dmsMatchToDecimal,
+  dmsPartsToDecimal,
+  isInBounds,
+  matchDms,
+  orderLatLon,
+  parseCoordinate,
+  parseCoordinateValue,
+  parseNumber,
+  suggestCorrections,
+  validateLatLon,
+} from "../assets/js/coords.mjs";
+
+// Compare decimal degrees to ~1 cm
+function assertDegrees(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-7, `expected ${expected}, got ${actual}`);
+}
+
+describe("parseNumber", () => {
+  it("parses integers, decimals and negatives", () => {
+    assert.equal(parseNumber("165"), 165);
+    assert.equal(parseNumber("-21.3456"), -21.3456);
+    assert.equal(parseNumber(" 0.5 "), 0.5);
+  });
+
+  it("returns null for non-numbers", () => {
+    assert.equal(parseNumber(""), null);
+    assert.equal(parseNumber("abc"), null);
+    assert.equal(parseNumber(undefined), null);
+  });
+});
+
+describe("validateLatLon", () => {
+  it("accepts values in range, including the limits", () => {
+    assert.equal(validateLatLon(-21.3, 165.4), null);
+    assert.equal(validateLatLon(90, 180), null);
+    assert.equal(validateLatLon(-90, -180), null);
+  });
+
+  it("rejects missing values", () => {
+    assert.equal(validateLatLon(null, 165), "Could not parse coordinates.");
+    assert.equal(validateLatLon(-21, undefined), "Could not parse coordinates.");
+  });
+
+  it("rejects out-of-range values", () => {
+    assert.match(validateLatLon(-91, 165), /Latitude must be in/);
+    assert.match(validateLatLon(-21, 181), /Latitude must be in/);
+  });
+});
+
+describe("isInBounds", () => {
+  it("accepts locations in New Caledonia", () => {
+    assert.equal(isInBounds(-22.27, 166.44), true);
+    assert.equal(isInBounds(-20.47, 166.6), true);
+  });
+
+  it("rejects locations outside the territory", () => {
+    assert.equal(isInBounds(22.27, 166.44), false);
+    assert.equal(isInBounds(-22.27, -166.44), false);
+    assert.equal(isInBounds(166.44, -22.27), false);
+  });
+
+  it("takes other bounds", () => {
+    const bounds = { ...NC_BOUNDS, north: -22 };
+    assert.equal(isInBounds(-21.5, 165, bounds), false);
+  });
+});
+
+describe("suggestCorrections", () => {
+  const fixes = (lat, lon) => suggestCorrections(lat, lon).map((s) => [s.lat, s.lon, s.fixes]);
+
+  it("suggests nothing inside New Caledonia", () => {
+    assert.deepEqual(suggestCorrections(-22.27, 166.44), []);
+  });
+
+  it("restores a missing minus sign on latitude", () => {
+    assert.deepEqual(fixes(22.27, 166.44), [[-22.27, 166.44, ["latitude sign flipped (N/S)"]]]);
+  });
+
+  it("turns a west longitude back east", () => {
+    assert.deepEqual(fixes(-22.27, -166.44), [[-22.27, 166.44, ["longitude sign flipped (E/W)"]]]);
+  });
+
+  it("combines a swap with sign flips", () => {
+    assert.deepEqual(fixes(166.44, 22.27), [
+      [-22.27, 166.44, ["latitude and longitude swapped", "latitude sign flipped (N/S)"]],
+    ]);
+    assert.deepEqual(fixes(22.27, -166.44), [
+      [-22.27, 166.44, ["latitude sign flipped (N/S)", "longitude sign flipped (E/W)"]],
+    ]);
+  });
+
+  it("gives up on locations no fix brings back", () => {
+    assert.deepEqual(suggestCorrections(48.85, 2.35), []);
+  });
+});
+
+describe("orderLatLon", () => {
+  it("keeps lat,lon pairs", () => {
+    assert.deepEqual(orderLatLon(-21.3, 165.4), [-21.3, 165.4]);
+  });
+
+  it("swaps lon,lat pairs", () => {
+    assert.deepEqual(orderLatLon(165.4, -21.3), [-21.3, 165.4]);
+  });
+
+  it("leaves pairs that are invalid either way alone", () => {
+    assert.deepEqual(orderLatLon(200, 100), [200, 100]);
+  });
+});
+
+describe("DECIMAL_PAIR_PATTERN", () => {
+  it("matches comma separated decimals with optional spaces", () => {
+    assert.ok(DECIMAL_PAIR_PATTERN.test("-21.3,165.4"));
+    assert.ok(DECIMAL_PAIR_PATTERN.test("  -21.3 ,  165.4  "));
+    assert.ok(DECIMAL_PAIR_PATTERN.test("-21,165"));
+  });
+
+  it("does not match names or single numbers", () => {
+    assert.ok(!DECIMAL_PAIR_PATTERN.test("Nouméa"));
+    assert.ok(!DECIMAL_PAIR_PATTERN.test("-21.3"));
+  });
+});
+
+describe("matchDms / dmsMatchToDecimal", () => {
+  it("finds every DMS group", () => {
+    const groups = matchDms(`20°44'19.7"S 164°47'41.6"E`);
+    assert.equal(groups.length, 2);
+    assertDegrees(dmsMatchToDecimal(groups[0]), -(20 + 44 / 60 + 19.7 / 3600));
+    assertDegrees(dmsMatchToDecimal(groups[1]), 164 + 47 / 60 + 41.6 / 3600);
+  });
+
+  it("accepts prime symbols and omitted seconds", () => {
+    const [lat, lon] = matchDms("22°16′S 166°27′E").map(dmsMatchToDecimal);
+    assertDegrees(lat, -(22 + 16 / 60));
+    assertDegrees(lon, 166 + 27 / 60);
+  });
+
+  it("uses a negative degree sign over the hemisphere letter", () => {
+    const [group] = matchDms(`-20°30'0"N`);
+    assertDegrees(dmsMatchToDecimal(group), -20.5);
+  });
+
+  it("rejects minutes or seconds of 60 or more", () => {
+    const [group] = matchDms(`20°60'0"S`);
+    assert.equal(dmsMatchToDecimal(group), null);
+  });
+
+  it("is safe to call repeatedly", () => {
+    assert.equal(matchDms(`20°S 164°E`).length, 2);
+    assert.equal(matchDms(`20°S 164°E`).length, 2);
+  });
+});
+
+describe("dmsPartsToDecimal", () => {
+  it("converts degree, minute and second boxes", () => {
+    const { value, error } = dmsPartsToDecimal("-21", "30", "36");
+    assert.equal(error, null);
+    assertDegrees(value, -21.51);
+  });
+
+  it("treats empty minutes and seconds as zero", () => {
+    assert.deepEqual(dmsPartsToDecimal("165", "", ""), { value: 165, error: null });
+    assert.deepEqual(dmsPartsToDecimal("165"), { value: 165, error: null });
+  });
+
+  it("keeps the sign of a negative zero degree", () => {
+    assertDegrees(dmsPartsToDecimal("-0", "30", "0").value, -0.5);
+  });
+
+  it("reports invalid numbers and ranges", () => {
+    assert.equal(dmsPartsToDecimal("x", "0", "0").error, "Invalid DMS values.");
+    assert.equal(dmsPartsToDecimal("21", "61", "0").error, "Minutes and seconds must be in [0,60).");
+    assert.equal(dmsPartsToDecimal("21", "0", "-1").error, "Minutes and seconds must be in [0,60).");
+  });
+});
+
+describe("parseCoordinateValue", () => {
+  it("parses a decimal number", () => {
+    assert.deepEqual(parseCoordinateValue(" -21.5 "), { value: -21.5, hemi: null });
+  });
+
+  it("parses one DMS group and reports its hemisphere", () => {
+    const { value, hemi } = parseCoordinateValue(`165°28'12"e`);
+    assertDegrees(value, 165 + 28 / 60 + 12 / 3600);
+    assert.equal(hemi, "E");
+  });
+
+  it("accepts degrees and decimal minutes, prefixes and decimal commas", () => {
+    assertDegrees(parseCoordinateValue("21°30.5'S").value, -(21 + 30.5 / 60));
+    assertDegrees(parseCoordinateValue("S 21 30 36").value, -21.51);
+    assert.deepEqual(parseCoordinateValue("165,5E"), { value: 165.5, hemi: "E" });
+  });
+
+  it("reads French O as west", () => {
+    assert.deepEqual(parseCoordinateValue("165.5 O"), { value: -165.5, hemi: "W" });
+  });
+
+  it("returns null for anything else", () => {
+    assert.deepEqual(parseCoordinateValue("abc"), { value: null, hemi: null });
+    assert.deepEqual(parseCoordinateValue(""), { value: null, hemi: null });
+    assert.deepEqual(parseCoordinateValue(null), { value: null, hemi: null });
+  });
+});
+
+describe("parseCoordinate", () => {
+  it("parses decimal lat,lon pairs", () => {
+    assert.deepEqual(parseCoordinate("-21.3456, 165.4953"), {
+      lat: -21.3456,
+      lon: 165.4953,
+      format: "decimal",
+      warnings: [],
+      error: null,
+    });
+  });
+
+  it("swaps decimal lon,lat pairs with a warning", () => {
+    const result = parseCoordinate("165.4953,-21.3456");
+    assert.equal(result.lat, -21.3456);
+    assert.equal(result.lon, 165.4953);
+    assert.equal(result.warnings.length, 1);
+    assert.equal(result.error, null);
+  });
+
+  it("reports out-of-range decimal pairs", () => {
+    const result = parseCoordinate("95, 200");
+    assert.equal(result.format, "decimal");
+    assert.match(result.error, /Latitude must be in/);
+  });
+
+  it("parses Google Maps style DMS strings", () => {
+    const result = parseCoordinate(`20°44'19.7"S 164°47'41.6"E`);
+    assert.equal(result.format, "dms");
+    assert.equal(result.error, null);
+    assert.deepEqual(result.warnings, []);
+    assertDegrees(result.lat, -(20 + 44 / 60 + 19.7 / 3600));
+    assertDegrees(result.lon, 164 + 47 / 60 + 41.6 / 3600);
+  });
+
+  it("swaps DMS strings that give longitude first", () => {
+    const result = parseCoordinate(`164°47'41.6"E, 20°44'19.7"S`);
+    assertDegrees(result.lat, -(20 + 44 / 60 + 19.7 / 3600));
+    assertDegrees(result.lon, 164 + 47 / 60 + 41.6 / 3600);
+    assert.equal(result.warnings.length, 1);
+  });
+
+  it("uses the first two DMS groups and warns about the rest", () => {
+    const result = parseCoordinate(`20°S 164°E 12°N`);
+    assert.equal(result.lat, -20);
+    assert.equal(result.lon, 164);
+    assert.match(result.warnings[0], /first two of 3/);
+  });
+
+  it("reports invalid DMS values", () => {
+    const result = parseCoordinate(`20°75'0"S 164°0'0"E`);
+    assert.equal(result.format, "dms");
+    assert.equal(result.error, "Invalid DMS values.");
+  });
+
+  it("returns null for text that is not a coordinate pair", () => {
+    assert.equal(parseCoordinate("Nouméa"), null);
+    assert.equal(parseCoordinate("-21.3"), null);
+    assert.equal(parseCoordinate(""), null);
+    assert.equal(parseCoordinate("   "), null);
+    assert.equal(parseCoordinate(undefined), null);
+  });
+});
+
+describe("parseCoordinate — label formats", () => {
+  // [input, lat, lon, format]
+  const cases = [
+    ["21.3S 165.4E", -21.3, 165.4, "decimal-hemisphere"],
+    ["21.3s, 165.4e", -21.3, 165.4, "decimal-hemisphere"],
+    ["S21.3 E165.4", -21.3, 165.4, "decimal-hemisphere"],
+    ["21.3°S; 165.4°E", -21.3, 165.4, "decimal-hemisphere"],
+    ["21S 165", -21, 165, "decimal-hemisphere"],
+    ["-21.3456 165.4953", -21.3456, 165.4953, "decimal"],
+    ["-21,3456 165,4953", -21.3456, 165.4953, "decimal"],
+    ["21,3 S; 165,4 E", -21.3, 165.4, "decimal-hemisphere"],
+    ["S21°20.5' E165°28.3'", -(21 + 20.5 / 60), 165 + 28.3 / 60, "ddm"],
+    ["21°20.5'S 165°28.3'E", -(21 + 20.5 / 60), 165 + 28.3 / 60, "ddm"],
+    ["21 20.5 S 165 28.3 E", -(21 + 20.5 / 60), 165 + 28.3 / 60, "ddm"],
+    ["-22 30 165 30", -22.5, 165.5, "ddm"],
+    ["21º20'S 165º28'E", -(21 + 20 / 60), 165 + 28 / 60, "ddm"],
+    ["-21 20 44.5, 165 28 12", -(21 + 20 / 60 + 44.5 / 3600), 165.47, "dms"],
+    ["-21 20 44.5 165 28 12", -(21 + 20 / 60 + 44.5 / 3600), 165.47, "dms"],
+    ["S 21 20 44 E 165 28 12", -(21 + 20 / 60 + 44 / 3600), 165.47, "dms"],
+    ["21°20′44″S 165°28′12″E", -(21 + 20 / 60 + 44 / 3600), 165.47, "dms"],
+    ["21°20'44''S 165°28'12''E", -(21 + 20 / 60 + 44 / 3600), 165.47, "dms"],
+    [`21°20'44"S 165°28.2'E`, -(21 + 20 / 60 + 44 / 3600), 165.47, "mixed"],
+  ];
+  for (const [input, lat, lon, format] of cases) {
+    it(`reads ${input}`, () => {
+      const result = parseCoordinate(input);
+      assert.equal(result.error, null);
+      assert.equal(result.format, format);
+      assertDegrees(result.lat, lat);
+      assertDegrees(result.lon, lon);
+    });
+  }
+
+  it("reads French O (ouest) as west", () => {
+    const result = parseCoordinate(`21°20'44"S 165°28'12"O`);
+    assertDegrees(result.lon, -165.47);
+  });
+
+  it("uses hemisphere letters to order the values", () => {
+    const result = parseCoordinate("165.4953E 21.3456S");
+    assert.equal(result.lat, -21.3456);
+    assert.equal(result.lon, 165.4953);
+    assert.match(result.warnings[0], /swapped/);
+  });
+
+  it("notes decimal commas in the warnings", () => {
+    assert.deepEqual(parseCoordinate("-21,35 165,47").warnings, [
+      "Commas were read as decimal separators.",
+    ]);
+  });
+
+  it("keeps a comma between integers as the separator", () => {
+    const result = parseCoordinate("-21,165");
+    assert.equal(result.lat, -21);
+    assert.equal(result.lon, 165);
+    assert.deepEqual(result.warnings, []);
+  });
+
+  it("lets a minus sign override N or E with a warning", () => {
+    const result = parseCoordinate("-21N 165E");
+    assert.equal(result.lat, -21);
+    assert.match(result.warnings[0], /minus sign/);
+  });
+
+  it("rejects two latitudes or two longitudes", () => {
+    assert.equal(parseCoordinate("21S 22S").error, "Both values are latitudes (N/S).");
+    assert.equal(parseCoordinate("165E 166E").error, "Both values are longitudes (E/W).");
+  });
+
+  it("rejects decimals before the last component", () => {
+    assert.match(parseCoordinate("21.5°20'S 165E").error, /Only the last/);
+  });
+
+  it("rejects minutes of 60 or more", () => {
+    assert.equal(parseCoordinate("21°75'S 165°E").error, "Invalid DMS values.");
+  });
+
+  it("still ignores commune names", () => {
+    assert.equal(parseCoordinate("Le Mont-Dore"), null);
+    assert.equal(parseCoordinate("L'Île-des-Pins"), null);
+  });
+
+  it("has a label for every format", () => {
+    for (const format of ["decimal", "decimal-hemisphere", "ddm", "dms", "mixed"]) {
+      assert.equal(typeof FORMAT_LABELS[format], "string");
+    }
+  });
+});
@@ -0,0 +1,63 @@
+// Unit tests for assets/js/csv.mjs — run with `node --test tests/`
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { detectDelimiter, parseDelimited, quoteField, toDelimited } from "../assets/js/csv.mjs";
+
+describe("detectDelimiter", () => {
+  it("picks the most frequent delimiter on the header line", () => {
+    assert.equal(detectDelimiter("a,b,c\n1;2;3;4"), ",");
+    assert.equal(detectDelimiter("lat;lon;name\n-21,5;165,4;x"), ";");
+    assert.equal(detectDelimiter("lat\tlon\n-21.5\t165.4"), "\t");
+  });
+
+  it("ignores delimiters inside quotes and defaults to a comma", () => {
+    assert.equal(detectDelimiter('"a;b;c";d,e;f\n'), ";");
+    assert.equal(detectDelimiter('"x,y,z";w'), ";");
+    assert.equal(detectDelimiter("single"), ",");
+    assert.equal(detectDelimiter(""), ",");
+  });
+});
+
+describe("parseDelimited", () => {
+  it("reads quoted fields with delimiters, doubled quotes and newlines", () => {
+    const { rows } = parseDelimited('name,notes\r\n"Poindimié, est","said ""hi""\nthen left"\r\n');
+    assert.deepEqual(rows, [
+      ["name", "notes"],
+      ["Poindimié, est", 'said "hi"\nthen left'],
+    ]);
+  });
+
+  it("keeps quotes inside unquoted fields (DMS seconds)", () => {
+    const { rows } = parseDelimited(`lat,lon\n21°20'44.5"S,165°28'12"E`);
+    assert.deepEqual(rows[1], [`21°20'44.5"S`, `165°28'12"E`]);
+  });
+
+  it("skips blank lines, strips a BOM and keeps empty fields", () => {
+    const { delimiter, rows } = parseDelimited("\uFEFFa;b;c\n\n1;;3\n\r\n");
+    assert.equal(delimiter, ";");
+    assert.deepEqual(rows, [["a", "b", "c"], ["1", "", "3"]]);
+  });
+
+  it("honours an explicit delimiter", () => {
+    assert.deepEqual(parseDelimited("a,b\tc", "\t").rows, [["a,b", "c"]]);
+  });
+});
+
+describe("toDelimited", () => {
+  it("quotes only the fields that need it", () => {
+    assert.equal(quoteField("plain", ","), "plain");
+    assert.equal(quoteField("a,b", ","), '"a,b"');
+    assert.equal(quoteField("a,b", ";"), "a,b");
+    assert.equal(quoteField('say "x"', ","), '"say ""x"""');
+    assert.equal(quoteField(null, ","), "");
+  });
+
+  it("round-trips rows with appended commune and status columns", () => {
+    const { delimiter, rows } = parseDelimited('id;coords\n1;"-21,5; 165,4"\n2;"line\nbreak"');
+    const output = [[...rows[0], "commune", "status"], ...rows.slice(1).map((r) => [...r, "Bourail", "ok"])];
+    const text = toDelimited(output, delimiter);
+    assert.equal(text.split("\r\n")[0], "id;coords;commune;status");
+    assert.deepEqual(parseDelimited(text).rows, output);
+  });
+});
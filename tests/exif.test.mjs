@@ -0,0 +1,141 @@
+// Unit tests for assets/js/exif.mjs — run with `node --test tests/`
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { readPhotoExif } from "../assets/js/exif.mjs";
+
+// Minimal JPEG (SOI, APP0, APP1 Exif, EOI) holding the given IFD entries.
+// Each IFD is a list of [tag, type, values] with values a string (ASCII)
+// or an array of numbers; rationals are written as [numerator, denominator].
+function jpegWithExif({ ifd0 = [], exif = null, gps = null, little = false }) {
+  const ifds = [ifd0];
+  if (exif) ifds.push(exif);
+  if (gps) ifds.push(gps);
+  const ifdSize = (entries) => 2 + entries.length * 12 + 4;
+  // IFD0 gains the pointers to the Exif and GPS IFDs
+  const pointers = (exif ? 1 : 0) + (gps ? 1 : 0);
+  const sizes = ifds.map((entries, i) => ifdSize(entries) + (i === 0 ? pointers * 12 : 0));
+  const starts = sizes.reduce((acc, size) => [...acc, acc[acc.length - 1] + size], [8]);
+  let dataOffset = starts[starts.length - 1];
+  if (exif) ifd0.push([0x8769, 4, [starts[1]]]);
+  if (gps) ifd0.push([0x8825, 4, [starts[exif ? 2 : 1]]]);
+
+  const buf = new DataView(new ArrayBuffer(4096));
+  buf.setUint16(0, little ? 0x4949 : 0x4d4d);
+  buf.setUint16(2, 42, little);
+  buf.setUint32(4, 8, little);
+  const writeValues = (at, type, values) => {
+    if (type === 2) [...values].forEach((c, i) => buf.setUint8(at + i, c.charCodeAt(0)));
+    else if (type === 3) values.forEach((v, i) => buf.setUint16(at + i * 2, v, little));
+    else if (type === 4) values.forEach((v, i) => buf.setUint32(at + i * 4, v, little));
+    else if (type === 5) {
+      values.forEach(([num, den], i) => {
+        buf.setUint32(at + i * 8, num, little);
+        buf.setUint32(at + i * 8 + 4, den, little);
+      });
+    }
+  };
+  ifds.forEach((entries, i) => {
+    let p = starts[i];
+    buf.setUint16(p, entries.length, little);
+    p += 2;
+    entries.forEach(([tag, type, values]) => {
+      const data = type === 2 ? `${values}\0` : values;
+      const size = { 2: 1, 3: 2, 4: 4, 5: 8 }[type] * data.length;
+      buf.setUint16(p, tag, little);
+      buf.setUint16(p + 2, type, little);
+      buf.setUint32(p + 4, data.length, little);
+      if (size <= 4) writeValues(p + 8, type, data);
+      else {
+        buf.setUint32(p + 8, dataOffset, little);
+        writeValues(dataOffset, type, data);
+        dataOffset += size;
+      }
+      p += 12;
+    });
+    buf.setUint32(p, 0, little);
+  });
+  const tiff = new Uint8Array(buf.buffer, 0, dataOffset);
+
+  const app0 = [0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46, 0x49, 0x46, 0x00, 1, 1, 0, 0, 1, 0, 1, 0, 0];
+  const app1Length = 2 + 6 + tiff.length;
+  const app1 = [0xff, 0xe1, app1Length >> 8, app1Length & 0xff, 0x45, 0x78, 0x69, 0x66, 0, 0];
+  return new Uint8Array([0xff, 0xd8, ...app0, ...app1, ...tiff, 0xff, 0xd9]).buffer;
+}
+
+// 22°16'15.96"S 166°26'29.76"E (Nouméa)
+const NOUMEA_GPS = [
+  [1, 2, "S"],
+  [2, 5, [[22, 1], [16, 1], [1596, 100]]],
+  [3, 2, "E"],
+  [4, 5, [[166, 1], [26, 1], [2976, 100]]],
+  [7, 5, [[22, 1], [30, 1], [0, 1]]],
+  [0x1d, 2, "2024:07:02"],
+];
+
+describe("readPhotoExif", () => {
+  it("reads the GPS position and local time with its offset", () => {
+    const exif = [
+      [0x9003, 2, "2024:07:03 09:30:00"],
+      [0x9011, 2, "+11:00"],
+    ];
+    const result = readPhotoExif(jpegWithExif({ exif, gps: NOUMEA_GPS }));
+    assert.ok(Math.abs(result.lat - -22.2711) < 1e-6);
+    assert.ok(Math.abs(result.lng - 166.4416) < 1e-6);
+    assert.equal(result.takenAt, "2024-07-03T09:30:00+11:00");
+  });
+
+  it("reads little-endian (Intel) metadata", () => {
+    const result = readPhotoExif(jpegWithExif({ gps: NOUMEA_GPS, little: true }));
+    assert.ok(Math.abs(result.lat - -22.2711) < 1e-6);
+    assert.ok(Math.abs(result.lng - 166.4416) < 1e-6);
+  });
+
+  it("falls back to the GPS UTC time, then the file time", () => {
+    assert.equal(readPhotoExif(jpegWithExif({ gps: NOUMEA_GPS })).takenAt, "2024-07-02T22:30:00Z");
+    const ifd0 = [[0x0132, 2, "2023:12:31 18:00:00"]];
+    assert.deepEqual(readPhotoExif(jpegWithExif({ ifd0 })), {
+      lat: null,
+      lng: null,
+      takenAt: "2023-12-31T18:00:00",
+    });
+  });
+
+  it("signs western and northern hemispheres", () => {
+    const gps = [
+      [1, 2, "N"],
+      [2, 5, [[48, 1], [51, 1], [0, 1]]],
+      [3, 2, "W"],
+      [4, 5, [[2, 1], [21, 1], [0, 1]]],
+    ];
+    const result = readPhotoExif(jpegWithExif({ gps }));
+    assert.ok(Math.abs(result.lat - 48.85) < 1e-9);
+    assert.ok(Math.abs(result.lng - -2.35) < 1e-9);
+  });
+
+  it("ignores positions with a zero denominator", () => {
+    const gps = [
+      [1, 2, "S"],
+      [2, 5, [[0, 0], [0, 0], [0, 0]]],
+      [3, 2, "E"],
+      [4, 5, [[0, 0], [0, 0], [0, 0]]],
+    ];
+    assert.equal(readPhotoExif(jpegWithExif({ gps })).lat, null);
+  });
+
+  it("returns empty values for a JPEG without EXIF", () => {
+    const jpeg = new Uint8Array([0xff, 0xd8, 0xff, 0xda, 0x00, 0x02, 0xff, 0xd9]).buffer;
+    assert.deepEqual(readPhotoExif(jpeg), { lat: null, lng: null, takenAt: null });
+  });
+
+  it("survives truncated metadata", () => {
+    const full = new Uint8Array(jpegWithExif({ gps: NOUMEA_GPS }));
+    const truncated = full.slice(0, 40).buffer;
+    assert.deepEqual(readPhotoExif(truncated), { lat: null, lng: null, takenAt: null });
+  });
+
+  it("returns null for other files", () => {
+    assert.equal(readPhotoExif(new TextEncoder().encode("\x89PNG").buffer), null);
+    assert.equal(readPhotoExif(new ArrayBuffer(0)), null);
+  });
+});
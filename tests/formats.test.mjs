@@ -0,0 +1,334 @@
+// Unit tests for assets/js/formats.mjs — run with `node --test tests/`
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { parseDelimited } from "../assets/js/csv.mjs";
+import {
+  POINT_WRITERS,
+  formatDms,
+  parseCsvPoints,
+  parseGeoJSONPoints,
+  parseGpxPoints,
+  parseKmlPoints,
+  readPointsFile,
+  writePointsFile,
+} from "../assets/js/formats.mjs";
+
+// Minimal stand-in for the browser's DOMParser: elements, attributes, text,
+// CDATA and entities, which is all the KML and GPX readers use
+class XmlElement {
+  constructor(tagName, attributes) {
+    this.tagName = tagName;
+    this.localName = tagName.replace(/^.*:/, "");
+    this.attributes = attributes;
+    this.childNodes = [];
+  }
+
+  getAttribute(name) {
+    return this.attributes[name] ?? null;
+  }
+
+  get textContent() {
+    return this.childNodes.map((n) => (typeof n === "string" ? n : n.textContent)).join("");
+  }
+
+  descendants(match) {
+    return this.childNodes.flatMap((n) =>
+      typeof n === "string" ? [] : [...(match(n) ? [n] : []), ...n.descendants(match)],
+    );
+  }
+
+  getElementsByTagName(name) {
+    return this.descendants((n) => n.tagName === name);
+  }
+
+  getElementsByTagNameNS(ns, name) {
+    return this.descendants((n) => n.localName === name);
+  }
+}
+
+const decodeEntities = (text) =>
+  text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (m, e) => {
+    if (e[0] === "#") return String.fromCodePoint(e[1] === "x" ? parseInt(e.slice(2), 16) : Number(e.slice(1)));
+    return { lt: "<", gt: ">", amp: "&", quot: '"', apos: "'" }[e] ?? m;
+  });
+
+const XML_TOKEN =
+  /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/y;
+
+globalThis.DOMParser = class {
+  parseFromString(text) {
+    const doc = new XmlElement("#document", {});
+    const stack = [doc];
+    XML_TOKEN.lastIndex = 0;
+    while (XML_TOKEN.lastIndex < text.length) {
+      const m = XML_TOKEN.exec(text);
+      const top = stack[stack.length - 1];
+      if (!m) {
+        doc.childNodes = [new XmlElement("parsererror", {})];
+        return doc;
+      }
+      const [, cdata, closing, tagName, attrText, selfClosing, chars] = m;
+      if (cdata != null) top.childNodes.push(cdata);
+      else if (chars != null) top.childNodes.push(decodeEntities(chars));
+      else if (closing) {
+        if (top.tagName !== tagName) {
+          doc.childNodes = [new XmlElement("parsererror", {})];
+          return doc;
+        }
+        stack.pop();
+      } else if (tagName) {
+        const attributes = {};
+        for (const [, name, dq, sq] of (attrText || "").matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+          attributes[name] = decodeEntities(dq ?? sq);
+        }
+        const el = new XmlElement(tagName, attributes);
+        top.childNodes.push(el);
+        if (!selfClosing) stack.push(el);
+      }
+    }
+    if (stack.length > 1) doc.childNodes = [new XmlElement("parsererror", {})];
+    return doc;
+  }
+};
+
+const records = [
+  {
+    lat: -22.27,
+    lng: 166.44,
+    attributes: { label: "Nouméa <port>", color: "#00ff00", opacity: 0.5, commune: "Nouméa", shape: "square", note: "" },
+  },
+];
+const annotations = [
+  { geometry: "polygon", coordinates: [[166, -22], [166.1, -22], [166.1, -21.9]], attributes: { label: "field", area: 2 } },
+];
+const write = (format) => POINT_WRITERS[format].write(records, annotations, "points");
+
+describe("formatDms", () => {
+  it("writes degrees, minutes and tenths of a second with a hemisphere", () => {
+    assert.equal(formatDms(-21.3456, "lat"), `21°20'44.2"S`);
+    assert.equal(formatDms(166.44, "lon"), `166°26'24.0"E`);
+    assert.equal(formatDms(-0.5, "lon"), `0°30'0.0"W`);
+    // Rounding carries into the minutes and degrees
+    assert.equal(formatDms(165.99999, "lon"), `166°0'0.0"E`);
+  });
+});
+
+describe("CSV output", () => {
+  it("writes decimal and DMS columns, attributes and a WKT column", () => {
+    const { rows } = parseDelimited(write("csv"));
+    assert.deepEqual(rows[0], [
+      "lat", "lon", "lat_dms", "lon_dms", "label", "color", "opacity", "commune", "shape", "note", "area", "wkt",
+    ]);
+    assert.deepEqual(rows[1], [
+      "-22.27", "166.44", `22°16'12.0"S`, `166°26'24.0"E`, "Nouméa <port>", "#00ff00", "0.5", "Nouméa", "square", "", "",
+      "POINT (166.44 -22.27)",
+    ]);
+    assert.deepEqual(rows[2].slice(0, 4), ["", "", "", ""]);
+    assert.equal(rows[2][10], "2");
+    assert.equal(rows[2][11], "POLYGON ((166 -22, 166.1 -22, 166.1 -21.9, 166 -22))");
+  });
+
+  it("leaves out the WKT column without annotations", () => {
+    const text = POINT_WRITERS.csv.write(records, [], "points");
+    assert.ok(!parseDelimited(text).rows[0].includes("wkt"));
+  });
+});
+
+describe("KML output", () => {
+  const kml = write("kml");
+
+  it("writes escaped names, aabbggrr icon colours and extended data", () => {
+    assert.match(kml, /<name>Nouméa &lt;port&gt;<\/name>/);
+    assert.match(kml, /<IconStyle><color>8000ff00<\/color><\/IconStyle>/);
+    assert.match(kml, /<Data name="commune"><value>Nouméa<\/value><\/Data>/);
+    assert.match(kml, /<Point><coordinates>166.44,-22.27,0<\/coordinates><\/Point>/);
+  });
+
+  it("writes areas as closed polygons", () => {
+    assert.match(kml, /<coordinates>166,-22,0 166.1,-22,0 166.1,-21.9,0 166,-22,0<\/coordinates>/);
+    assert.match(kml, /<PolyStyle><color>33ed3a7c<\/color><\/PolyStyle>/);
+  });
+});
+
+describe("GPX output", () => {
+  const gpx = write("gpx");
+
+  it("writes waypoints with their attributes", () => {
+    assert.match(gpx, /<wpt lat="-22.27" lon="166.44">\n {4}<name>Nouméa &lt;port&gt;<\/name>/);
+    assert.match(gpx, /<desc>color: #00ff00; opacity: 0.5; commune: Nouméa; shape: square<\/desc>/);
+    assert.match(gpx, /<nccl:attribute name="commune">Nouméa<\/nccl:attribute>/);
+    assert.doesNotMatch(gpx, /name="note"/);
+  });
+
+  it("writes areas as closed tracks", () => {
+    const points = [...gpx.matchAll(/<trkpt lat="([^"]+)" lon="([^"]+)">/g)].map((m) => [m[2], m[1]].join(","));
+    assert.deepEqual(points, ["166,-22", "166.1,-22", "166.1,-21.9", "166,-22"]);
+  });
+});
+
+describe("writePointsFile", () => {
+  it("returns a typed blob and a file name", async () => {
+    const { blob, filename } = writePointsFile("geojson", records, "points", annotations);
+    assert.equal(filename, "points.geojson");
+    assert.equal(blob.type, "application/geo+json");
+    const fc = JSON.parse(await blob.text());
+    assert.deepEqual(fc.features.map((f) => f.geometry.type), ["Point", "Polygon"]);
+    assert.equal(fc.features[0].properties.label, "Nouméa <port>");
+  });
+
+  it("writes shapefiles into a zip", () => {
+    const { blob, filename } = writePointsFile("shp", records, "points");
+    assert.equal(filename, "points.zip");
+    assert.equal(blob.type, "application/zip");
+  });
+
+  it("rejects unknown formats", () => {
+    assert.throws(() => writePointsFile("dxf", records, "points"), /Unsupported export format: dxf/);
+  });
+});
+
+describe("parseGeoJSONPoints", () => {
+  it("reads Point and MultiPoint features and skips other geometry", () => {
+    const { items, skipped } = parseGeoJSONPoints(
+      JSON.stringify({
+        type: "FeatureCollection",
+        features: [
+          { type: "Feature", geometry: { type: "Point", coordinates: [166.44, -22.27] }, properties: { name: "Nouméa" } },
+          { type: "Feature", geometry: { type: "MultiPoint", coordinates: [[165, -21], ["x", 0]] }, properties: null },
+          { type: "Feature", geometry: { type: "LineString", coordinates: [[0, 0], [1, 1]] }, properties: {} },
+        ],
+      }),
+    );
+    assert.deepEqual(items.map((i) => [i.lat, i.lng, i.properties.label]), [[-22.27, 166.44, "Nouméa"], [-21, 165, ""]]);
+    assert.equal(skipped, 2);
+  });
+
+  it("accepts a bare geometry and falls back to default styling", () => {
+    const [item] = parseGeoJSONPoints('{"type":"Point","coordinates":[165,-21]}').items;
+    assert.deepEqual(item.properties, { label: "", color: "#ff0000", opacity: 0.8 });
+    assert.equal(item.shape, "circle");
+  });
+});
+
+describe("parseCsvPoints", () => {
+  it("finds coordinate, label and style columns by name", () => {
+    const { items, skipped } = parseCsvPoints("Name;Latitude;Longitude;color;opacity;shape\nA;-21.5;165.4;#0F0;0.4;square\nB;;165;;;\n");
+    assert.equal(skipped, 1);
+    assert.deepEqual(items[0].properties, { label: "A", color: "#00ff00", opacity: 0.4 });
+    assert.equal(items[0].shape, "square");
+    assert.deepEqual(items[0].fields, {
+      Name: "A", Latitude: "-21.5", Longitude: "165.4", color: "#0F0", opacity: "0.4", shape: "square",
+    });
+  });
+
+  it("reads decimal commas, DMS and hemisphere letters", () => {
+    const { items } = parseCsvPoints(
+      [
+        "lat;lon",
+        "-21,5;165,4",
+        `21°30'S;165°24'E`,
+        "21.5 S;165.4 E",
+        `165°24'E;21°30'S`,
+      ].join("\n"),
+    );
+    items.forEach((item, i) => {
+      assert.ok(Math.abs(item.lat - -21.5) < 1e-9, `row ${i} latitude ${item.lat}`);
+      assert.ok(Math.abs(item.lng - 165.4) < 1e-9, `row ${i} longitude ${item.lng}`);
+    });
+    assert.equal(items.length, 4);
+  });
+
+  it("rejects files without coordinate columns", () => {
+    assert.throws(() => parseCsvPoints("a,b\n1,2"), /No latitude\/longitude columns/);
+    assert.deepEqual(parseCsvPoints("lat,lon"), { items: [], skipped: 0 });
+  });
+});
+
+describe("parseKmlPoints", () => {
+  const kml = `<?xml version="1.0"?>
+<kml xmlns="http://www.opengis.net/kml/2.2"><Document>
+  <Style id="blue"><IconStyle><color>ccff0000</color></IconStyle></Style>
+  <Placemark><name><![CDATA[Poum & co]]></name><styleUrl>#blue</styleUrl>
+    <ExtendedData><Data name="note"><value>north</value></Data></ExtendedData>
+    <Point><coordinates>164.02,-20.23,0</coordinates></Point></Placemark>
+  <Placemark><name>Line</name><LineString><coordinates>0,0 1,1</coordinates></LineString></Placemark>
+</Document></kml>`;
+
+  it("reads placemarks, shared styles and extended data", () => {
+    const { items, skipped } = parseKmlPoints(kml);
+    assert.equal(skipped, 1);
+    assert.deepEqual([items[0].lat, items[0].lng], [-20.23, 164.02]);
+    assert.deepEqual(items[0].properties, { label: "Poum & co", color: "#0000ff", opacity: 0.8 });
+    assert.deepEqual(items[0].fields, { note: "north" });
+  });
+
+  it("rejects malformed XML", () => {
+    assert.throws(() => parseKmlPoints("<kml><Placemark></kml>"), /Invalid XML/);
+  });
+});
+
+describe("parseGpxPoints", () => {
+  it("reads waypoints and counts tracks and routes as skipped", () => {
+    const { items, skipped } = parseGpxPoints(`<gpx xmlns="http://www.topografix.com/GPX/1/1">
+  <wpt lat="-21.6" lon="165.9"><name>Kouaoua</name></wpt>
+  <wpt lat="north" lon="165"/>
+  <trk><trkseg><trkpt lat="0" lon="0"/></trkseg></trk>
+  <rte/>
+</gpx>`);
+    assert.deepEqual(items.map((i) => [i.lat, i.lng, i.properties.label]), [[-21.6, 165.9, "Kouaoua"]]);
+    assert.equal(skipped, 3);
+  });
+
+  it("reads attributes from a description written by earlier versions", () => {
+    const [item] = parseGpxPoints(`<gpx><wpt lat="-21" lon="165">
+  <desc>color: #00ff00; opacity: 0.5; commune: Bourail; shape: square</desc></wpt></gpx>`).items;
+    assert.deepEqual(item.fields, { color: "#00ff00", opacity: "0.5", commune: "Bourail", shape: "square" });
+    assert.deepEqual(item.properties, { label: "", color: "#00ff00", opacity: 0.5 });
+    assert.equal(item.shape, "square");
+  });
+});
+
+describe("readPointsFile", () => {
+  it("picks the reader from the file extension", () => {
+    assert.equal(readPointsFile("Points.TSV", "lat\tlon\n-21\t165").items.length, 1);
+    assert.throws(() => readPointsFile("points.xlsx", ""), /Unsupported file type: \.xlsx/);
+    assert.throws(() => readPointsFile("points", ""), /Unsupported file type: \.\?/);
+  });
+});
+
+describe("export → import round trip", () => {
+  const exported = [
+    {
+      lat: -22.27,
+      lng: 166.44,
+      attributes: {
+        label: "Port; quay: north",
+        note: "a; b: c",
+        color: "#1e90ff",
+        opacity: 0.6,
+        commune: "Nouméa",
+        shape: "square",
+      },
+    },
+    { lat: -20.5, lng: 164.7, attributes: { label: "Koné", color: "#ff0000", opacity: 1, commune: "Koné", shape: "circle" } },
+  ];
+
+  ["geojson", "csv", "kml", "gpx"].forEach((format) => {
+    it(`keeps label, colour, opacity, shape and commune through ${format.toUpperCase()}`, () => {
+      const text = POINT_WRITERS[format].write(exported, [], "points");
+      const { items, skipped } = readPointsFile(`points.${format}`, text);
+      assert.equal(skipped, 0);
+      assert.equal(items.length, exported.length);
+      items.forEach((item, i) => {
+        const { attributes, lat, lng } = exported[i];
+        assert.deepEqual([item.lat, item.lng], [lat, lng]);
+        assert.deepEqual(item.properties, { label: attributes.label, color: attributes.color, opacity: attributes.opacity });
+        assert.equal(item.shape, attributes.shape);
+        assert.equal(item.fields.commune, attributes.commune);
+      });
+      // Separators inside values survive
+      assert.equal(items[0].fields.note, "a; b: c");
+    });
+  });
+});
@@ -0,0 +1,132 @@
+// Unit tests for assets/js/geo.mjs — run with `node --test tests/`
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  dissolvedOutline,
+  distanceToBoundaryMeters,
+  geodesicInverse,
+  geometryAreaSqMeters,
+  geometryBounds,
+  geometryCentroid,
+  geometryPartCount,
+  geometryPerimeterMeters,
+  lineLengthMeters,
+  nearestPolygon,
+  polygonAdjacency,
+} from "../assets/js/geo.mjs";
+
+// Closed square ring with its south-west corner at (x, y), in degrees
+const square = (x, y, size = 1) => [[x, y], [x + size, y], [x + size, y + size], [x, y + size], [x, y]];
+const polygon = (x, y, size) => ({ type: "Polygon", coordinates: [square(x, y, size)] });
+const dms = (d, m, s) => d + m / 60 + s / 3600;
+const near = (actual, expected, tolerance, what) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${what}: ${actual} is not within ${tolerance} of ${expected}`);
+
+describe("geodesicInverse", () => {
+  it("matches Vincenty's Flinders Peak → Buninyong example", () => {
+    const flindersPeak = [dms(144, 25, 29.5244), -dms(37, 57, 3.7203)];
+    const buninyong = [dms(143, 55, 35.3839), -dms(37, 39, 10.1561)];
+    const { distance, bearing } = geodesicInverse(flindersPeak, buninyong);
+    near(distance, 54972.271, 0.001, "distance");
+    near(bearing, dms(306, 52, 5.37), 0.01 / 3600, "bearing");
+  });
+
+  it("matches the WGS84 equatorial degree and meridian quadrant", () => {
+    const east = geodesicInverse([0, 0], [1, 0]);
+    near(east.distance, 111319.491, 0.001, "equator");
+    assert.equal(east.bearing, 90);
+    const north = geodesicInverse([0, 0], [0, 90]);
+    near(north.distance, 10001965.729, 0.001, "quadrant");
+    assert.equal(north.bearing, 0);
+  });
+
+  it("returns zero for coincident points and bearings in 0–360", () => {
+    assert.deepEqual(geodesicInverse([166.44, -22.27], [166.44, -22.27]), { distance: 0, bearing: 0 });
+    near(geodesicInverse([166.44, -22.27], [166.44, -23]).bearing, 180, 1e-9, "south");
+    near(geodesicInverse([166.44, -22.27], [165, -22.27]).bearing, 270, 0.5, "west");
+  });
+
+  it("sums line lengths segment by segment", () => {
+    const line = [[0, 0], [1, 0], [1, 1]];
+    const expected = geodesicInverse(line[0], line[1]).distance + geodesicInverse(line[1], line[2]).distance;
+    assert.equal(lineLengthMeters(line), expected);
+    assert.equal(lineLengthMeters([[0, 0]]), 0);
+  });
+});
+
+describe("commune measurements", () => {
+  const cell = polygon(0, 0, 1);
+
+  it("measures the area of a one-degree square on the ellipsoid", () => {
+    // Closed form for the WGS84 graticule cell between 0° and 1°
+    near(geometryAreaSqMeters(cell), 12308463893.975, 1, "area");
+  });
+
+  it("subtracts holes from the area", () => {
+    const holed = { type: "Polygon", coordinates: [square(0, 0, 1), square(0.25, 0.25, 0.5)] };
+    near(geometryAreaSqMeters(holed), geometryAreaSqMeters(cell) - geometryAreaSqMeters(polygon(0.25, 0.25, 0.5)), 1e-3, "area");
+  });
+
+  it("measures the perimeter of a one-degree square", () => {
+    // Equator, parallel at 1° and two meridian arcs of 1°
+    near(geometryPerimeterMeters(cell), 111319.491 + 111302.650 + 2 * 110574.389, 1, "perimeter");
+  });
+
+  it("finds the bounds, centroid and part count", () => {
+    assert.deepEqual(geometryBounds(cell), [0, 0, 1, 1]);
+    const [lng, lat] = geometryCentroid(cell);
+    near(lng, 0.5, 1e-9, "centroid longitude");
+    near(lat, 0.5, 1e-9, "centroid latitude");
+    const islands = { type: "MultiPolygon", coordinates: [[square(0, 0, 1)], [square(3, 0, 1)]] };
+    assert.equal(geometryPartCount(islands), 2);
+    assert.equal(geometryPartCount(null), 0);
+  });
+});
+
+describe("polygonAdjacency", () => {
+  it("pairs polygons sharing an edge with the shared length", () => {
+    const adjacency = polygonAdjacency([
+      { name: "west", geometry: polygon(0, 0, 1) },
+      { name: "east", geometry: polygon(1, 0, 1) },
+      { name: "apart", geometry: polygon(5, 5, 1) },
+    ]);
+    assert.deepEqual(adjacency.get("west").map((n) => n.name), ["east"]);
+    assert.deepEqual(adjacency.get("east").map((n) => n.name), ["west"]);
+    assert.deepEqual(adjacency.get("apart"), []);
+    // The shared edge is one degree of meridian
+    near(adjacency.get("west")[0].sharedMeters, 110574.389, 0.1, "shared boundary");
+  });
+});
+
+describe("dissolvedOutline", () => {
+  it("drops edges shared by two polygons", () => {
+    const lines = dissolvedOutline([polygon(0, 0, 1), polygon(1, 0, 1)]);
+    const edges = lines.flatMap((line) => line.slice(1).map((p, i) => `${line[i]}→${p}`));
+    assert.equal(edges.length, 6);
+    assert.ok(!edges.includes("1,0→1,1") && !edges.includes("1,1→1,0"));
+  });
+});
+
+describe("boundary distances", () => {
+  const cell = polygon(0, 0, 1);
+
+  it("is the same inside and outside the polygon", () => {
+    const inside = distanceToBoundaryMeters(0.5, 0.9, cell);
+    const outside = distanceToBoundaryMeters(0.5, 1.1, cell);
+    near(inside, outside, 1e-6, "inside vs outside");
+    // Within 1 % of the geodesic distance to the edge
+    const geodesic = geodesicInverse([0.9, 0.5], [1, 0.5]).distance;
+    near(inside, geodesic, geodesic * 0.01, "distance to the east edge");
+  });
+
+  it("finds the nearest polygon, skipping an excluded name", () => {
+    const entries = [
+      { name: "near", geometry: polygon(0, 0, 1) },
+      { name: "far", geometry: polygon(3, 0, 1) },
+    ].map((e) => ({ ...e, bbox: geometryBounds(e.geometry) }));
+    assert.equal(nearestPolygon(0.5, 1.2, entries).name, "near");
+    assert.equal(nearestPolygon(0.5, 1.2, entries, "near").name, "far");
+    assert.equal(nearestPolygon(0.5, 1.2, []), null);
+  });
+});
@@ -0,0 +1,86 @@
+// Unit tests for assets/js/projections.mjs — run with `node --test tests/`
+// Reference values computed with PROJ for EPSG:3163, 32758 and 32759.
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  PROJECTED_CRS,
+  projectedToWgs84,
+  utmZoneFor,
+  wgs84ToProjected,
+} from "../assets/js/projections.mjs";
+
+// [crs, lat, lon, easting, northing]
+const REFERENCE = [
+  ["lambert", -22.27, 166.44, 445348.077, 214681.472],
+  ["lambert", -20.25, 164.0, 191016.538, 437053.798],
+  ["lambert", -21.5, 168.0, 607212.972, 298674.465],
+  ["lambert", -20.9, 167.2, 524839.852, 365946.857],
+  ["utm58s", -22.27, 166.44, 648366.216, 7536580.668],
+  ["utm58s", -20.25, 164.0, 395556.847, 7760537.813],
+  ["utm58s", -19.6, 163.6, 353174.921, 7832179.883],
+  ["utm59s", -21.5, 168.0, 189159.128, 7619529.958],
+  ["utm59s", -20.9, 167.2, 104590.48, 7684237.148],
+];
+
+// 1 mm in metres, ~1 mm in degrees
+const METRE_TOLERANCE = 1e-3;
+const DEGREE_TOLERANCE = 1e-8;
+
+describe("wgs84ToProjected", () => {
+  for (const [crs, lat, lon, easting, northing] of REFERENCE) {
+    it(`projects ${lat}, ${lon} to ${crs}`, () => {
+      const result = wgs84ToProjected(crs, lat, lon);
+      assert.ok(Math.abs(result.easting - easting) < METRE_TOLERANCE, `easting ${result.easting}`);
+      assert.ok(Math.abs(result.northing - northing) < METRE_TOLERANCE, `northing ${result.northing}`);
+    });
+  }
+
+  it("maps the Lambert NC origin to the false easting/northing", () => {
+    const { easting, northing } = wgs84ToProjected("lambert", -21.5, 166);
+    assert.ok(Math.abs(easting - 400000) < 1e-6);
+    assert.ok(Math.abs(northing - 300000) < 1e-6);
+  });
+
+  it("maps a UTM central meridian to easting 500 000", () => {
+    assert.ok(Math.abs(wgs84ToProjected("utm58s", -21, 165).easting - 500000) < 1e-6);
+    assert.ok(Math.abs(wgs84ToProjected("utm59s", -21, 171).easting - 500000) < 1e-6);
+  });
+
+  it("rejects unknown systems", () => {
+    assert.throws(() => wgs84ToProjected("epsg:2154", -21, 165), /Unknown coordinate system/);
+  });
+});
+
+describe("projectedToWgs84", () => {
+  for (const [crs, lat, lon, easting, northing] of REFERENCE) {
+    it(`unprojects ${crs} ${easting}, ${northing}`, () => {
+      const result = projectedToWgs84(crs, easting, northing);
+      assert.ok(Math.abs(result.lat - lat) < DEGREE_TOLERANCE, `lat ${result.lat}`);
+      assert.ok(Math.abs(result.lon - lon) < DEGREE_TOLERANCE, `lon ${result.lon}`);
+    });
+  }
+
+  it("round-trips points across the territory", () => {
+    for (const crs of Object.keys(PROJECTED_CRS)) {
+      for (let lat = -23; lat <= -19; lat += 0.5) {
+        for (let lon = 163; lon <= 169; lon += 0.5) {
+          const { easting, northing } = wgs84ToProjected(crs, lat, lon);
+          const back = projectedToWgs84(crs, easting, northing);
+          assert.ok(Math.abs(back.lat - lat) < DEGREE_TOLERANCE);
+          assert.ok(Math.abs(back.lon - lon) < DEGREE_TOLERANCE);
+        }
+      }
+    }
+  });
+});
+
+describe("utmZoneFor", () => {
+  it("returns the zone covering a longitude", () => {
+    assert.equal(utmZoneFor(163.5), 58);
+    assert.equal(utmZoneFor(167.99), 58);
+    assert.equal(utmZoneFor(168), 59);
+    assert.equal(utmZoneFor(180), 60);
+    assert.equal(utmZoneFor(-180), 1);
+  });
+});
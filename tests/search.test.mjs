@@ -0,0 +1,99 @@
+// Unit tests for assets/js/search.mjs — run with `node --test tests/`
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  COMMUNE_ALIASES,
+  editDistance,
+  matchScore,
+  normalizeName,
+  rankCommunes,
+} from "../assets/js/search.mjs";
+
+const COMMUNES = [
+  "Belep", "Boulouparis", "Bourail", "Canala", "Dumbéa", "Farino", "Hienghène",
+  "Houaïlou", "Kaala-Gomen", "Koné", "Kouaoua", "Koumac", "L'Île-des-Pins", "La Foa",
+  "Le Mont-Dore", "Lifou", "Maré", "Moindou", "Nouméa", "Ouvéa", "Ouégoa", "Païta",
+  "Poindimié", "Ponérihouen", "Pouembout", "Poum", "Pouébo", "Poya", "Sarraméa",
+  "Thio", "Touho", "Voh", "Yaté",
+];
+
+const top = (query) => rankCommunes(query, COMMUNES)[0]?.name ?? null;
+
+describe("normalizeName", () => {
+  it("drops accents, case and punctuation", () => {
+    assert.equal(normalizeName("L'Île-des-Pins"), "l ile des pins");
+    assert.equal(normalizeName("  Houaïlou "), "houailou");
+    assert.equal(normalizeName(undefined), "");
+  });
+});
+
+describe("editDistance", () => {
+  it("counts insertions, deletions and substitutions", () => {
+    assert.equal(editDistance("kone", "kone"), 0);
+    assert.equal(editDistance("koumak", "koumac"), 1);
+    assert.equal(editDistance("wegoa", "ouegoa"), 2);
+  });
+
+  it("counts a swap of neighbouring letters once", () => {
+    assert.equal(editDistance("bourial", "bourail"), 1);
+  });
+});
+
+describe("matchScore", () => {
+  it("ranks exact, prefix, word-start and substring matches in that order", () => {
+    const exact = matchScore("poya", "poya");
+    const prefix = matchScore("poy", "poya");
+    const wordStart = matchScore("mont", "le mont dore");
+    const substring = matchScore("ala", "canala");
+    const fuzzy = matchScore("bourial", "bourail");
+    assert.ok(exact > prefix && prefix > wordStart && wordStart > substring && substring > fuzzy);
+  });
+});
+
+describe("rankCommunes", () => {
+  it("ignores accents and punctuation", () => {
+    assert.equal(top("Ile des Pins"), "L'Île-des-Pins");
+    assert.equal(top("Kone"), "Koné");
+    assert.equal(top("Houailou"), "Houaïlou");
+  });
+
+  it("tolerates typos", () => {
+    assert.equal(top("bourial"), "Bourail");
+    assert.equal(top("koumak"), "Koumac");
+    assert.equal(top("wegoa"), "Ouégoa");
+  });
+
+  it("finds a commune among extra words", () => {
+    assert.equal(top("Noumea Ville"), "Nouméa");
+    assert.equal(top("ville de Nouméa"), "Nouméa");
+  });
+
+  it("searches alternate names and reports the one matched", () => {
+    assert.deepEqual(
+      rankCommunes("drehu", COMMUNES).map(({ name, matched }) => [name, matched]),
+      [["Lifou", "Drehu"]],
+    );
+    assert.equal(top("Kunié"), "L'Île-des-Pins");
+    assert.equal(top("Nengone"), "Maré");
+  });
+
+  it("lists every commune sharing a prefix, shortest first", () => {
+    const names = rankCommunes("po", COMMUNES).map((r) => r.name);
+    assert.deepEqual(names.slice(0, 3), ["Poum", "Poya", "Pouébo"]);
+    assert.ok(names.includes("Ponérihouen"));
+  });
+
+  it("returns nothing for unrelated text", () => {
+    assert.deepEqual(rankCommunes("xyz", COMMUNES), []);
+    assert.deepEqual(rankCommunes("   ", COMMUNES), []);
+  });
+
+  it("honours the limit", () => {
+    assert.equal(rankCommunes("o", COMMUNES, { limit: 3 }).length, 3);
+  });
+
+  it("only has aliases for known communes", () => {
+    Object.keys(COMMUNE_ALIASES).forEach((name) => assert.ok(COMMUNES.includes(name), name));
+  });
+});
@@ -0,0 +1,233 @@
+// Unit tests for assets/js/shapefile.mjs — run with `node --test tests/`
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  buildDbf,
+  buildPointShapefileZip,
+  buildPolyShpAndShx,
+  buildShpAndShx,
+  crc32,
+  createZip,
+  inferDbfFields,
+  shapefileRing,
+} from "../assets/js/shapefile.mjs";
+
+const utf8 = new TextEncoder();
+const decoder = new TextDecoder();
+
+// Signed area ×2 in the usual (counter-clockwise positive) orientation
+const signedArea = (ring) =>
+  ring.slice(1).reduce((sum, [x, y], i) => sum + ring[i][0] * y - x * ring[i][1], 0);
+
+// File names and contents of a "stored" ZIP, read from the central directory
+function readZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const end = bytes.length - 22;
+  assert.equal(view.getUint32(end, true), 0x06054b50);
+  const files = {};
+  let offset = view.getUint32(end + 16, true);
+  for (let i = 0; i < view.getUint16(end + 10, true); i++) {
+    assert.equal(view.getUint32(offset, true), 0x02014b50);
+    const size = view.getUint32(offset + 24, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const local = view.getUint32(offset + 42, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+    const dataStart = local + 30 + view.getUint16(local + 26, true);
+    const data = bytes.subarray(dataStart, dataStart + size);
+    assert.equal(crc32(data), view.getUint32(offset + 16, true), `CRC of ${name}`);
+    files[name] = data;
+    offset += 46 + nameLength;
+  }
+  return files;
+}
+
+describe("buildShpAndShx", () => {
+  const { shp, shx } = buildShpAndShx([
+    [166.44, -22.27],
+    [164.8, -20.9],
+  ]);
+  const shpView = new DataView(shp);
+  const shxView = new DataView(shx);
+
+  it("writes the 100-byte header with the file length in 16-bit words", () => {
+    assert.equal(shp.byteLength, 100 + 2 * 28);
+    assert.equal(shx.byteLength, 100 + 2 * 8);
+    for (const view of [shpView, shxView]) {
+      assert.equal(view.getInt32(0, false), 9994);
+      assert.equal(view.getInt32(24, false), view.byteLength / 2);
+      assert.equal(view.getInt32(28, true), 1000);
+      assert.equal(view.getInt32(32, true), 1);
+      assert.deepEqual(
+        [36, 44, 52, 60].map((o) => view.getFloat64(o, true)),
+        [164.8, -22.27, 166.44, -20.9],
+      );
+    }
+  });
+
+  it("writes point records and their index entries", () => {
+    [0, 1].forEach((i) => {
+      const offset = 100 + i * 28;
+      assert.equal(shpView.getInt32(offset, false), i + 1);
+      assert.equal(shpView.getInt32(offset + 4, false), 10);
+      assert.equal(shxView.getInt32(100 + i * 8, false), offset / 2);
+      assert.equal(shxView.getInt32(100 + i * 8 + 4, false), 10);
+    });
+    assert.equal(shpView.getFloat64(100 + 28 + 12, true), 164.8);
+    assert.equal(shpView.getFloat64(100 + 28 + 20, true), -20.9);
+  });
+
+  it("writes an empty bounding box without points", () => {
+    const view = new DataView(buildShpAndShx([]).shp);
+    assert.equal(view.byteLength, 100);
+    assert.equal(view.getFloat64(36, true), 0);
+  });
+});
+
+describe("buildPolyShpAndShx", () => {
+  it("sizes each record from its vertex count", () => {
+    const parts = [
+      [[0, 0], [1, 1]],
+      [[0, 0], [1, 0], [1, 1], [0, 0]],
+    ];
+    const { shp, shx } = buildPolyShpAndShx(3, parts);
+    const shpView = new DataView(shp);
+    const shxView = new DataView(shx);
+    const lengths = parts.map((p) => (48 + p.length * 16) / 2);
+    assert.equal(shp.byteLength, 100 + lengths.reduce((sum, n) => sum + 8 + n * 2, 0));
+    assert.equal(shpView.getInt32(24, false), shp.byteLength / 2);
+    assert.equal(shpView.getInt32(32, true), 3);
+    assert.equal(shxView.getInt32(100, false), 50);
+    assert.equal(shxView.getInt32(104, false), lengths[0]);
+    assert.equal(shxView.getInt32(108, false), 50 + 4 + lengths[0]);
+    assert.equal(shxView.getInt32(112, false), lengths[1]);
+    // Second record: one part of four points
+    const second = 100 + 8 + lengths[0] * 2;
+    assert.equal(shpView.getInt32(second + 4, false), lengths[1]);
+    assert.equal(shpView.getInt32(second + 44, true), 1);
+    assert.equal(shpView.getInt32(second + 48, true), 4);
+  });
+});
+
+describe("shapefileRing", () => {
+  it("closes rings and makes them clockwise", () => {
+    const ccw = [[0, 0], [1, 0], [1, 1], [0, 1]];
+    const ring = shapefileRing(ccw);
+    assert.equal(ring.length, 5);
+    assert.deepEqual(ring[0], ring[4]);
+    assert.ok(signedArea(ring) < 0);
+    const cw = shapefileRing([...ccw].reverse());
+    assert.deepEqual(cw, [[0, 1], [1, 1], [1, 0], [0, 0], [0, 1]]);
+  });
+});
+
+describe("inferDbfFields", () => {
+  it("infers numeric and character fields", () => {
+    const fields = inferDbfFields([
+      { label: "Nouméa", opacity: 0.8, note: null },
+      { label: "Bourail", opacity: 1, note: 12, extra: "x" },
+      { label: "", opacity: "", note: "twelve" },
+    ]);
+    assert.deepEqual(
+      fields.map(({ name, type, length, decimals }) => [name, type, length, decimals]),
+      [
+        ["LABEL", "C", 7, 0],
+        ["OPACITY", "N", 19, 8],
+        ["NOTE", "C", 6, 0],
+        ["EXTRA", "C", 1, 0],
+      ],
+    );
+  });
+
+  it("makes field names ASCII, at most 10 characters and unique", () => {
+    const names = inferDbfFields([
+      { "Pointe à l'île": 1, nearestDistance: 2, nearestDistanceKm: 3, "": 4, "é": 5 },
+    ]).map((f) => f.name);
+    assert.deepEqual(names, ["POINTEALIL", "NEARESTDIS", "NEARESTDI1", "FIELD", "E"]);
+  });
+
+  it("caps character fields at 254 bytes", () => {
+    const [field] = inferDbfFields([{ note: "x".repeat(300) }]);
+    assert.equal(field.length, 254);
+  });
+});
+
+describe("buildDbf", () => {
+  it("writes the header, right-aligned numbers and padded text", () => {
+    const bytes = new Uint8Array(buildDbf([{ name: "Koné", n: 1.5 }, { name: "", n: -2 }]));
+    const view = new DataView(bytes.buffer);
+    const headerLength = 32 + 2 * 32 + 1;
+    const recordLength = 1 + 5 + 19;
+    assert.equal(bytes[0], 0x03);
+    assert.equal(view.getUint32(4, true), 2);
+    assert.equal(view.getUint16(8, true), headerLength);
+    assert.equal(view.getUint16(10, true), recordLength);
+    assert.equal(bytes[32 + 11], "C".charCodeAt(0));
+    assert.equal(bytes[64 + 11], "N".charCodeAt(0));
+    assert.equal(bytes[headerLength - 1], 0x0d);
+    assert.equal(bytes.length, headerLength + 2 * recordLength + 1);
+    assert.equal(bytes[bytes.length - 1], 0x1a);
+    const record = (r) => decoder.decode(bytes.subarray(headerLength + r * recordLength, headerLength + (r + 1) * recordLength));
+    assert.equal(record(0), " Koné" + "1.50000000".padStart(19));
+    assert.equal(record(1), " " + " ".repeat(5) + "-2.00000000".padStart(19));
+  });
+
+  it("truncates text without splitting a UTF-8 character", () => {
+    // 253 ASCII bytes then "é" (2 bytes) would need 255 bytes
+    const value = "a".repeat(253) + "é";
+    const bytes = new Uint8Array(buildDbf([{ note: value }]));
+    const headerLength = 32 + 32 + 1;
+    const field = bytes.subarray(headerLength + 1, headerLength + 1 + 254);
+    assert.equal(decoder.decode(field), "a".repeat(253) + " ");
+  });
+});
+
+describe("crc32", () => {
+  it("matches the IEEE check value", () => {
+    assert.equal(crc32(utf8.encode("123456789")), 0xcbf43926);
+    assert.equal(crc32(new Uint8Array(0)), 0);
+  });
+});
+
+describe("createZip", () => {
+  it("stores string and binary entries under UTF-8 names", () => {
+    const files = readZip(
+      createZip([
+        { name: "communes.txt", data: "Île des Pins" },
+        { name: "données.bin", data: new Uint8Array([1, 2, 3]).buffer },
+      ]),
+    );
+    assert.deepEqual(Object.keys(files), ["communes.txt", "données.bin"]);
+    assert.equal(decoder.decode(files["communes.txt"]), "Île des Pins");
+    assert.deepEqual([...files["données.bin"]], [1, 2, 3]);
+  });
+});
+
+describe("buildPointShapefileZip", () => {
+  it("packs point, line and area layers", () => {
+    const files = readZip(
+      buildPointShapefileZip(
+        [{ lat: -22.27, lng: 166.44, attributes: { label: "Nouméa" } }],
+        [
+          { geometry: "line", coordinates: [[166.4, -22.3], [166.5, -22.2]], attributes: { label: "walk" } },
+          { geometry: "polygon", coordinates: [[0, 0], [1, 0], [1, 1]], attributes: { label: "field" } },
+        ],
+        "points",
+      ),
+    );
+    const layers = ["points", "points_lines", "points_areas"];
+    assert.deepEqual(
+      Object.keys(files),
+      layers.flatMap((b) => ["shp", "shx", "dbf", "prj", "cpg"].map((ext) => `${b}.${ext}`)),
+    );
+    assert.match(decoder.decode(files["points.prj"]), /^GEOGCS\["GCS_WGS_1984"/);
+    assert.equal(decoder.decode(files["points.cpg"]), "UTF-8");
+    const shapeType = (name) => new DataView(files[name].buffer, files[name].byteOffset).getInt32(32, true);
+    assert.deepEqual(layers.map((b) => shapeType(`${b}.shp`)), [1, 3, 5]);
+  });
+
+  it("leaves out empty annotation layers", () => {
+    const files = readZip(buildPointShapefileZip([], [], "empty"));
+    assert.deepEqual(Object.keys(files), ["empty.shp", "empty.shx", "empty.dbf", "empty.prj", "empty.cpg"]);
+  });
+});
@@ -0,0 +1,106 @@
+// Unit tests for assets/js/spatialindex.mjs — run with `node --test tests/`
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+
+import { buildPolygonIndex, featureAt, featuresAt, geometryParts, inRing } from "../assets/js/spatialindex.mjs";
+
+// Closed square ring with its south-west corner at (x, y)
+const square = (x, y, size) => [[x, y], [x + size, y], [x + size, y + size], [x, y + size], [x, y]];
+const feature = (name, type, coordinates) => ({
+  type: "Feature",
+  properties: { name },
+  geometry: { type, coordinates },
+});
+const nameAt = (index, lat, lng) => featureAt(index, lat, lng)?.properties.name ?? null;
+
+describe("featureAt", () => {
+  it("finds the polygon containing a point", () => {
+    const index = buildPolygonIndex([
+      feature("west", "Polygon", [square(0, 0, 10)]),
+      feature("east", "Polygon", [square(10, 0, 10)]),
+    ]);
+    assert.equal(nameAt(index, 5, 2), "west");
+    assert.equal(nameAt(index, 5, 15), "east");
+    assert.equal(nameAt(index, 15, 5), null);
+  });
+
+  it("excludes points inside a hole", () => {
+    const index = buildPolygonIndex([
+      feature("ring", "Polygon", [square(0, 0, 10), square(3, 3, 4)]),
+      feature("island", "Polygon", [square(4, 4, 2)]),
+    ]);
+    assert.equal(nameAt(index, 1, 1), "ring");
+    assert.equal(nameAt(index, 3.5, 3.5), null);
+    assert.equal(nameAt(index, 5, 5), "island");
+  });
+
+  it("tests every part of a MultiPolygon", () => {
+    const index = buildPolygonIndex([
+      feature("islands", "MultiPolygon", [[square(0, 0, 1)], [square(50, 50, 1)], [square(0, 0, 30), square(2, 2, 26)]]),
+    ]);
+    assert.equal(nameAt(index, 0.5, 0.5), "islands");
+    assert.equal(nameAt(index, 50.5, 50.5), "islands");
+    assert.equal(nameAt(index, 29, 29), "islands");
+    assert.equal(nameAt(index, 10, 10), null);
+  });
+
+  it("returns overlapping features in input order, once each", () => {
+    const index = buildPolygonIndex([
+      feature("second", "MultiPolygon", [[square(0, 0, 10)], [square(2, 2, 2)]]),
+      feature("first", "Polygon", [square(0, 0, 10)]),
+    ]);
+    assert.deepEqual(featuresAt(index, 3, 3).map((f) => f.properties.name), ["second", "first"]);
+  });
+
+  it("skips features without polygon geometry", () => {
+    const index = buildPolygonIndex([
+      { type: "Feature", properties: { name: "none" }, geometry: null },
+      feature("line", "LineString", [[0, 0], [1, 1]]),
+    ]);
+    assert.equal(featureAt(index, 0.5, 0.5), null);
+    assert.equal(featureAt(buildPolygonIndex([]), 0, 0), null);
+  });
+
+  it("agrees with a full scan over a multi-level tree", () => {
+    // 30 × 30 grid of unit squares: several levels of nodes
+    const features = [];
+    for (let i = 0; i < 30; i++) {
+      for (let j = 0; j < 30; j++) features.push(feature(`${i},${j}`, "Polygon", [square(i, j, 1)]));
+    }
+    const index = buildPolygonIndex(features);
+    for (let k = 0; k < 500; k++) {
+      const lng = ((k * 7.31) % 32) - 1;
+      const lat = ((k * 3.77) % 32) - 1;
+      const inside = lng >= 0 && lng < 30 && lat >= 0 && lat < 30;
+      const expected = inside ? `${Math.floor(lng)},${Math.floor(lat)}` : null;
+      assert.equal(nameAt(index, lat, lng), expected, `at ${lat}, ${lng}`);
+    }
+  });
+
+  it("locates points in the commune dataset", () => {
+    const fc = JSON.parse(readFileSync(new URL("../data/nc-communes.geojson", import.meta.url), "utf8"));
+    const index = buildPolygonIndex(fc.features);
+    assert.equal(nameAt(index, -22.2711, 166.4416), "Nouméa");
+    assert.equal(nameAt(index, -21.0, 160.0), null);
+  });
+});
+
+describe("geometryParts", () => {
+  it("lists the rings of each polygon part", () => {
+    const ring = square(0, 0, 1);
+    assert.deepEqual(geometryParts({ type: "Polygon", coordinates: [ring] }), [[ring]]);
+    assert.deepEqual(geometryParts({ type: "MultiPolygon", coordinates: [[ring], [ring]] }), [[ring], [ring]]);
+    assert.deepEqual(geometryParts({ type: "Point", coordinates: [0, 0] }), []);
+    assert.deepEqual(geometryParts(null), []);
+  });
+});
+
+describe("inRing", () => {
+  it("tests open and closed rings", () => {
+    const ring = square(0, 0, 1);
+    assert.equal(inRing(0.5, 0.5, ring), true);
+    assert.equal(inRing(1.5, 0.5, ring), false);
+    assert.equal(inRing(0.5, 0.5, ring.slice(0, -1)), true);
+  });
+});